@@ -0,0 +1,687 @@
+/**
+ * API Key Authentication for News Analysis Service
+ * Authenticates API requests with scoped keys from configuration or storage,
+ * applies per-key rate limits and keeps an audit log of protected actions
+ */
+
+const crypto = require("crypto");
+
+// Scopes a key can hold and the scopes each one grants
+const SCOPES = ["read", "trigger", "admin"];
+const SCOPE_GRANTS = {
+  read: ["read"],
+  trigger: ["read", "trigger"],
+  admin: ["read", "trigger", "admin"],
+};
+
+// Routes that accept the key as an `api_key` query parameter, for
+// EventSource clients that cannot set headers; anywhere else the key would
+// leak into access logs, browser history and Referer headers
+const QUERY_KEY_ROUTES = ["GET /api/events"];
+
+// Request body fields recorded in the audit log for each action; anything
+// else a client sends is left out
+const AUDITED_BODY_FIELDS = {
+  "analysis.trigger": ["skipPerplexity", "promptVersion"],
+  "backtest.start": ["from", "to", "promptVersion", "model", "limit"],
+  "prompts.activate": ["version"],
+  "keys.create": ["name", "scopes", "rateLimitPerMinute"],
+};
+
+// Longest string and array kept for an audited body field
+const MAX_AUDITED_STRING_LENGTH = 200;
+const MAX_AUDITED_ARRAY_LENGTH = 10;
+
+// Missing- and invalid-key rejections are audited once per client and
+// reason in each window; the clients tracked at once are capped
+const DENIED_SAMPLE_WINDOW_MS = 60000;
+const MAX_DENIED_SAMPLES = 10000;
+
+// Audit entries deleted per pruning query and minimum time between prunes
+const AUDIT_PRUNE_BATCH = 400;
+const AUDIT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Bound an audited body value: strings and arrays are shortened, and
+ * anything other than a string, number, boolean or array of them is dropped
+ * @param {*} value - Request body value
+ * @returns {*} Value as recorded in the audit log
+ */
+function auditedValue(value) {
+  if (typeof value === "string") {
+    return value.slice(0, MAX_AUDITED_STRING_LENGTH);
+  }
+  if (Array.isArray(value)) {
+    return value
+      .slice(0, MAX_AUDITED_ARRAY_LENGTH)
+      .map((item) => (Array.isArray(item) ? null : auditedValue(item)));
+  }
+  return ["number", "boolean"].includes(typeof value) ? value : null;
+}
+
+/**
+ * Check a scope list for validity
+ * @param {*} scopes - Scopes to check
+ * @returns {boolean} True for a non-empty array of known scopes
+ */
+function isValidScopeList(scopes) {
+  return (
+    Array.isArray(scopes) &&
+    scopes.length > 0 &&
+    scopes.every((scope) => SCOPES.includes(scope))
+  );
+}
+
+class ApiKeyAuth {
+  /**
+   * @param {object} options - Authentication options
+   * @param {object} options.backend - Storage backend from createStorageBackend
+   * @param {string} options.collection - Collection stored keys are kept in
+   * @param {string} options.auditCollection - Collection audit entries are written to
+   * @param {Array<object>} options.keys - Configured keys ({ name, key or keyHash, scopes, rateLimitPerMinute })
+   * @param {number} options.defaultRateLimitPerMinute - Requests per minute for keys without their own limit
+   * @param {number|null} options.auditRetentionDays - Days audit entries are kept (null keeps them forever)
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.collection = options.collection || "api_keys";
+    this.auditCollection = options.auditCollection || "api_audit_log";
+    this.defaultRateLimitPerMinute = options.defaultRateLimitPerMinute || 60;
+    this.auditRetentionDays = options.auditRetentionDays ?? 30;
+
+    this.configKeys = this.normalizeConfigKeys(options.keys || []);
+    this.storedKeys = null; // Map<keyHash, key>, loaded on first use
+    this.windows = new Map(); // key: key ID, value: { startedAt, count }
+    this.deniedSamples = new Map(); // key: reason and IP, value: { startedAt, repeats }
+    this.lastAuditPruneAt = 0;
+  }
+
+  /**
+   * Validate configured keys, dropping invalid ones
+   * @param {Array<object>} keys - Configured keys
+   * @returns {Map<string, object>} Keys by hash
+   */
+  normalizeConfigKeys(keys) {
+    const byHash = new Map();
+    if (!Array.isArray(keys)) {
+      console.warn("⚠️ [AUTH] API_KEYS must be an array, ignoring it");
+      return byHash;
+    }
+
+    keys.forEach((entry) => {
+      const keyHash =
+        typeof entry?.keyHash === "string"
+          ? entry.keyHash.toLowerCase()
+          : typeof entry?.key === "string" && entry.key.length >= 16
+          ? hashKey(entry.key)
+          : null;
+      if (
+        !keyHash ||
+        typeof entry.name !== "string" ||
+        !isValidScopeList(entry.scopes)
+      ) {
+        console.warn(
+          `⚠️ [AUTH] Ignoring invalid API key "${
+            entry?.name || "unnamed"
+          }" (needs a name, a key of 16+ characters or keyHash, and scopes from: ${SCOPES.join(
+            ", "
+          )})`
+        );
+        return;
+      }
+
+      byHash.set(keyHash, {
+        id: `config:${entry.name}`,
+        name: entry.name,
+        scopes: entry.scopes,
+        rateLimitPerMinute: entry.rateLimitPerMinute || null,
+        source: "config",
+      });
+    });
+    return byHash;
+  }
+
+  /**
+   * Whether API requests must carry a key
+   *
+   * Authentication is enforced once at least one key is configured; until
+   * then stored keys can neither be created, listed nor revoked.
+   *
+   * @returns {boolean} True if authentication is enforced
+   */
+  isEnabled() {
+    return this.configKeys.size > 0;
+  }
+
+  /**
+   * Load active stored keys once per process
+   * @returns {Promise<Map<string, object>>} Stored keys by hash
+   */
+  async loadStoredKeys() {
+    if (!this.storedKeys) {
+      const keys = await this.backend.query(this.collection, {
+        where: [["revokedAt", "==", null]],
+      });
+      this.storedKeys = new Map(
+        keys.map(({ id, keyHash, ...key }) => [
+          keyHash,
+          {
+            id: id,
+            name: key.name,
+            scopes: key.scopes,
+            rateLimitPerMinute: key.rateLimitPerMinute || null,
+            source: "storage",
+          },
+        ])
+      );
+    }
+    return this.storedKeys;
+  }
+
+  /**
+   * Read the API key from a request
+   *
+   * Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`;
+   * the `api_key` query parameter is only accepted on QUERY_KEY_ROUTES.
+   *
+   * @param {object} req - Express request
+   * @returns {string|null} Plaintext key, or null if none was sent
+   */
+  extractKey(req) {
+    const authorization = req.headers.authorization || "";
+    if (authorization.startsWith("Bearer ")) {
+      return authorization.slice(7).trim() || null;
+    }
+    if (req.headers["x-api-key"]) {
+      return String(req.headers["x-api-key"]);
+    }
+    const route = `${req.method} ${req.originalUrl.split("?")[0]}`;
+    return QUERY_KEY_ROUTES.includes(route) &&
+      typeof req.query.api_key === "string"
+      ? req.query.api_key
+      : null;
+  }
+
+  /**
+   * Find the key matching a plaintext key
+   * @param {string} key - Plaintext key
+   * @returns {Promise<object|null>} Key ({ id, name, scopes, rateLimitPerMinute, source }) or null
+   */
+  async resolveKey(key) {
+    const keyHash = hashKey(key);
+    if (this.configKeys.has(keyHash)) {
+      return this.configKeys.get(keyHash);
+    }
+    const storedKeys = await this.loadStoredKeys();
+    return storedKeys.get(keyHash) || null;
+  }
+
+  /**
+   * Check whether a key holds a scope
+   * @param {object} key - Resolved key
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if one of the key's scopes grants it
+   */
+  hasScope(key, scope) {
+    return key.scopes.some((held) => SCOPE_GRANTS[held]?.includes(scope));
+  }
+
+  /**
+   * Count a request against a key's fixed one-minute window
+   * @param {object} key - Resolved key
+   * @returns {object} { allowed, limit, remaining, resetSeconds }
+   */
+  consumeRateLimit(key) {
+    const limit = key.rateLimitPerMinute || this.defaultRateLimitPerMinute;
+    const now = Date.now();
+    let window = this.windows.get(key.id);
+    if (!window || now - window.startedAt >= 60000) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(key.id, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit: limit,
+      remaining: Math.max(0, limit - window.count),
+      resetSeconds: Math.ceil((window.startedAt + 60000 - now) / 1000),
+    };
+  }
+
+  /**
+   * Middleware that authenticates every API request with at least read scope
+   *
+   * Sets `req.apiKey` for authenticated requests. Does nothing while
+   * authentication is disabled.
+   *
+   * @returns {Function} Express middleware
+   */
+  authenticate() {
+    return async (req, res, next) => {
+      if (!this.isEnabled()) return next();
+
+      try {
+        const rawKey = this.extractKey(req);
+        const key = rawKey ? await this.resolveKey(rawKey) : null;
+        if (!key) {
+          this.recordDenied(req, null, rawKey ? "invalid_key" : "missing_key");
+          return res.status(401).json({
+            success: false,
+            error: rawKey ? "Invalid API key" : "API key required",
+          });
+        }
+
+        const rateLimit = this.consumeRateLimit(key);
+        res.set("X-API-Key-RateLimit-Limit", String(rateLimit.limit));
+        res.set("X-API-Key-RateLimit-Remaining", String(rateLimit.remaining));
+        if (!rateLimit.allowed) {
+          res.set("Retry-After", String(rateLimit.resetSeconds));
+          return res.status(429).json({
+            success: false,
+            error: `Rate limit of ${rateLimit.limit} requests per minute exceeded for this API key`,
+          });
+        }
+
+        req.apiKey = key;
+        if (!this.hasScope(key, "read")) {
+          this.recordDenied(req, key, "insufficient_scope");
+          return res.status(403).json({
+            success: false,
+            error: "API key lacks the read scope",
+          });
+        }
+        next();
+      } catch (error) {
+        console.error("❌ [AUTH] Error authenticating request:", error.message);
+        res.status(500).json({
+          success: false,
+          error: "Authentication failed",
+        });
+      }
+    };
+  }
+
+  /**
+   * Middleware that requires a scope for a route and audits the action
+   *
+   * The action is written to the audit log with the key, request and
+   * response status once the response finishes, including while
+   * authentication is disabled.
+   *
+   * @param {string} scope - Required scope ('read', 'trigger' or 'admin')
+   * @param {string|null} action - Audited action name (e.g. 'analysis.trigger'); null only checks the scope
+   * @returns {Function} Express middleware
+   */
+  requireScope(scope, action) {
+    return (req, res, next) => {
+      if (
+        this.isEnabled() &&
+        !(req.apiKey && this.hasScope(req.apiKey, scope))
+      ) {
+        this.recordDenied(
+          req,
+          req.apiKey || null,
+          "insufficient_scope",
+          action
+        );
+        return res.status(403).json({
+          success: false,
+          error: `API key lacks the ${scope} scope`,
+        });
+      }
+
+      if (!action) return next();
+      res.on("finish", () => {
+        this.recordAudit({
+          action: action,
+          outcome: res.statusCode < 400 ? "success" : "error",
+          status: res.statusCode,
+          ...this.describeRequest(req, req.apiKey || null, action),
+        });
+      });
+      next();
+    };
+  }
+
+  /**
+   * Middleware that refuses a route while authentication is disabled
+   *
+   * Guards key management: without it anyone could create a stored key
+   * before API_KEYS is configured and keep using it once authentication
+   * is enforced.
+   *
+   * @returns {Function} Express middleware
+   */
+  requireEnabled() {
+    return (req, res, next) => {
+      if (this.isEnabled()) return next();
+      res.status(409).json({
+        success: false,
+        error:
+          "API key management is unavailable until an admin key is configured in API_KEYS",
+      });
+    };
+  }
+
+  /**
+   * Describe who made a request for the audit log
+   * @param {object} req - Express request
+   * @param {object|null} key - Resolved key
+   * @param {string|null} action - Audited action; selects the body fields kept
+   * @returns {object} Audit fields ({ keyId, keyName, method, path, ip, body })
+   */
+  describeRequest(req, key, action = null) {
+    const fields = (req.body && AUDITED_BODY_FIELDS[action]) || [];
+    const body = {};
+    fields
+      .filter((field) => req.body[field] !== undefined)
+      .forEach((field) => {
+        body[field] = auditedValue(req.body[field]);
+      });
+
+    return {
+      keyId: key?.id || null,
+      keyName: key?.name || null,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      ip: req.ip || null,
+      body: Object.keys(body).length > 0 ? body : null,
+    };
+  }
+
+  /**
+   * Audit a rejected request
+   *
+   * Requests without a valid key are sampled (see sampleDenied) so that
+   * unauthenticated traffic cannot flood the audit log.
+   *
+   * @param {object} req - Express request
+   * @param {object|null} key - Resolved key, if any
+   * @param {string} reason - Rejection reason
+   * @param {string|null} action - Action that was attempted, if known
+   */
+  recordDenied(req, key, reason, action = null) {
+    let repeats = null;
+    if (reason === "missing_key" || reason === "invalid_key") {
+      repeats = this.sampleDenied(req, reason);
+      if (repeats === null) return;
+    }
+
+    this.recordAudit({
+      action: action || "api.request",
+      outcome: "denied",
+      status: reason === "insufficient_scope" ? 403 : 401,
+      reason: reason,
+      ...(repeats !== null && { repeats: repeats }),
+      ...this.describeRequest(req, key, action),
+    });
+  }
+
+  /**
+   * Decide whether to audit a missing- or invalid-key rejection
+   *
+   * The first rejection per client IP and reason is audited each minute;
+   * later ones are counted and reported as `repeats` on the next audited
+   * one. Once MAX_DENIED_SAMPLES clients are tracked, rejections from new
+   * clients are not audited until their windows expire.
+   *
+   * @param {object} req - Express request
+   * @param {string} reason - 'missing_key' or 'invalid_key'
+   * @returns {number|null} Rejections skipped since the last audited one, or null to skip this one
+   */
+  sampleDenied(req, reason) {
+    const now = Date.now();
+    const id = `${reason}:${req.ip || "unknown"}`;
+    const sample = this.deniedSamples.get(id);
+    if (sample && now - sample.startedAt < DENIED_SAMPLE_WINDOW_MS) {
+      sample.repeats++;
+      return null;
+    }
+
+    if (!sample && this.deniedSamples.size >= MAX_DENIED_SAMPLES) {
+      this.deniedSamples.forEach((entry, entryId) => {
+        if (now - entry.startedAt >= DENIED_SAMPLE_WINDOW_MS) {
+          this.deniedSamples.delete(entryId);
+        }
+      });
+      if (this.deniedSamples.size >= MAX_DENIED_SAMPLES) return null;
+    }
+
+    this.deniedSamples.set(id, { startedAt: now, repeats: 0 });
+    return sample ? sample.repeats : 0;
+  }
+
+  /**
+   * Write an audit entry without delaying the response
+   * @param {object} entry - Audit entry
+   */
+  recordAudit(entry) {
+    const id = this.backend.newId(this.auditCollection);
+    this.backend
+      .set(this.auditCollection, id, {
+        ...entry,
+        createdAt: this.backend.timestamp(),
+      })
+      .catch((error) =>
+        console.error("❌ [AUTH] Error writing audit entry:", error.message)
+      );
+    this.pruneAuditLog();
+
+    console.log(
+      `🔐 [AUDIT] ${entry.action} by ${entry.keyName || "anonymous"}: ${
+        entry.outcome
+      } (${entry.status})`
+    );
+  }
+
+  /**
+   * Delete audit entries older than the retention period
+   *
+   * Runs at most once an hour, triggered by new audit entries, and never
+   * delays or fails the request being audited.
+   *
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async pruneAuditLog() {
+    const now = Date.now();
+    if (
+      this.auditRetentionDays === null ||
+      now - this.lastAuditPruneAt < AUDIT_PRUNE_INTERVAL_MS
+    ) {
+      return 0;
+    }
+    this.lastAuditPruneAt = now;
+
+    const cutoff = new Date(now - this.auditRetentionDays * 86400000);
+    let deleted = 0;
+    try {
+      let expired;
+      do {
+        expired = await this.backend.query(this.auditCollection, {
+          where: [["createdAt", "<", cutoff]],
+          limit: AUDIT_PRUNE_BATCH,
+        });
+        if (expired.length > 0) {
+          await this.backend.deleteMany(
+            this.auditCollection,
+            expired.map((entry) => entry.id)
+          );
+          deleted += expired.length;
+        }
+      } while (expired.length === AUDIT_PRUNE_BATCH);
+    } catch (error) {
+      console.error("❌ [AUTH] Error pruning audit log:", error.message);
+    }
+
+    if (deleted > 0) {
+      console.log(
+        `🧹 [AUDIT] Deleted ${deleted} audit entries older than ${this.auditRetentionDays} days`
+      );
+    }
+    return deleted;
+  }
+
+  /**
+   * Create and store a new API key
+   *
+   * Only the key's hash is stored; the plaintext key is returned once.
+   *
+   * @param {object} options - Key options
+   * @param {string} options.name - Key name shown in the audit log
+   * @param {Array<string>} options.scopes - Scopes to grant
+   * @param {number|null} options.rateLimitPerMinute - Per-key limit (default applies when null)
+   * @param {object|null} createdBy - Key that created it
+   * @returns {Promise<object>} { key, apiKey } with the plaintext key and its description
+   * @throws {Error} If the name or scopes are invalid
+   */
+  async createKey(options, createdBy = null) {
+    const { name, scopes, rateLimitPerMinute = null } = options;
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new Error("name must be a non-empty string");
+    }
+    if (!isValidScopeList(scopes)) {
+      throw new Error(
+        `scopes must be a non-empty list of: ${SCOPES.join(", ")}`
+      );
+    }
+    if (
+      rateLimitPerMinute !== null &&
+      (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1)
+    ) {
+      throw new Error("rateLimitPerMinute must be a positive integer");
+    }
+
+    const key = `nas_${crypto.randomBytes(24).toString("hex")}`;
+    const id = this.backend.newId(this.collection);
+    const record = {
+      name: name.trim(),
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, 8),
+      scopes: Array.from(new Set(scopes)),
+      rateLimitPerMinute: rateLimitPerMinute,
+      createdBy: createdBy?.name || null,
+      createdAt: this.backend.timestamp(),
+      revokedAt: null,
+    };
+    await this.backend.set(this.collection, id, record);
+
+    const storedKeys = await this.loadStoredKeys();
+    storedKeys.set(record.keyHash, {
+      id: id,
+      name: record.name,
+      scopes: record.scopes,
+      rateLimitPerMinute: record.rateLimitPerMinute,
+      source: "storage",
+    });
+    console.log(`🔐 [AUTH] Created API key "${record.name}" (${id})`);
+
+    return { key: key, apiKey: this.describeStoredKey(id, record) };
+  }
+
+  /**
+   * Revoke a stored API key
+   * @param {string} id - Stored key ID
+   * @returns {Promise<boolean>} False if no active stored key has this ID
+   */
+  async revokeKey(id) {
+    const record = await this.backend.get(this.collection, id);
+    if (!record || record.revokedAt) return false;
+
+    await this.backend.update(this.collection, id, {
+      revokedAt: new Date().toISOString(),
+    });
+    const storedKeys = await this.loadStoredKeys();
+    storedKeys.delete(record.keyHash);
+    this.windows.delete(id);
+    console.log(`🔐 [AUTH] Revoked API key "${record.name}" (${id})`);
+    return true;
+  }
+
+  /**
+   * Describe a stored key without its hash
+   * @param {string} id - Stored key ID
+   * @param {object} record - Stored key document
+   * @returns {object} Key description
+   */
+  describeStoredKey(id, record) {
+    return {
+      id: id,
+      name: record.name,
+      source: "storage",
+      keyPrefix: record.keyPrefix,
+      scopes: record.scopes,
+      rateLimitPerMinute:
+        record.rateLimitPerMinute || this.defaultRateLimitPerMinute,
+      createdBy: record.createdBy || null,
+      createdAt: record.createdAt,
+      revokedAt: record.revokedAt || null,
+    };
+  }
+
+  /**
+   * List configured and stored keys without secrets
+   * @returns {Promise<Array<object>>} Key descriptions
+   */
+  async listKeys() {
+    const configured = Array.from(this.configKeys.values()).map((key) => ({
+      id: key.id,
+      name: key.name,
+      source: "config",
+      scopes: key.scopes,
+      rateLimitPerMinute:
+        key.rateLimitPerMinute || this.defaultRateLimitPerMinute,
+    }));
+    const stored = await this.backend.query(this.collection, {
+      orderBy: { field: "createdAt", direction: "desc" },
+    });
+
+    return [
+      ...configured,
+      ...stored.map(({ id, ...record }) => this.describeStoredKey(id, record)),
+    ];
+  }
+
+  /**
+   * Retrieve audit entries, newest first
+   *
+   * The most recent `limit` entries are scanned and then filtered.
+   *
+   * @param {object} options - Query options
+   * @param {number} options.limit - Maximum entries to scan
+   * @param {string|null} options.keyName - Only entries of this key
+   * @param {string|null} options.action - Only entries of this action
+   * @param {string|null} options.outcome - Only entries with this outcome
+   * @returns {Promise<Array<object>>} Audit entries
+   */
+  async getAuditLog(options = {}) {
+    const {
+      limit = 100,
+      keyName = null,
+      action = null,
+      outcome = null,
+    } = options;
+    const entries = await this.backend.query(this.auditCollection, {
+      orderBy: { field: "createdAt", direction: "desc" },
+      limit: limit,
+    });
+
+    return entries.filter(
+      (entry) =>
+        (!keyName || entry.keyName === keyName) &&
+        (!action || entry.action === action) &&
+        (!outcome || entry.outcome === outcome)
+    );
+  }
+}
+
+module.exports = { ApiKeyAuth, SCOPES };
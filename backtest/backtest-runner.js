@@ -0,0 +1,404 @@
+/**
+ * Historical Replay and Backtesting for News Analysis Service
+ * Re-runs the analysis over the archived article and global event snapshots
+ * of past analyses with a chosen prompt version and/or model, stores the
+ * replays in their own namespace and reports how they compare with what was
+ * originally stored. Replays never touch stored analyses, alerts, stories or
+ * service statistics; their LLM usage is recorded under the "backtest"
+ * purpose and never attributed to a live analysis cycle.
+ */
+
+const {
+  compareAnalyses,
+  summarizeComparisons,
+} = require("../shadow/analysis-comparison");
+const { INFLUENCE_LEVELS } = require("../llm/output-schemas");
+
+// Analyses whose market influence changed, listed in a report
+const MAX_REPORTED_CHANGES = 50;
+
+class BacktestRunner {
+  /**
+   * @param {object} options - Runner options
+   * @param {object} options.backend - Storage backend from createStorageBackend
+   * @param {object} options.analysisStorage - AnalysisStorage holding the original analyses
+   * @param {string} options.collection - Collection backtest runs are stored in
+   * @param {Function} options.analyze - Replays one analysis: (articles, perplexityResults, { promptVersion, model, timestamp }) => analysis
+   * @param {Function} options.isBudgetExceeded - Resolves true once the LLM budget is reached
+   * @param {number} options.matchThreshold - Title overlap (0-1) for the same event
+   * @param {number} options.maxAnalyses - Maximum analyses replayed in one run
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.analysisStorage = options.analysisStorage;
+    this.collection = options.collection || "backtest_runs";
+    this.analyze = options.analyze;
+    this.isBudgetExceeded = options.isBudgetExceeded || (async () => false);
+    this.matchThreshold = options.matchThreshold ?? 0.5;
+    this.maxAnalyses = options.maxAnalyses || 200;
+
+    this.activeRunId = null;
+  }
+
+  /**
+   * Collection holding the per-analysis replays of a run
+   * @param {string} runId - Backtest run ID
+   * @returns {string} Collection path
+   */
+  resultsCollection(runId) {
+    return `${this.collection}/${runId}/results`;
+  }
+
+  /**
+   * Whether a backtest is currently running
+   * @returns {boolean} True while a run is in progress
+   */
+  isRunning() {
+    return this.activeRunId !== null;
+  }
+
+  /**
+   * Start a backtest over the analyses stored in a time range
+   *
+   * The run is stored immediately and replays continue in the background;
+   * poll getRun for progress and the report. Only one backtest runs at a
+   * time.
+   *
+   * @param {object} options - Run options
+   * @param {Date} options.from - Replay analyses created at or after this time
+   * @param {Date} options.to - Replay analyses created at or before this time
+   * @param {string} options.promptVersion - news-impact-analysis version to replay with
+   * @param {string|null} options.model - Model to replay with (no fallbacks), or null for the configured chain
+   * @param {number} options.limit - Maximum analyses to replay, oldest first
+   * @param {string|null} options.startedBy - Who started the run (API key name)
+   * @returns {Promise<object>} Stored run
+   * @throws {Error} If a backtest is already running
+   */
+  async startRun(options) {
+    if (this.isRunning()) {
+      throw new Error(`Backtest ${this.activeRunId} is already running`);
+    }
+
+    const runId = this.backend.newId(this.collection);
+    this.activeRunId = runId;
+
+    const run = {
+      status: "running",
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      promptVersion: options.promptVersion,
+      model: options.model || null,
+      limit: Math.min(options.limit || this.maxAnalyses, this.maxAnalyses),
+      startedBy: options.startedBy || null,
+      progress: { total: null, processed: 0 },
+      report: null,
+      error: null,
+      createdAt: this.backend.timestamp(),
+      finishedAt: null,
+    };
+
+    try {
+      await this.backend.set(this.collection, runId, run);
+    } catch (error) {
+      this.activeRunId = null;
+      throw error;
+    }
+    console.log(
+      `⏪ [BACKTEST] Started backtest ${runId} (${run.from} to ${
+        run.to
+      }, prompt ${run.promptVersion}${run.model ? `, model ${run.model}` : ""})`
+    );
+
+    // Replay in the background; the caller only needs the run ID
+    this.executeRun(runId, run).finally(() => {
+      this.activeRunId = null;
+    });
+    return { id: runId, ...run };
+  }
+
+  /**
+   * Replay every analysis in a run's range and store the report
+   * @param {string} runId - Backtest run ID
+   * @param {object} run - Run settings
+   */
+  async executeRun(runId, run) {
+    const results = [];
+    let status = "completed";
+    let runError = null;
+
+    try {
+      const originals = await this.backend.query(
+        this.analysisStorage.collection,
+        {
+          where: [
+            ["createdAt", ">=", new Date(run.from)],
+            ["createdAt", "<=", new Date(run.to)],
+          ],
+          orderBy: { field: "createdAt", direction: "asc" },
+          limit: run.limit,
+        }
+      );
+      await this.backend.update(this.collection, runId, {
+        progress: { total: originals.length, processed: 0 },
+      });
+
+      for (const original of originals) {
+        if (await this.isBudgetExceeded()) {
+          status = "stopped";
+          runError = "LLM budget exhausted";
+          console.warn(
+            `💸 [BACKTEST] LLM budget exhausted, stopping backtest ${runId}`
+          );
+          break;
+        }
+
+        results.push(await this.replayAnalysis(runId, run, original));
+        await this.backend.update(this.collection, runId, {
+          progress: { total: originals.length, processed: results.length },
+        });
+      }
+    } catch (error) {
+      status = "failed";
+      runError = error.message;
+      console.error(`❌ [BACKTEST] Backtest ${runId} failed:`, error.message);
+    }
+
+    const report = this.buildReport(results);
+    try {
+      await this.backend.update(this.collection, runId, {
+        status: status,
+        error: runError,
+        report: report,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(
+        `❌ [BACKTEST] Error storing backtest ${runId} report:`,
+        error.message
+      );
+    }
+
+    console.log(
+      `⏪ [BACKTEST] Backtest ${runId} ${status}: ${report.completed}/${report.analyses} replayed, influence agreement ${report.agreement.influenceAgreementRate}`
+    );
+  }
+
+  /**
+   * Replay one original analysis, compare it and store the result
+   *
+   * Analyses stored without input snapshots are recorded as skipped; a
+   * failing replay is recorded as failed and never stops the run.
+   *
+   * @param {string} runId - Backtest run ID
+   * @param {object} run - Run settings
+   * @param {object} original - Original analysis document
+   * @returns {Promise<object>} Stored result
+   */
+  async replayAnalysis(runId, run, original) {
+    const startTime = Date.now();
+    let inputs = null;
+    let analysis = null;
+    let error = null;
+
+    try {
+      inputs = await this.analysisStorage.getAnalysisInputs(original);
+      if (inputs) {
+        analysis = await this.analyze(
+          inputs.articles,
+          inputs.perplexityResults,
+          {
+            promptVersion: run.promptVersion,
+            model: run.model,
+            // Give the prompt the original analysis time, not today's
+            timestamp:
+              original.provenance?.promptTimestamp ||
+              new Date(
+                this.analysisStorage.toMillis(original.createdAt)
+              ).toISOString(),
+          }
+        );
+        if (!analysis) {
+          error = new Error("Replay produced no analysis");
+        }
+      }
+    } catch (replayError) {
+      error = replayError;
+    }
+
+    const originalAnalysis = {
+      marketInfluence: original.marketInfluence || null,
+      impactScore:
+        typeof original.impactScore === "number" ? original.impactScore : null,
+      direction: original.direction || null,
+      events: Array.isArray(original.events) ? original.events : [],
+    };
+    const replay = analysis
+      ? {
+          marketInfluence: analysis.market_influence || "minimal",
+          impactScore:
+            typeof analysis.impact_score === "number"
+              ? analysis.impact_score
+              : null,
+          direction: analysis.direction || null,
+          events: Array.isArray(analysis.events) ? analysis.events : [],
+        }
+      : null;
+    const metadata = (analysis || error)?.metadata || {};
+
+    const result = {
+      originalAnalysisId: original.id,
+      originalCreatedAt: original.createdAt || null,
+      status: analysis ? "completed" : error ? "failed" : "skipped",
+      error: error
+        ? error.message
+        : !inputs
+        ? "Analysis was stored without input snapshots"
+        : null,
+      original: {
+        ...originalAnalysis,
+        promptVersion: original.provenance?.promptVersion || null,
+        model: original.provenance?.resolvedModel || null,
+      },
+      summary: analysis?.summary || null,
+      events: replay ? replay.events : [],
+      marketInfluence: replay ? replay.marketInfluence : null,
+      impactScore: replay ? replay.impactScore : null,
+      direction: replay ? replay.direction : null,
+      confidence: analysis?.confidence ?? null,
+      timeHorizon: analysis?.time_horizon || null,
+      assetImpacts: analysis?.asset_impacts || null,
+      provenance: {
+        promptName: metadata.promptName || null,
+        promptVersion: metadata.promptVersion || null,
+        model: metadata.model || null,
+        provider: metadata.provider || null,
+        resolvedModel: metadata.resolvedModel || null,
+        failedModels: metadata.failedModels || [],
+        repairAttempts: metadata.repairAttempts || 0,
+        strategy: metadata.strategy || null,
+        durationMs: Date.now() - startTime,
+      },
+      comparison: replay
+        ? compareAnalyses(originalAnalysis, replay, {
+            matchThreshold: this.matchThreshold,
+          })
+        : null,
+      createdAt: this.backend.timestamp(),
+    };
+
+    try {
+      await this.backend.set(
+        this.resultsCollection(runId),
+        this.backend.newId(this.resultsCollection(runId)),
+        result
+      );
+    } catch (storageError) {
+      console.error(
+        `❌ [BACKTEST] Error storing replay of ${original.id}:`,
+        storageError.message
+      );
+    }
+
+    if (result.status === "failed") {
+      console.error(
+        `❌ [BACKTEST] Replay of ${original.id} failed: ${result.error}`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Summarize a run's replays against the original analyses
+   * @param {Array<object>} results - Replay results
+   * @returns {object} Report with counts, agreement, influence distributions and influence changes
+   */
+  buildReport(results) {
+    const completed = results.filter((result) => result.comparison);
+    const distribution = (influence) =>
+      INFLUENCE_LEVELS.reduce((counts, level) => {
+        counts[level] = completed.filter(
+          (result) => influence(result) === level
+        ).length;
+        return counts;
+      }, {});
+    const influenceChanges = completed
+      .filter((result) => !result.comparison.marketInfluence.agrees)
+      .map((result) => ({
+        originalAnalysisId: result.originalAnalysisId,
+        originalCreatedAt: result.originalCreatedAt,
+        original: result.comparison.marketInfluence.primary,
+        replay: result.comparison.marketInfluence.candidate,
+      }));
+
+    return {
+      analyses: results.length,
+      completed: completed.length,
+      failed: results.filter((result) => result.status === "failed").length,
+      skipped: results.filter((result) => result.status === "skipped").length,
+      agreement: summarizeComparisons(
+        completed.map((result) => result.comparison)
+      ),
+      marketInfluence: {
+        original: distribution((result) => result.original.marketInfluence),
+        replay: distribution((result) => result.marketInfluence),
+      },
+      influenceChanges: influenceChanges.slice(0, MAX_REPORTED_CHANGES),
+      influenceChangeCount: influenceChanges.length,
+    };
+  }
+
+  /**
+   * Get a backtest run with its report
+   *
+   * A run left "running" by a previous process is reported as interrupted.
+   *
+   * @param {string} runId - Backtest run ID
+   * @returns {Promise<object|null>} Run, or null if unknown
+   */
+  async getRun(runId) {
+    const run = await this.backend.get(this.collection, runId);
+    return run ? this.describeRun(run) : null;
+  }
+
+  /**
+   * List backtest runs, newest first
+   * @param {number} limit - Maximum runs to return
+   * @returns {Promise<Array<object>>} Runs
+   */
+  async getRuns(limit = 20) {
+    const runs = await this.backend.query(this.collection, {
+      orderBy: { field: "createdAt", direction: "desc" },
+      limit: limit,
+    });
+    return runs.map((run) => this.describeRun(run));
+  }
+
+  /**
+   * Mark runs orphaned by a restart as interrupted
+   * @param {object} run - Stored run (with its ID as `id`)
+   * @returns {object} Run as reported
+   */
+  describeRun(run) {
+    return run.status === "running" && run.id !== this.activeRunId
+      ? { ...run, status: "interrupted" }
+      : run;
+  }
+
+  /**
+   * Retrieve the per-analysis replays of a run, oldest original first
+   * @param {string} runId - Backtest run ID
+   * @param {object} options - Query options
+   * @param {string|null} options.status - Only replays with this status
+   * @returns {Promise<Array<object>>} Replay results
+   */
+  async getResults(runId, options = {}) {
+    const results = await this.backend.query(this.resultsCollection(runId), {
+      orderBy: { field: "createdAt", direction: "asc" },
+    });
+    return results.filter(
+      (result) => !options.status || result.status === options.status
+    );
+  }
+}
+
+module.exports = BacktestRunner;
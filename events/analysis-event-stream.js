@@ -0,0 +1,147 @@
+/**
+ * Live Analysis Event Stream for News Analysis Service
+ * Pushes analysis cycle lifecycle events to connected clients using
+ * Server-Sent Events, with a short replay buffer for reconnecting clients
+ */
+
+class AnalysisEventStream {
+  /**
+   * @param {object} options - Stream options
+   * @param {number} options.historySize - Recent events kept for Last-Event-ID replay
+   * @param {number} options.heartbeatMs - Interval of keep-alive comments
+   */
+  constructor(options = {}) {
+    this.historySize = options.historySize || 50;
+    this.heartbeatMs = options.heartbeatMs || 25000;
+
+    this.clients = new Set(); // Open SSE responses
+    this.history = []; // { id, type, data }
+    this.nextId = 1;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Register an HTTP response as an SSE client
+   *
+   * Events newer than the client's Last-Event-ID are replayed first so a
+   * reconnecting client does not miss lifecycle events.
+   *
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   */
+  addClient(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const lastEventId = parseInt(req.headers["last-event-id"]);
+    if (!isNaN(lastEventId)) {
+      this.history
+        .filter((event) => event.id > lastEventId)
+        .forEach((event) => this.send(res, event));
+    }
+    this.flush(res);
+
+    this.clients.add(res);
+    this.startHeartbeat();
+    console.log(`📡 [EVENTS] Client connected (${this.clients.size} open)`);
+
+    req.on("close", () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+      console.log(
+        `📡 [EVENTS] Client disconnected (${this.clients.size} open)`
+      );
+    });
+  }
+
+  /**
+   * Send an event to every connected client
+   * @param {string} type - Event type (e.g. 'cycle_started')
+   * @param {object} data - Event payload
+   * @returns {object} Published event
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: this.nextId++,
+      type: type,
+      data: { ...data, timestamp: new Date().toISOString() },
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    this.clients.forEach((res) => {
+      this.send(res, event);
+      this.flush(res);
+    });
+    return event;
+  }
+
+  /**
+   * Write one event in SSE format
+   * @param {object} res - Client response
+   * @param {object} event - Event ({ id, type, data })
+   */
+  send(res, event) {
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+        event.data
+      )}\n\n`
+    );
+  }
+
+  /**
+   * Push buffered output through the compression middleware
+   * @param {object} res - Client response
+   */
+  flush(res) {
+    if (typeof res.flush === "function") {
+      res.flush();
+    }
+  }
+
+  /**
+   * Keep idle connections open through proxies with SSE comments
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((res) => {
+        res.write(`: heartbeat\n\n`);
+        this.flush(res);
+      });
+    }, this.heartbeatMs);
+    // Never keep the process alive just for heartbeats
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop heartbeats once no clients remain
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number} Open SSE connections
+   */
+  getClientCount() {
+    return this.clients.size;
+  }
+}
+
+module.exports = AnalysisEventStream;
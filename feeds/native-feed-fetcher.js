@@ -0,0 +1,326 @@
+/**
+ * Native RSS/Atom Feed Ingestion for News Analysis Service
+ * Fetches feeds from a registry of URLs with conditional GET, parses RSS 2.0,
+ * RSS 1.0 (RDF) and Atom into the article shape used by the analyzer, and
+ * tracks errors per feed
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const xml2js = require("xml2js");
+
+class NativeFeedFetcher {
+  /**
+   * @param {object} options - Fetcher options
+   * @param {string} options.registryFile - Path to the JSON feed registry
+   * @param {Array<string>} options.extraUrls - Additional feed URLs (e.g. from env)
+   * @param {number} options.timeout - Request timeout per feed in milliseconds
+   * @param {string} options.userAgent - User-Agent header sent to feed hosts
+   * @param {object} options.httpClient - axios-compatible HTTP client (default: axios)
+   */
+  constructor(options = {}) {
+    this.registryFile =
+      options.registryFile || path.join(__dirname, "feeds.json");
+    this.extraUrls = options.extraUrls || [];
+    this.timeout = options.timeout || 15000;
+    this.userAgent =
+      options.userAgent || "BlackSwan News Analysis Service/1.0.0";
+    this.httpClient = options.httpClient || axios;
+    this.feeds = new Map(); // key: feed url, value: feed state
+    this.loadRegistry();
+  }
+
+  /**
+   * Load feed definitions from the registry file and extra URLs
+   * @returns {number} Number of registered feeds
+   */
+  loadRegistry() {
+    let definitions = [];
+
+    try {
+      if (fs.existsSync(this.registryFile)) {
+        const registry = JSON.parse(fs.readFileSync(this.registryFile, "utf8"));
+        definitions = Array.isArray(registry.feeds) ? registry.feeds : [];
+      }
+    } catch (error) {
+      console.error(
+        `❌ [FEEDS] Failed to load feed registry ${this.registryFile}:`,
+        error.message
+      );
+    }
+
+    definitions = definitions.concat(
+      this.extraUrls.map((url) => ({ url: url }))
+    );
+
+    definitions
+      .filter((definition) => definition.url && definition.enabled !== false)
+      .forEach((definition) => this.registerFeed(definition));
+
+    console.log(`📡 [FEEDS] Registered ${this.feeds.size} native feeds`);
+    return this.feeds.size;
+  }
+
+  /**
+   * Register a feed, keeping existing state if it is already known
+   *
+   * Feeds with an invalid URL are skipped with a warning.
+   *
+   * @param {object} definition - Feed definition ({ url, name })
+   * @returns {object|null} Feed state, or null if the URL is invalid
+   */
+  registerFeed(definition) {
+    if (this.feeds.has(definition.url)) {
+      return this.feeds.get(definition.url);
+    }
+
+    let hostname;
+    try {
+      hostname = new URL(definition.url).hostname;
+    } catch (error) {
+      console.warn(
+        `⚠️ [FEEDS] Skipping feed with invalid URL "${definition.url}"`
+      );
+      return null;
+    }
+
+    const feed = {
+      url: definition.url,
+      name: definition.name || hostname,
+      etag: null,
+      lastModified: null,
+      cachedArticles: [],
+      lastFetchedAt: null,
+      lastSuccessAt: null,
+      lastStatus: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      totalFailures: 0,
+      totalFetches: 0,
+    };
+    this.feeds.set(definition.url, feed);
+    return feed;
+  }
+
+  /**
+   * Fetch recent articles from every registered feed
+   * @param {number} hours - Lookback window in hours
+   * @param {number} limit - Maximum number of articles to return
+   * @returns {Promise<Array>} Articles sorted newest first
+   */
+  async fetchRecentArticles(hours = 6, limit = 50) {
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+    const results = await Promise.all(
+      Array.from(this.feeds.values()).map((feed) => this.fetchFeed(feed))
+    );
+
+    return results
+      .flat()
+      .filter((article) => {
+        const published = Date.parse(article.publishedAt);
+        return Number.isNaN(published) || published >= cutoff;
+      })
+      .sort(
+        (a, b) =>
+          (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0)
+      )
+      .slice(0, limit);
+  }
+
+  /**
+   * Fetch and parse a single feed using conditional GET
+   *
+   * A 304 response reuses the articles parsed on the last successful fetch.
+   * Validators and success state are only kept once a response parses, so a
+   * malformed body is retried in full. Failures are recorded on the feed and
+   * yield the cached articles.
+   *
+   * @param {object} feed - Feed state
+   * @returns {Promise<Array>} Articles from the feed
+   */
+  async fetchFeed(feed) {
+    const headers = {
+      "User-Agent": this.userAgent,
+      Accept:
+        "application/rss+xml, application/atom+xml, application/xml, text/xml",
+    };
+    if (feed.etag) headers["If-None-Match"] = feed.etag;
+    if (feed.lastModified) headers["If-Modified-Since"] = feed.lastModified;
+
+    feed.lastFetchedAt = new Date().toISOString();
+    feed.totalFetches++;
+
+    try {
+      const response = await this.httpClient.get(feed.url, {
+        timeout: this.timeout,
+        headers: headers,
+        responseType: "text",
+        validateStatus: (status) =>
+          (status >= 200 && status < 300) || status === 304,
+      });
+
+      if (response.status !== 304) {
+        feed.cachedArticles = await this.parseFeed(response.data, feed);
+        feed.etag = response.headers?.etag || null;
+        feed.lastModified = response.headers?.["last-modified"] || null;
+      }
+
+      feed.lastStatus = response.status;
+      feed.lastSuccessAt = feed.lastFetchedAt;
+      feed.lastError = null;
+      feed.consecutiveFailures = 0;
+      return feed.cachedArticles;
+    } catch (error) {
+      feed.lastStatus = error.response?.status || null;
+      feed.lastError = error.message;
+      feed.consecutiveFailures++;
+      feed.totalFailures++;
+      console.error(
+        `❌ [FEEDS] Error fetching ${feed.name} (${feed.consecutiveFailures} consecutive failures):`,
+        error.message
+      );
+      return feed.cachedArticles;
+    }
+  }
+
+  /**
+   * Parse RSS 2.0, RSS 1.0 (RDF) or Atom XML into articles
+   * @param {string} xml - Raw feed XML
+   * @param {object} feed - Feed state (used for the default source name)
+   * @returns {Promise<Array>} Parsed articles
+   */
+  async parseFeed(xml, feed) {
+    const parsed = await xml2js.parseStringPromise(xml, {
+      explicitArray: false,
+      trim: true,
+    });
+
+    if (parsed.rss && parsed.rss.channel) {
+      const channel = parsed.rss.channel;
+      const source = this.text(channel.title) || feed.name;
+      return this.toArray(channel.item).map((item) => ({
+        title: this.text(item.title),
+        url: this.text(item.link) || this.text(item.guid),
+        source: source,
+        publishedAt: this.toIsoDate(item.pubDate || item["dc:date"]),
+        summary: this.stripHtml(this.text(item.description)),
+        content: this.stripHtml(
+          this.text(item["content:encoded"]) || this.text(item.description)
+        ),
+        feedUrl: feed.url,
+      }));
+    }
+
+    if (parsed["rdf:RDF"]) {
+      const rdf = parsed["rdf:RDF"];
+      const source = this.text(rdf.channel && rdf.channel.title) || feed.name;
+      return this.toArray(rdf.item).map((item) => ({
+        title: this.text(item.title),
+        url: this.text(item.link),
+        source: source,
+        publishedAt: this.toIsoDate(item["dc:date"]),
+        summary: this.stripHtml(this.text(item.description)),
+        content: this.stripHtml(this.text(item.description)),
+        feedUrl: feed.url,
+      }));
+    }
+
+    if (parsed.feed) {
+      const source = this.text(parsed.feed.title) || feed.name;
+      return this.toArray(parsed.feed.entry).map((entry) => ({
+        title: this.text(entry.title),
+        url: this.atomLink(entry.link),
+        source: source,
+        publishedAt: this.toIsoDate(entry.published || entry.updated),
+        summary: this.stripHtml(this.text(entry.summary)),
+        content: this.stripHtml(
+          this.text(entry.content) || this.text(entry.summary)
+        ),
+        feedUrl: feed.url,
+      }));
+    }
+
+    throw new Error("Unrecognized feed format");
+  }
+
+  /**
+   * Get the alternate link of an Atom entry
+   * @param {object|Array} link - Parsed <link> element(s)
+   * @returns {string|null} Link URL
+   */
+  atomLink(link) {
+    const links = this.toArray(link);
+    const alternate =
+      links.find((l) => l.$ && (!l.$.rel || l.$.rel === "alternate")) ||
+      links[0];
+    if (!alternate) return null;
+    return alternate.$ ? alternate.$.href : this.text(alternate);
+  }
+
+  /**
+   * Get the text of a parsed XML node
+   * @param {*} node - Parsed node (string or { _: text, $: attributes })
+   * @returns {string} Text content
+   */
+  text(node) {
+    if (node === undefined || node === null) return "";
+    if (typeof node === "string") return node;
+    if (Array.isArray(node)) return this.text(node[0]);
+    if (typeof node._ === "string") return node._;
+    return "";
+  }
+
+  /**
+   * Wrap a parsed node in an array
+   * @param {*} value - Single node, array or undefined
+   * @returns {Array} Array of nodes
+   */
+  toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Convert a feed date to an ISO timestamp
+   * @param {*} value - RFC 822 or ISO 8601 date node
+   * @returns {string|null} ISO timestamp or null if unparseable
+   */
+  toIsoDate(value) {
+    const time = Date.parse(this.text(value));
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * Remove HTML tags and collapse whitespace
+   * @param {string} html - HTML fragment
+   * @returns {string} Plain text
+   */
+  stripHtml(html) {
+    return String(html || "")
+      .replace(/<[^>]*>/g, " ")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Get per-feed fetch status without cached articles
+   * @returns {Array<object>} Feed status list
+   */
+  getFeedStatus() {
+    return Array.from(this.feeds.values()).map(
+      ({ cachedArticles, ...status }) => ({
+        ...status,
+        cachedArticles: cachedArticles.length,
+      })
+    );
+  }
+}
+
+module.exports = NativeFeedFetcher;
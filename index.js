@@ -13,7 +13,7 @@
  * - Global news search via Perplexity AI
  * - Combined analysis using OpenRouter LLM
  * - Automated impact assessment and risk classification
- * - Firestore storage for analysis results
+ * - Firestore, file or in-memory storage for analysis results
  * - RESTful API for manual triggers and data access
  */
 
@@ -27,32 +27,92 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const compression = require("compression");
 
-// Firebase Admin SDK for Firestore database operations
-const admin = require("firebase-admin");
-
 // HTTP client for external API calls
 const axios = require("axios");
 
+// Hashing for article identity and duplicate detection
+const crypto = require("crypto");
+
+// Path resolution for local files such as the service account key
+const path = require("path");
+
 // Cron job scheduler for automated analysis cycles
 const cron = require("node-cron");
 
 // Custom prompt management system for LLM interactions
 const NewsPromptManager = require("./prompts/prompt-config");
 
+// Native RSS/Atom ingestion used alongside or instead of the RSS Feed Service
+const NativeFeedFetcher = require("./feeds/native-feed-fetcher");
+
+// Title comparison helpers shared with the notification subsystem
+const { titleWords, titleSimilarity } = require("./utils/text-matching");
+
+// Webhook alerts for significant and major analyses
+const AlertDispatcher = require("./notifications/alert-dispatcher");
+const AnalysisJobQueue = require("./jobs/analysis-job-queue");
+const AnalysisEventStream = require("./events/analysis-event-stream");
+const { StoryTracker, STORY_STATUSES } = require("./stories/story-tracker");
+const { diffAnalyses } = require("./stories/analysis-diff");
+const ShadowAnalysisRunner = require("./shadow/shadow-runner");
+const BacktestRunner = require("./backtest/backtest-runner");
+const { ApiKeyAuth } = require("./auth/api-key-auth");
+
+// Pluggable storage backends (Firestore, local files, in-memory)
+const { createStorageBackend } = require("./storage");
+
+// LLM provider layer with model fallback (OpenRouter, OpenAI-compatible)
+const LLMClient = require("./llm/llm-client");
+
+// Declared output schemas and validation for LLM responses
+const {
+  ANALYSIS_SCHEMA,
+  SEARCH_SCHEMA,
+  BATCH_SUMMARY_SCHEMA,
+  ASSET_CLASSES,
+  INFLUENCE_LEVELS,
+} = require("./llm/output-schemas");
+const { estimateTokens } = require("./llm/token-estimator");
+const UsageTracker = require("./llm/usage-tracker");
+const { validateSchema } = require("./llm/schema-validator");
+
+/**
+ * Parse a JSON value from an environment variable
+ *
+ * @param {string} name - Environment variable name
+ * @param {*} fallback - Value used when the variable is unset or invalid
+ * @returns {*} Parsed value or fallback
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ [CONFIG] Invalid JSON in ${name}:`, error.message);
+    return fallback;
+  }
+}
+
 /**
- * Firebase Admin SDK Initialization
+ * Parse a comma-separated list from an environment variable
  *
- * Initializes Firebase Admin with service account credentials for Firestore access.
- * The serviceAccountKey.json file contains the Firebase service account credentials
- * required for server-side database operations.
+ * @param {string} name - Environment variable name
+ * @param {Array<string>} fallback - Value used when the variable is unset
+ * @returns {Array<string>} Trimmed, non-empty entries
  */
-const serviceAccount = require("./serviceAccountKey.json");
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+function parseListEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
 
-// Get Firestore database instance for storing analysis results
-const db = admin.firestore();
+  return process.env[name]
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
 
 /**
  * Service Configuration
@@ -68,17 +128,46 @@ const CONFIG = {
   // RSS Feed Service URL for fetching news articles
   RSS_FEED_SERVICE_URL: process.env.RSS_FEED_SERVICE_URL,
 
+  // Native RSS/Atom ingestion from the feed registry (feeds/feeds.json)
+  NATIVE_FEEDS_ENABLED: process.env.NATIVE_FEEDS_ENABLED === "true",
+  NATIVE_FEEDS_FILE: process.env.NATIVE_FEEDS_FILE, // Optional registry override
+  NATIVE_FEED_URLS: parseListEnv("NATIVE_FEED_URLS", []), // Comma-separated extra feeds
+  NATIVE_FEED_TIMEOUT: 15000, // 15 seconds timeout per feed
+
   // Server configuration
   PORT: process.env.PORT || 8088,
 
+  // Storage backend: "firestore" (default), "file" or "memory"
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || "firestore",
+  FIREBASE_SERVICE_ACCOUNT_PATH:
+    process.env.FIREBASE_SERVICE_ACCOUNT_PATH ||
+    path.join(__dirname, "serviceAccountKey.json"),
+  STORAGE_FILE_DIR:
+    process.env.STORAGE_FILE_DIR || path.join(__dirname, "data"), // Used by the file backend
+
   // Analysis timing configuration
   // Cron expression: runs 2 minutes before every hour (00:58, 01:58, 02:58, etc.)
   ANALYSIS_INTERVAL: "58 * * * *",
   MAX_ARTICLES_PER_ANALYSIS: 50, // Maximum articles to process in one analysis cycle
   ARTICLE_LOOKBACK_HOURS: 6, // How far back to look for articles
   ARTICLE_RETENTION_HOURS: 6, // How long to keep articles in memory
+  ARTICLE_DUPLICATE_THRESHOLD: 0.8, // Title word overlap (0-1) to treat articles as the same story
   CLEANUP_INTERVAL: "0 */2 * * *", // Cleanup old articles every 2 hours
 
+  // Change detection: scheduled cycles are skipped unless inputs changed
+  ANALYSIS_MIN_NEW_ARTICLES: 3, // New retained articles since last analysis to run
+  ANALYSIS_MIN_NEW_GLOBAL_EVENTS: 3, // New global events since last analysis to run
+  // Reuse the last global news search this long while articles are unchanged.
+  // New global events cannot trigger an analysis until the reused search
+  // expires, so this is the longest an event without RSS coverage goes unseen
+  PERPLEXITY_MIN_SEARCH_INTERVAL_MINUTES: 120,
+
+  // Optional polling that triggers an analysis early when many articles arrive
+  NEW_ARTICLE_POLLING_ENABLED:
+    process.env.NEW_ARTICLE_POLLING_ENABLED === "true",
+  NEW_ARTICLE_POLL_INTERVAL: "*/10 * * * *", // Poll every 10 minutes
+  EARLY_TRIGGER_MIN_ARTICLES: 10, // New articles needed to trigger early analysis
+
   // Perplexity search configuration for global news discovery
   PERPLEXITY_SEARCH_QUERIES: [
     "cryptocurrency and stockmarket regulatory news breaking developments today",
@@ -88,8 +177,11 @@ const CONFIG = {
     "geopolitical events international conflicts affecting cryptocurrency markets",
     "major financial institutions banks crypto adoption regulatory decisions",
   ],
+  PERPLEXITY_MODELS: parseListEnv("PERPLEXITY_MODELS", ["perplexity/sonar"]), // Search models in fallback order
   PERPLEXITY_MAX_TOKENS: 70000, // Maximum tokens for Perplexity responses
   PERPLEXITY_TIMEOUT: 60000, // 60 seconds timeout for Perplexity search
+  PERPLEXITY_CONCURRENCY: 2, // Maximum topic searches running at once
+  PERPLEXITY_DUPLICATE_THRESHOLD: 0.6, // Title word overlap (0-1) to merge events
 
   // Impact classification thresholds
   IMPACT_THRESHOLDS: {
@@ -98,99 +190,208 @@ const CONFIG = {
     MEDIUM_SCORE: 4, // Scores 4+ are classified as medium impact
   },
 
+  // Webhook alerts, e.g. [{"type":"slack","url":"https://hooks.slack.com/..."}]
+  ALERT_WEBHOOKS: parseJsonEnv("ALERT_WEBHOOKS", []),
+  ALERT_MIN_INFLUENCE: process.env.ALERT_MIN_INFLUENCE || "significant", // Lowest influence that alerts
+  ALERT_DEDUP_HOURS: 6, // Hours before an already-alerted event can alert again
+  ALERT_MAX_RETRIES: 3, // Retries per webhook after the first attempt
+  ALERT_RETRY_DELAY: 2000, // Base delay (ms) for exponential backoff
+  ALERT_TIMEOUT: 10000, // 10 seconds timeout per webhook request
+
+  // Story tracking across analysis cycles
+  STORY_MATCH_THRESHOLD: 0.5, // Title overlap (0-1) for an event to continue an open story
+  STORY_ESCALATION_DELTA: 1, // Impact score rise that marks a story as escalating
+  STORY_RESOLVE_HOURS: 24, // Hours without a sighting before a story is resolved
+
   // LLM configuration for analysis
   LLM_MODEL: "openai/gpt-5-mini", // Model to use for news analysis
+  LLM_FALLBACK_MODELS: parseListEnv("LLM_FALLBACK_MODELS", []), // Tried in order when LLM_MODEL fails
+  // Additional OpenAI-compatible providers, e.g. {"ollama":{"baseUrl":"http://localhost:11434/v1"}}
+  // Models on them are written "model@provider", e.g. "llama3.1:8b@ollama"
+  LLM_PROVIDERS: parseJsonEnv("LLM_PROVIDERS", {}),
   LLM_TIMEOUT: 60000, // 60 seconds timeout for LLM requests
   LLM_MAX_TOKENS: 50000, // Maximum tokens for LLM responses
+  LLM_MAX_REPAIR_ATTEMPTS: 2, // Re-prompts with validation errors before a response is rejected
+
+  // Usage accounting: USD per million tokens, keyed by model or "model@provider"
+  LLM_PRICING: {
+    "openai/gpt-5-mini": { prompt: 0.25, completion: 2 },
+    "perplexity/sonar": { prompt: 1, completion: 1 },
+    ...parseJsonEnv("LLM_PRICING", {}),
+  },
+  // Spend caps in USD; analyses are blocked once a cap is reached (null disables)
+  LLM_DAILY_BUDGET_USD: parseJsonEnv("LLM_DAILY_BUDGET_USD", null),
+  LLM_MONTHLY_BUDGET_USD: parseJsonEnv("LLM_MONTHLY_BUDGET_USD", null),
+
+  // Map-reduce analysis for article sets that do not fit in one prompt
+  LLM_PROMPT_TOKEN_BUDGET: 60000, // Estimated prompt tokens above which articles are summarized in batches first
+  MAP_REDUCE_BATCH_TOKENS: 12000, // Estimated article tokens per batch summary request
+  MAP_REDUCE_CONCURRENCY: 2, // Batch summaries requested in parallel
+
+  // Re-read prompt templates when their files change (set to "false" to disable)
+  PROMPT_WATCH_ENABLED: process.env.PROMPT_WATCH_ENABLED !== "false",
+
+  // Shadow variants run on the same inputs for comparison only, e.g.
+  // [{"name":"v2-prompt","promptVersion":"v2"},{"name":"sonnet","model":"anthropic/claude-sonnet-4"}]
+  SHADOW_VARIANTS: parseJsonEnv("SHADOW_VARIANTS", []),
+
+  // Backtests replay stored analyses with another prompt version or model
+  BACKTEST_MAX_ANALYSES: 200, // Maximum analyses replayed by one backtest run
+
+  // API keys, e.g. [{"name":"ops","key":"<secret>","scopes":["admin"]}]
+  // Scopes: read (GET endpoints), trigger (analysis, search and backtests), admin (everything)
+  // Authentication is enforced once at least one key is configured; further
+  // keys can be created through /api/keys and are kept in storage
+  API_KEYS: parseJsonEnv("API_KEYS", []),
+  API_KEY_RATE_LIMIT: 60, // Requests per minute per key unless the key sets rateLimitPerMinute
+  API_AUDIT_RETENTION_DAYS: 30, // Days audit log entries are kept
 };
 
-/**
- * Express Application Setup
- *
- * Configures the Express web server with security middleware,
- * rate limiting, and request parsing capabilities.
- */
-const app = express();
-
-// Security middleware stack
-app.use(helmet()); // Sets various HTTP headers for security
-app.use(compression()); // Compresses responses to reduce bandwidth
-app.use(cors()); // Enables Cross-Origin Resource Sharing
-app.use(express.json({ limit: "10mb" })); // Parses JSON bodies with 10MB limit
-
-// Rate limiting configuration to prevent abuse
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes window
-  max: 100, // Maximum 100 requests per IP per window
-  message: "Too many requests from this IP, please try again later.",
-});
-app.use("/api/", limiter); // Apply rate limiting to all API routes
+// Ordered model list for analysis: the primary model followed by fallbacks
+CONFIG.LLM_MODELS = [CONFIG.LLM_MODEL, ...CONFIG.LLM_FALLBACK_MODELS];
 
 /**
  * Global Service State
  *
  * Maintains the current state of the service including running status,
  * analysis statistics, and article retention data.
- */
-let serviceState = {
-  isRunning: false, // Whether the service is currently running
-  isAnalyzing: false, // Whether an analysis is currently in progress
-  lastAnalysis: null, // Details of the most recent analysis
-  totalAnalyses: 0, // Total number of analyses performed
-  stats: {
-    totalArticlesProcessed: 0, // Total RSS articles processed
-    totalPerplexitySearches: 0, // Total Perplexity searches performed
-    criticalAlertsGenerated: 0, // Number of critical impact alerts
-    highImpactEventsDetected: 0, // Number of high impact events found
-    averageImpactScore: 0, // Average impact score across analyses
-    lastRSSCheck: null, // Timestamp of last RSS feed check
-    lastPerplexitySearch: null, // Timestamp of last Perplexity search
-    recentAnalyses: [], // Array of recent analysis results (last 10)
-  },
-  // Article retention system for 6-hour article storage
-  retainedArticles: new Map(), // key: article_id, value: {article, timestamp}
-  lastCleanup: null, // Timestamp of last article cleanup
-};
-
-/**
- * Initialize Prompt Manager
  *
- * Creates an instance of the prompt management system that handles
- * loading and templating of LLM prompts for news analysis.
+ * @returns {Object} Fresh service state
  */
-const promptManager = new NewsPromptManager();
+function createServiceState() {
+  return {
+    isRunning: false, // Whether the service is currently running
+    isAnalyzing: false, // Whether an analysis is currently in progress
+    lastAnalysis: null, // Details of the most recent analysis
+    totalAnalyses: 0, // Total number of analyses performed
+    stats: {
+      totalArticlesProcessed: 0, // Total RSS articles processed
+      totalPerplexitySearches: 0, // Total Perplexity searches performed
+      criticalAlertsGenerated: 0, // Number of critical impact alerts
+      highImpactEventsDetected: 0, // Number of high impact events found
+      averageImpactScore: 0, // Average impact score across analyses
+      lastRSSCheck: null, // Timestamp of last RSS feed check
+      lastPerplexitySearch: null, // Timestamp of last Perplexity search
+      failedAnalyses: 0, // Cycles whose LLM output failed after repair attempts
+      lastFailedAnalysis: null, // Details of the most recent failed cycle
+      skippedAnalyses: 0, // Scheduled cycles skipped because inputs were unchanged
+      earlyTriggeredAnalyses: 0, // Analyses triggered early by new-article polling
+      lastSkippedAnalysis: null, // Details of the most recent skipped cycle
+      reusedGlobalSearches: 0, // Cycles that reused the last global news search
+      lastReusedGlobalSearch: null, // When a search was last reused, and until when it may be
+      budgetBlockedAnalyses: 0, // Cycles not run because an LLM budget was exhausted
+      lastBudgetBlock: null, // Details of the most recent budget-blocked cycle
+      recentAnalyses: [], // Array of recent analysis results (last 10)
+    },
+    // Article retention system for 6-hour article storage
+    retainedArticles: new Map(), // key: article_id, value: {article, timestamp}
+    lastCleanup: null, // Timestamp of last article cleanup
+  };
+}
 
 /**
  * RSS Article Fetcher Class
  *
- * Handles communication with the RSS Feed Service to fetch recent articles
- * and check for new content. This class manages the retrieval of news articles
- * from various RSS sources that are relevant to cryptocurrency markets.
+ * Collects recent articles from the configured sources: the external RSS Feed
+ * Service (when RSS_FEED_SERVICE_URL is set) and the native feed registry
+ * (when NATIVE_FEEDS_ENABLED is true). This class manages the retrieval of
+ * news articles from various RSS sources that are relevant to cryptocurrency markets.
  */
 class NewsRSSFetcher {
-  constructor() {
+  /**
+   * @param {Object} options - Fetcher options
+   * @param {Object} options.config - Service configuration
+   * @param {Object} options.state - Service state from createServiceState
+   * @param {Object} options.httpClient - axios-compatible HTTP client (default: axios)
+   */
+  constructor(options = {}) {
+    this.config = options.config;
+    this.state = options.state;
+    this.httpClient = options.httpClient || axios;
     this.lastFetchTime = null; // Timestamp of the last successful fetch
+    this.nativeFeeds = this.config.NATIVE_FEEDS_ENABLED
+      ? new NativeFeedFetcher({
+          registryFile: this.config.NATIVE_FEEDS_FILE,
+          extraUrls: this.config.NATIVE_FEED_URLS,
+          timeout: this.config.NATIVE_FEED_TIMEOUT,
+          userAgent: "BlackSwan News Analysis Service/1.0.0",
+          httpClient: this.httpClient,
+        })
+      : null;
   }
 
   /**
-   * Fetch recent articles from the RSS Feed Service
+   * Fetch recent articles from all configured sources
    *
    * @param {number} hours - Number of hours to look back for articles (default: 6)
    * @param {number|null} minImpact - Minimum impact score filter (not used in current implementation)
    * @returns {Array} Array of article objects from RSS feeds
    */
   async fetchRecentArticles(hours = 6, minImpact = null) {
+    const sources = [];
+
+    if (this.config.RSS_FEED_SERVICE_URL) {
+      sources.push(this.fetchFromFeedService(hours));
+    }
+
+    if (this.nativeFeeds) {
+      sources.push(this.fetchFromNativeFeeds(hours));
+    }
+
+    if (sources.length === 0) {
+      console.warn(
+        `⚠️ [RSS] No article sources configured (set RSS_FEED_SERVICE_URL or NATIVE_FEEDS_ENABLED)`
+      );
+      return [];
+    }
+
+    const articles = (await Promise.all(sources)).flat();
+    this.lastFetchTime = new Date().toISOString();
+    this.state.stats.lastRSSCheck = this.lastFetchTime;
+    return articles;
+  }
+
+  /**
+   * Fetch recent articles from the native feed registry
+   *
+   * @param {number} hours - Number of hours to look back for articles
+   * @returns {Array} Array of article objects parsed from registered feeds
+   */
+  async fetchFromNativeFeeds(hours) {
+    try {
+      console.log(
+        `📡 [FEEDS] Fetching native feeds from last ${hours} hours...`
+      );
+      const articles = await this.nativeFeeds.fetchRecentArticles(
+        hours,
+        this.config.MAX_ARTICLES_PER_ANALYSIS
+      );
+      console.log(`📊 [FEEDS] Fetched ${articles.length} native feed articles`);
+      return articles;
+    } catch (error) {
+      console.error(`❌ [FEEDS] Error fetching native feeds:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch recent articles from the RSS Feed Service
+   *
+   * @param {number} hours - Number of hours to look back for articles
+   * @returns {Array} Array of article objects from the RSS Feed Service
+   */
+  async fetchFromFeedService(hours) {
     try {
       console.log(`📰 [RSS] Fetching articles from last ${hours} hours...`);
 
       // Make HTTP request to RSS Feed Service
-      const response = await axios.get(
-        `${CONFIG.RSS_FEED_SERVICE_URL}/api/articles/recent`,
+      const response = await this.httpClient.get(
+        `${this.config.RSS_FEED_SERVICE_URL}/api/articles/recent`,
         {
           timeout: 15000, // 15 second timeout
           params: {
             hours: hours,
-            limit: CONFIG.MAX_ARTICLES_PER_ANALYSIS,
+            limit: this.config.MAX_ARTICLES_PER_ANALYSIS,
           },
           headers: {
             "User-Agent": "BlackSwan News Analysis Service/1.0.0",
@@ -206,7 +407,6 @@ class NewsRSSFetcher {
       }
 
       const articles = response.data.articles || [];
-      this.lastFetchTime = new Date().toISOString();
 
       console.log(`📊 [RSS] Fetched ${articles.length} articles for analysis`);
       return articles;
@@ -226,8 +426,8 @@ class NewsRSSFetcher {
       console.log(`🔍 [RSS] Checking for new articles...`);
 
       // Check RSS Feed Service for new articles
-      const response = await axios.get(
-        `${CONFIG.RSS_FEED_SERVICE_URL}/api/articles/new`,
+      const response = await this.httpClient.get(
+        `${this.config.RSS_FEED_SERVICE_URL}/api/articles/new`,
         {
           timeout: 10000, // 10 second timeout
           headers: {
@@ -307,6 +507,120 @@ function extractJsonFromResponse(content) {
   return content;
 }
 
+/**
+ * Parse an LLM response as JSON and validate it against a schema
+ *
+ * @param {string} content - Raw response content
+ * @param {Object} schema - Output schema from llm/output-schemas
+ * @returns {Object} Parsed JSON data
+ * @throws {Error} With a `validationErrors` list if parsing or validation fails
+ */
+function parseJsonWithSchema(content, schema) {
+  let data;
+  try {
+    data = JSON.parse(extractJsonFromResponse(content));
+  } catch (parseError) {
+    const error = new Error(
+      `Response is not valid JSON: ${parseError.message}`
+    );
+    error.validationErrors = [
+      `Response is not valid JSON (${parseError.message})`,
+    ];
+    throw error;
+  }
+
+  const validationErrors = validateSchema(data, schema);
+  if (validationErrors.length > 0) {
+    const error = new Error(
+      `Schema validation failed: ${validationErrors.slice(0, 5).join("; ")}`
+    );
+    error.validationErrors = validationErrors;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Classify a 0-10 impact score into a tier
+ *
+ * @param {number|null} score - Impact score
+ * @param {Object} thresholds - Tier thresholds (default: CONFIG.IMPACT_THRESHOLDS)
+ * @returns {string|null} "critical", "high", "medium", "low", or null if unscored
+ */
+function classifyImpactScore(score, thresholds = CONFIG.IMPACT_THRESHOLDS) {
+  if (typeof score !== "number") {
+    return null;
+  }
+  if (score >= thresholds.CRITICAL_SCORE) return "critical";
+  if (score >= thresholds.HIGH_SCORE) return "high";
+  if (score >= thresholds.MEDIUM_SCORE) return "medium";
+  return "low";
+}
+
+/**
+ * Run an async function over items with bounded concurrency
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Array} Results in the same order as the input items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  // Each worker pulls the next unprocessed item until none remain
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+// Ordering of Perplexity crypto_relevance values used when merging events
+const RELEVANCE_RANK = { low: 1, medium: 2, high: 3 };
+
+// Query parameters that track referrals rather than identify content
+const TRACKING_PARAM_PATTERN =
+  /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|cmpid|ito|ocid|guccounter)$/i;
+
+/**
+ * Canonicalize an article URL
+ *
+ * Lowercases the host, drops "www.", fragments, trailing slashes and tracking
+ * parameters, and sorts the remaining query parameters.
+ *
+ * @param {string} url - Article URL
+ * @returns {string|null} Canonical URL, or null if the URL is missing or invalid
+ */
+function canonicalizeUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(String(url).trim());
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    const pathname = parsed.pathname.replace(/\/+$/, "");
+
+    return `${host}${parsed.port ? `:${parsed.port}` : ""}${pathname}${
+      query ? `?${query}` : ""
+    }`;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Perplexity News Searcher Class
  *
@@ -315,7 +629,16 @@ function extractJsonFromResponse(content) {
  * focuses on finding real-time global events that may not be captured by RSS feeds.
  */
 class PerplexityNewsSearcher {
-  constructor() {
+  /**
+   * @param {Object} options - Searcher options
+   * @param {Object} options.config - Service configuration
+   * @param {Object} options.state - Service state from createServiceState
+   * @param {Object} options.llmClient - LLM client the searches are sent through
+   */
+  constructor(options = {}) {
+    this.config = options.config;
+    this.state = options.state;
+    this.llmClient = options.llmClient;
     this.searchCount = 0; // Total number of searches performed
     this.lastSearchTime = null; // Timestamp of the last search
   }
@@ -323,29 +646,100 @@ class PerplexityNewsSearcher {
   /**
    * Search for global news events that could impact cryptocurrency markets
    *
-   * Uses Perplexity AI to search for breaking news, regulatory announcements,
-   * economic indicators, and geopolitical events that may affect crypto markets.
+   * Runs every configured topic in CONFIG.PERPLEXITY_SEARCH_QUERIES as its own
+   * Perplexity search with bounded concurrency, then merges and de-duplicates
+   * the returned events. Each event records the topics that surfaced it.
    *
    * @returns {Object} Search results containing global news events and analysis
    */
   async searchGlobalNews() {
+    const queries = this.config.PERPLEXITY_SEARCH_QUERIES;
+
     try {
       console.log(
-        `🔍 [PERPLEXITY] Searching for latest global crypto-relevant news...`
+        `🔍 [PERPLEXITY] Searching ${queries.length} topics for latest global crypto-relevant news (concurrency: ${this.config.PERPLEXITY_CONCURRENCY})...`
+      );
+
+      // Run each topic search, capturing failures per topic
+      const topicResults = await mapWithConcurrency(
+        queries,
+        this.config.PERPLEXITY_CONCURRENCY,
+        async (query) => {
+          try {
+            return { query, ...(await this.searchTopic(query)) };
+          } catch (error) {
+            console.error(
+              `❌ [PERPLEXITY] Topic search failed for "${query}":`,
+              error.message
+            );
+            return { query, global_news_events: [], error: error.message };
+          }
+        }
+      );
+
+      const successfulTopics = topicResults.filter((result) => !result.error);
+      const failedTopics = topicResults.filter((result) => result.error);
+
+      if (successfulTopics.length === 0) {
+        throw new Error(
+          `All ${queries.length} topic searches failed: ${failedTopics
+            .map((result) => result.error)
+            .join("; ")}`
+        );
+      }
+
+      const searchData = this.mergeTopicResults(successfulTopics);
+      searchData.topics = topicResults.map((result) => ({
+        query: result.query,
+        events_found: result.global_news_events.length,
+        error: result.error || null,
+      }));
+
+      if (failedTopics.length > 0) {
+        searchData.failed_topics = failedTopics.map((result) => result.query);
+      }
+
+      // Update class and service statistics
+      this.searchCount++;
+      this.lastSearchTime = new Date().toISOString();
+      this.state.stats.totalPerplexitySearches++;
+      this.state.stats.lastPerplexitySearch = this.lastSearchTime;
+
+      console.log(
+        `✅ [PERPLEXITY] Successfully found ${searchData.total_events} crypto-relevant global news events across ${successfulTopics.length}/${queries.length} topics`
+      );
+
+      return searchData;
+    } catch (error) {
+      console.error(
+        `❌ [PERPLEXITY] Error in global news search:`,
+        error.message
       );
 
-      // Construct comprehensive search query for crypto-relevant global events
-      const searchQuery = `Search for and analyze the most important global news events in the last 24 hours that could significantly impact cryptocurrency markets.
+      return {
+        global_news_events: [],
+        search_summary: "Error occurred while searching global news",
+        total_events: 0,
+        search_timestamp: new Date().toISOString(),
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Search a single topic with Perplexity
+   *
+   * @param {string} topic - Topical search query from CONFIG.PERPLEXITY_SEARCH_QUERIES
+   * @returns {Object} Parsed search data for the topic
+   * @throws {Error} If the request fails or the response does not match SEARCH_SCHEMA
+   */
+  async searchTopic(topic) {
+    // Construct a focused search query for this topic
+    const searchQuery = `Search for and analyze the most important global news events in the last 24 hours that could significantly impact cryptocurrency markets.
+
+Search topic: ${topic}
 
-Focus specifically on:
-- Regulatory announcements and government policy decisions affecting crypto
-- Central bank decisions, interest rate changes, and monetary policy
-- Major economic indicators, recession signals, or financial market instability
-- Geopolitical events, wars, sanctions, or international conflicts
-- Major financial institution decisions regarding cryptocurrency
-- Technology developments, security breaches, or protocol issues
-- Corporate adoption or rejection of cryptocurrency
-- Breaking news from major governments (US, EU, China, etc.)
+Only report events that fall within this topic.
 
 Return the results in the following JSON format:
 {
@@ -369,98 +763,106 @@ Return the results in the following JSON format:
   "risk_assessment": "overall assessment of current global risk environment for crypto"
 }
 
-Provide only valid JSON, no additional text. Focus on events with medium to high crypto relevance. Aim for 8-15 of the most significant events.`;
+Provide only valid JSON, no additional text. Focus on events with medium to high crypto relevance. Aim for 3-6 of the most significant events.`;
 
-      // Make API request to OpenRouter with Perplexity model
-      const response = await axios.post(
-        `${CONFIG.OPENROUTER_BASE_URL}/chat/completions`,
+    // Request the search from Perplexity's real-time search models,
+    // re-prompting with validation errors when the JSON is malformed
+    const completion = await this.llmClient.completeWithRepair({
+      models: this.config.PERPLEXITY_MODELS,
+      purpose: "search",
+      messages: [
         {
-          model: "perplexity/sonar", // Perplexity's real-time search model
-          messages: [
-            {
-              role: "user",
-              content: searchQuery,
-            },
-          ],
-          max_tokens: CONFIG.PERPLEXITY_MAX_TOKENS,
+          role: "user",
+          content: searchQuery,
         },
-        {
-          headers: {
-            Authorization: `Bearer ${CONFIG.OPENROUTER_API_KEY}`,
-            "Content-Type": "application/json",
-            "X-Title": "BlackSwan News Analysis Service",
-          },
-          timeout: CONFIG.PERPLEXITY_TIMEOUT,
-        }
-      );
+      ],
+      maxTokens: this.config.PERPLEXITY_MAX_TOKENS,
+      timeout: this.config.PERPLEXITY_TIMEOUT,
+      maxRepairs: this.config.LLM_MAX_REPAIR_ATTEMPTS,
+      parse: (content) => parseJsonWithSchema(content, SEARCH_SCHEMA),
+    });
 
-      // Extract response content from OpenRouter
-      const content = response.data.choices[0].message.content.trim();
+    return completion.data;
+  }
 
-      // Extract JSON from potential markdown code blocks
-      const jsonContent = extractJsonFromResponse(content);
+  /**
+   * Merge per-topic search results into a single result set
+   *
+   * Events reported by several topics are collapsed into one event whose
+   * `search_topics` lists every topic that surfaced it.
+   *
+   * @param {Array} topicResults - Successful topic results ({ query, global_news_events, ... })
+   * @returns {Object} Combined search results in the single-search shape
+   */
+  mergeTopicResults(topicResults) {
+    const mergedEvents = [];
 
-      // Parse the JSON response and validate structure
-      try {
-        const searchData = JSON.parse(jsonContent);
+    topicResults.forEach((result) => {
+      result.global_news_events.forEach((event) => {
+        const duplicate = mergedEvents.find((existing) =>
+          this.isDuplicateEvent(existing, event)
+        );
 
-        // Validate and ensure required data structure exists
-        if (!searchData.global_news_events) {
-          searchData.global_news_events = [];
+        if (!duplicate) {
+          mergedEvents.push({ ...event, search_topics: [result.query] });
+          return;
         }
 
-        // Update metadata and statistics
-        searchData.total_events = searchData.global_news_events.length;
-        searchData.search_timestamp = new Date().toISOString();
-
-        // Update class and service statistics
-        this.searchCount++;
-        this.lastSearchTime = new Date().toISOString();
-        serviceState.stats.totalPerplexitySearches++;
-        serviceState.stats.lastPerplexitySearch = this.lastSearchTime;
-
-        console.log(
-          `✅ [PERPLEXITY] Successfully found ${searchData.total_events} crypto-relevant global news events`
-        );
-
-        return searchData;
-      } catch (parseError) {
-        console.error(
-          `❌ [PERPLEXITY] Failed to parse JSON response:`,
-          parseError.message
-        );
-        console.error(
-          `❌ [PERPLEXITY] Raw response content:`,
-          content.substring(0, 500) + "..."
-        );
-        console.error(
-          `❌ [PERPLEXITY] Extracted JSON content:`,
-          jsonContent.substring(0, 500) + "..."
+        // Combine what both reports know about the same event
+        if (!duplicate.search_topics.includes(result.query)) {
+          duplicate.search_topics.push(result.query);
+        }
+        duplicate.affected_assets = Array.from(
+          new Set([
+            ...(duplicate.affected_assets || []),
+            ...(event.affected_assets || []),
+          ])
         );
+        if (
+          RELEVANCE_RANK[event.crypto_relevance] >
+          RELEVANCE_RANK[duplicate.crypto_relevance]
+        ) {
+          duplicate.crypto_relevance = event.crypto_relevance;
+        }
+        if (
+          (event.description || "").length >
+          (duplicate.description || "").length
+        ) {
+          duplicate.description = event.description;
+        }
+      });
+    });
 
-        return {
-          global_news_events: [],
-          search_summary: "Failed to parse search results",
-          total_events: 0,
-          search_timestamp: new Date().toISOString(),
-          error: "JSON parsing failed",
-          raw_response: content,
-        };
-      }
-    } catch (error) {
-      console.error(
-        `❌ [PERPLEXITY] Error in global news search:`,
-        error.message
-      );
+    return {
+      global_news_events: mergedEvents,
+      search_summary: topicResults
+        .map((result) => result.search_summary)
+        .filter(Boolean)
+        .join(" "),
+      total_events: mergedEvents.length,
+      search_timestamp: new Date().toISOString(),
+      risk_assessment: topicResults
+        .map((result) => result.risk_assessment)
+        .filter(Boolean)
+        .join(" "),
+    };
+  }
 
-      return {
-        global_news_events: [],
-        search_summary: "Error occurred while searching global news",
-        total_events: 0,
-        search_timestamp: new Date().toISOString(),
-        error: error.message,
-      };
-    }
+  /**
+   * Determine whether two events describe the same story
+   *
+   * Compares the significant words of both titles and treats events with a
+   * high overlap as duplicates.
+   *
+   * @param {Object} a - First event
+   * @param {Object} b - Second event
+   * @returns {boolean} True if the events overlap enough to be merged
+   */
+  isDuplicateEvent(a, b) {
+    return (
+      titleSimilarity(titleWords(a.title), titleWords(b.title)) >=
+      this.config.PERPLEXITY_DUPLICATE_THRESHOLD
+    );
   }
 }
 
@@ -472,8 +874,16 @@ Provide only valid JSON, no additional text. Focus on events with medium to high
  * immediately processed, providing a buffer for comprehensive analysis cycles.
  */
 class ArticleRetentionManager {
-  constructor() {
+  /**
+   * @param {Object} options - Retention options
+   * @param {Object} options.config - Service configuration
+   * @param {Object} options.state - Service state holding the retained articles
+   */
+  constructor(options = {}) {
+    this.config = options.config;
+    this.state = options.state;
     this.cleanupCount = 0; // Number of cleanup operations performed
+    this.duplicatesMerged = 0; // Number of syndicated copies merged into retained articles
   }
 
   /**
@@ -485,25 +895,86 @@ class ArticleRetentionManager {
   addArticles(articles) {
     const now = Date.now();
     let addedCount = 0;
+    let mergedCount = 0;
 
     // Process each article and add to retention if not already present
     articles.forEach((article) => {
       const articleId = this.generateArticleId(article);
-      if (!serviceState.retainedArticles.has(articleId)) {
-        serviceState.retainedArticles.set(articleId, {
-          article: article,
-          timestamp: now,
-        });
-        addedCount++;
+      if (this.state.retainedArticles.has(articleId)) {
+        return;
+      }
+
+      const canonicalUrl = canonicalizeUrl(article.url);
+      const contentHash = this.generateContentHash(article);
+      const source = {
+        source: article.source || null,
+        url: article.url || null,
+        canonicalUrl: canonicalUrl,
+        publishedAt: article.publishedAt || null,
+      };
+
+      // Syndicated copies of a retained story only add another source
+      const duplicate = this.findDuplicate(article, canonicalUrl, contentHash);
+      if (duplicate) {
+        const sources = duplicate.article.sources;
+        if (!sources.some((s) => s.canonicalUrl === canonicalUrl)) {
+          sources.push(source);
+          this.duplicatesMerged++;
+          mergedCount++;
+        }
+        return;
       }
+
+      this.state.retainedArticles.set(articleId, {
+        article: { ...article, articleId: articleId, sources: [source] },
+        timestamp: now,
+        contentHash: contentHash,
+        titleWords: titleWords(article.title),
+      });
+      addedCount++;
     });
 
     console.log(
-      `📚 [RETENTION] Added ${addedCount} new articles, total retained: ${serviceState.retainedArticles.size}`
+      `📚 [RETENTION] Added ${addedCount} new articles, merged ${mergedCount} duplicates, total retained: ${this.state.retainedArticles.size}`
     );
     return addedCount;
   }
 
+  /**
+   * Find a retained article that reports the same story
+   *
+   * An article is a duplicate when it shares a canonical URL or content hash
+   * with a retained article, or when its title overlaps a retained title by at
+   * least CONFIG.ARTICLE_DUPLICATE_THRESHOLD.
+   *
+   * @param {Object} article - Incoming article object
+   * @param {string|null} canonicalUrl - Canonical URL of the incoming article
+   * @param {string} contentHash - Content hash of the incoming article
+   * @returns {Object|null} Matching retention entry or null
+   */
+  findDuplicate(article, canonicalUrl, contentHash) {
+    const words = titleWords(article.title);
+
+    for (const entry of this.state.retainedArticles.values()) {
+      if (
+        entry.contentHash === contentHash ||
+        (canonicalUrl &&
+          entry.article.sources.some((s) => s.canonicalUrl === canonicalUrl))
+      ) {
+        return entry;
+      }
+
+      if (
+        titleSimilarity(words, entry.titleWords) >=
+        this.config.ARTICLE_DUPLICATE_THRESHOLD
+      ) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get all currently retained articles
    *
@@ -511,7 +982,7 @@ class ArticleRetentionManager {
    */
   getRetainedArticles() {
     // Extract articles from retention map, discarding timestamps
-    const articles = Array.from(serviceState.retainedArticles.values()).map(
+    const articles = Array.from(this.state.retainedArticles.values()).map(
       (item) => item.article
     );
     console.log(
@@ -527,22 +998,22 @@ class ArticleRetentionManager {
    */
   cleanupOldArticles() {
     const now = Date.now();
-    const retentionMs = CONFIG.ARTICLE_RETENTION_HOURS * 60 * 60 * 1000;
+    const retentionMs = this.config.ARTICLE_RETENTION_HOURS * 60 * 60 * 1000;
     let removedCount = 0;
 
     // Iterate through retained articles and remove expired ones
-    for (const [articleId, data] of serviceState.retainedArticles.entries()) {
+    for (const [articleId, data] of this.state.retainedArticles.entries()) {
       if (now - data.timestamp > retentionMs) {
-        serviceState.retainedArticles.delete(articleId);
+        this.state.retainedArticles.delete(articleId);
         removedCount++;
       }
     }
 
     this.cleanupCount++;
-    serviceState.lastCleanup = new Date().toISOString();
+    this.state.lastCleanup = new Date().toISOString();
 
     console.log(
-      `🧹 [CLEANUP] Removed ${removedCount} old articles, ${serviceState.retainedArticles.size} remaining`
+      `🧹 [CLEANUP] Removed ${removedCount} old articles, ${this.state.retainedArticles.size} remaining`
     );
     return removedCount;
   }
@@ -550,14 +1021,41 @@ class ArticleRetentionManager {
   /**
    * Generate a unique ID for an article
    *
+   * Uses the canonical URL when available so tracking parameters and host
+   * variations map to the same article, otherwise falls back to the content hash.
+   *
    * @param {Object} article - Article object
-   * @returns {string} Unique article identifier
+   * @returns {string} Unique article identifier (32 hex characters)
    */
   generateArticleId(article) {
-    // Create unique ID based on article content
-    const content =
-      (article.title || "") + (article.url || "") + (article.publishedAt || "");
-    return Buffer.from(content).toString("base64").substring(0, 16);
+    const canonicalUrl = canonicalizeUrl(article.url);
+    const identity = canonicalUrl
+      ? `url:${canonicalUrl}`
+      : `content:${this.generateContentHash(article)}`;
+    return crypto
+      .createHash("sha256")
+      .update(identity)
+      .digest("hex")
+      .substring(0, 32);
+  }
+
+  /**
+   * Generate a hash of an article's normalized title and body
+   *
+   * @param {Object} article - Article object
+   * @returns {string} SHA-256 hex digest
+   */
+  generateContentHash(article) {
+    const normalize = (text) =>
+      String(text || "")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim();
+    const body = article.content || article.summary || "";
+    return crypto
+      .createHash("sha256")
+      .update(`${normalize(article.title)}\n${normalize(body)}`)
+      .digest("hex");
   }
 
   /**
@@ -567,14 +1065,36 @@ class ArticleRetentionManager {
    */
   getRetentionStats() {
     return {
-      totalArticles: serviceState.retainedArticles.size,
+      totalArticles: this.state.retainedArticles.size,
       cleanupCount: this.cleanupCount,
-      lastCleanup: serviceState.lastCleanup,
-      retentionHours: CONFIG.ARTICLE_RETENTION_HOURS,
+      duplicatesMerged: this.duplicatesMerged,
+      lastCleanup: this.state.lastCleanup,
+      retentionHours: this.config.ARTICLE_RETENTION_HOURS,
     };
   }
 }
 
+// Template data fields NewsImpactAnalyzer fills each prompt with; templates
+// are validated against these before they are made active
+const PROMPT_TEMPLATE_FIELDS = {
+  "news-impact-analysis": [
+    "timestamp",
+    "analysis_type",
+    "total_rss_articles",
+    "total_global_events",
+    "rss_articles",
+    "batch_summaries",
+    "global_news",
+  ],
+  "article-batch-summary": [
+    "timestamp",
+    "batch_number",
+    "total_batches",
+    "batch_article_count",
+    "rss_articles",
+  ],
+};
+
 /**
  * News Impact Analyzer Class
  *
@@ -583,7 +1103,16 @@ class ArticleRetentionManager {
  * analyze content and generate structured impact assessments.
  */
 class NewsImpactAnalyzer {
-  constructor() {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {Object} options.config - Service configuration (default: CONFIG)
+   * @param {Object} options.llmClient - LLM client analyses are sent through
+   * @param {Object} options.promptManager - Prompt manager rendering the analysis prompts
+   */
+  constructor(options = {}) {
+    this.config = options.config || CONFIG;
+    this.llmClient = options.llmClient;
+    this.promptManager = options.promptManager;
     this.analysisCount = 0; // Total number of analyses performed
   }
 
@@ -593,13 +1122,38 @@ class NewsImpactAnalyzer {
    * @param {Array} rssArticles - Array of RSS articles to analyze
    * @param {Object} perplexityResults - Global news search results from Perplexity
    * @param {Object|null} marketContext - Market context data (not used in current implementation)
+   * @param {Object} options - Analysis options
+   * @param {string} options.promptVersion - Prompt version to use instead of the current default
+   * @param {Array<string>} options.models - Model fallback chain to use instead of CONFIG.LLM_MODELS
+   * @param {string} options.timestamp - Analysis time given to the prompt instead of now (for replays)
+   * @param {string} options.purpose - Usage label for every LLM call of the analysis, e.g. 'backtest' (default: 'analysis', with 'batch_summary' for map-reduce batches)
    * @returns {Object|null} Analysis results or null if no content to analyze
    */
   async analyzeCombinedNews(
     rssArticles,
     perplexityResults,
-    marketContext = null
+    marketContext = null,
+    options = {}
   ) {
+    const promptVersion =
+      options.promptVersion || this.promptManager.currentVersion;
+    const models = options.models || this.config.LLM_MODELS;
+
+    // Record which prompt and model produced this analysis for provenance
+    const metadata = {
+      promptName: "news-impact-analysis",
+      promptVersion: promptVersion,
+      model: models[0],
+      provider: null,
+      resolvedModel: null,
+      failedModels: [],
+      repairAttempts: 0,
+      promptTimestamp: null,
+      strategy: "single_pass",
+      promptTokens: null,
+      mapReduce: null,
+    };
+
     try {
       // Count available content for analysis
       const totalRssArticles = rssArticles ? rssArticles.length : 0;
@@ -619,68 +1173,103 @@ class NewsImpactAnalyzer {
         `🧠 [ANALYSIS] Starting combined analysis of ${totalRssArticles} RSS articles and ${totalPerplexityEvents} global news events...`
       );
 
-      // Format content sections for LLM prompt
-      const rssSection =
-        rssArticles && rssArticles.length > 0
-          ? this.formatRSSArticlesForPrompt(rssArticles)
-          : "No RSS articles available";
-
-      const perplexitySection =
-        perplexityResults &&
-        perplexityResults.global_news_events &&
-        perplexityResults.global_news_events.length > 0
-          ? this.formatPerplexityResultsForPrompt(perplexityResults)
-          : "No global news events available";
-
-      // Note: Market context integration removed for focused news analysis
-
-      // Prepare data for prompt template
+      // Prepare data for prompt template; the template and its partials
+      // format the articles and events
       const templateData = {
-        timestamp: new Date().toISOString(),
+        timestamp: options.timestamp || new Date().toISOString(),
         analysis_type: "combined_rss_and_global_analysis",
         total_rss_articles: totalRssArticles,
         total_global_events: totalPerplexityEvents,
-        rss_articles_section: rssSection,
-        global_news_section: perplexitySection,
-        market_context: "Analysis based purely on news sources",
+        rss_articles: this.toPromptArticles(rssArticles),
+        batch_summaries: null,
+        global_news: this.toPromptGlobalNews(perplexityResults),
       };
+      metadata.promptTimestamp = templateData.timestamp;
 
       // Generate filled prompt from template
-      const prompt = promptManager.getFilledPrompt(templateData);
-
-      // Send analysis request to OpenRouter LLM
-      const response = await axios.post(
-        `${CONFIG.OPENROUTER_BASE_URL}/chat/completions`,
-        {
-          model: CONFIG.LLM_MODEL,
-          messages: [
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-          max_tokens: CONFIG.LLM_MAX_TOKENS,
-          temperature: 0.3, // Low temperature for consistent analysis
-        },
-        {
-          timeout: CONFIG.LLM_TIMEOUT,
-          headers: {
-            Authorization: `Bearer ${CONFIG.OPENROUTER_API_KEY}`,
-            "Content-Type": "application/json",
-            "User-Agent": "BlackSwan News Analysis Service/1.0.0",
-          },
-        }
+      let prompt = this.promptManager.getFilledPrompt(
+        templateData,
+        "news-impact-analysis",
+        promptVersion
       );
+      metadata.promptTokens = estimateTokens(prompt);
 
-      if (!response.data.choices || response.data.choices.length === 0) {
-        throw new Error("No response from LLM");
-      }
+      // Condense articles in batches when the prompt would exceed the budget
+      if (
+        metadata.promptTokens > this.config.LLM_PROMPT_TOKEN_BUDGET &&
+        totalRssArticles > 1
+      ) {
+        console.log(
+          `✂️ [ANALYSIS] Prompt is ~${metadata.promptTokens} tokens (budget ${this.config.LLM_PROMPT_TOKEN_BUDGET}), switching to map-reduce`
+        );
+        const batchResults = await this.summarizeArticleBatches(
+          rssArticles,
+          templateData.timestamp,
+          models,
+          options.purpose
+        );
 
-      const rawContent = response.data.choices[0].message.content;
-      console.log(`🧠 [ANALYSIS] Received LLM response`);
+        templateData.analysis_type =
+          "combined_rss_batch_summaries_and_global_analysis";
+        templateData.batch_summaries = this.toPromptBatchSummaries(
+          batchResults,
+          totalRssArticles
+        );
+        prompt = this.promptManager.getFilledPrompt(
+          templateData,
+          "news-impact-analysis",
+          promptVersion
+        );
+
+        metadata.strategy = "map_reduce";
+        metadata.mapReduce = {
+          singlePassTokens: metadata.promptTokens,
+          batches: batchResults.length,
+          failedBatches: batchResults.filter((batch) => batch.error).length,
+          batchModels: Array.from(
+            new Set(
+              batchResults.filter((b) => b.model).map((batch) => batch.model)
+            )
+          ),
+        };
+        metadata.promptTokens = estimateTokens(prompt);
+
+        if (metadata.promptTokens > this.config.LLM_PROMPT_TOKEN_BUDGET) {
+          console.warn(
+            `⚠️ [ANALYSIS] Reduced prompt is still ~${metadata.promptTokens} tokens, above the ${this.config.LLM_PROMPT_TOKEN_BUDGET} budget`
+          );
+        }
+      }
+
+      // Send analysis request through the model fallback chain, repairing
+      // responses that do not match ANALYSIS_SCHEMA
+      const completion = await this.llmClient.completeWithRepair({
+        models: models,
+        purpose: options.purpose || "analysis",
+        messages: [
+          {
+            role: "user",
+            content: prompt,
+          },
+        ],
+        maxTokens: this.config.LLM_MAX_TOKENS,
+        temperature: 0.3, // Low temperature for consistent analysis
+        timeout: this.config.LLM_TIMEOUT,
+        maxRepairs: this.config.LLM_MAX_REPAIR_ATTEMPTS,
+        parse: (content) => this.parseAnalysisResponse(content),
+      });
+
+      metadata.model = completion.model;
+      metadata.provider = completion.provider;
+      metadata.resolvedModel = completion.resolvedModel;
+      metadata.failedModels = completion.failedAttempts;
+      metadata.repairAttempts = completion.repairAttempts;
+      console.log(
+        `🧠 [ANALYSIS] Received LLM response from ${completion.model} via ${completion.provider}`
+      );
 
-      // Parse JSON response
-      const analysis = this.parseAnalysisResponse(rawContent);
+      const analysis = completion.data;
+      analysis.metadata = metadata;
       this.analysisCount++;
 
       console.log(
@@ -691,14 +1280,161 @@ class NewsImpactAnalyzer {
       return analysis;
     } catch (error) {
       console.error(`❌ [ANALYSIS] Error in LLM analysis:`, error.message);
-      return {
-        analysis: "Analysis failed due to technical error",
-        summary: "Analysis failed due to technical error",
-        market_influence: "minimal",
-        events: [],
-        error: error.message,
-      };
+
+      // Surface the failure with enough context to record it
+      if (error.model) metadata.model = error.model;
+      if (error.provider) metadata.provider = error.provider;
+      metadata.failedModels = error.failedAttempts || metadata.failedModels;
+      error.metadata = metadata;
+      throw error;
+    }
+  }
+
+  /**
+   * Split articles into batches that each fit the map-reduce batch budget
+   *
+   * An article larger than the budget on its own gets a batch to itself.
+   *
+   * @param {Array} articles - RSS articles
+   * @returns {Array<Array>} Article batches in input order
+   */
+  splitIntoBatches(articles) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    articles.forEach((article) => {
+      const tokens = estimateTokens(this.formatRSSArticlesForPrompt([article]));
+      if (
+        current.length > 0 &&
+        currentTokens + tokens > this.config.MAP_REDUCE_BATCH_TOKENS
+      ) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(article);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
+  /**
+   * Map step: summarize each batch of articles into key developments
+   *
+   * Failed batches are reported but do not stop the analysis unless every
+   * batch fails.
+   *
+   * @param {Array} articles - RSS articles
+   * @param {string} timestamp - Analysis timestamp used in the batch prompts
+   * @param {Array<string>} models - Model fallback chain
+   * @param {string} purpose - Usage label for the batch summary calls
+   * @returns {Array<Object>} Per-batch results ({ articleCount, summary, developments, model, error })
+   * @throws {Error} If no batch could be summarized
+   */
+  async summarizeArticleBatches(
+    articles,
+    timestamp,
+    models = this.config.LLM_MODELS,
+    purpose = "batch_summary"
+  ) {
+    const batches = this.splitIntoBatches(articles);
+    console.log(
+      `✂️ [ANALYSIS] Summarizing ${articles.length} articles in ${batches.length} batches (concurrency: ${this.config.MAP_REDUCE_CONCURRENCY})...`
+    );
+
+    const results = await mapWithConcurrency(
+      batches,
+      this.config.MAP_REDUCE_CONCURRENCY,
+      async (batch, index) => {
+        // Batch summaries have a single prompt version of their own
+        const prompt = this.promptManager.getFilledPrompt(
+          {
+            timestamp: timestamp,
+            batch_number: index + 1,
+            total_batches: batches.length,
+            batch_article_count: batch.length,
+            rss_articles: this.toPromptArticles(batch),
+          },
+          "article-batch-summary",
+          "v1"
+        );
+
+        try {
+          const completion = await this.llmClient.completeWithRepair({
+            models: models,
+            purpose: purpose,
+            messages: [{ role: "user", content: prompt }],
+            maxTokens: this.config.LLM_MAX_TOKENS,
+            temperature: 0.2,
+            timeout: this.config.LLM_TIMEOUT,
+            maxRepairs: this.config.LLM_MAX_REPAIR_ATTEMPTS,
+            parse: (content) =>
+              parseJsonWithSchema(content, BATCH_SUMMARY_SCHEMA),
+          });
+          return {
+            articleCount: batch.length,
+            summary: completion.data.summary || null,
+            developments: completion.data.developments,
+            model: completion.model,
+          };
+        } catch (error) {
+          console.error(
+            `❌ [ANALYSIS] Batch ${index + 1}/${
+              batches.length
+            } summary failed:`,
+            error.message
+          );
+          return {
+            articleCount: batch.length,
+            developments: [],
+            error: error.message,
+          };
+        }
+      }
+    );
+
+    if (results.every((result) => result.error)) {
+      throw new Error(
+        `All ${batches.length} article batch summaries failed: ${results
+          .map((result) => result.error)
+          .join("; ")}`
+      );
     }
+    return results;
+  }
+
+  /**
+   * Build the batch summary data for the analysis prompt
+   *
+   * @param {Array<Object>} batchResults - Results from summarizeArticleBatches
+   * @param {number} totalArticles - Number of articles that were summarized
+   * @returns {Object} Template data for partials/batch-summaries.md
+   */
+  toPromptBatchSummaries(batchResults, totalArticles) {
+    return {
+      total_articles: totalArticles,
+      total_batches: batchResults.length,
+      failed_batches: batchResults.filter((batch) => batch.error).length,
+      batches: batchResults
+        .map((batch, batchIndex) => ({ batch, batchIndex }))
+        .filter(({ batch }) => !batch.error)
+        .map(({ batch, batchIndex }) => ({
+          number: batchIndex + 1,
+          article_count: batch.articleCount,
+          summary: batch.summary || "N/A",
+          developments: batch.developments.map((development, index) => ({
+            number: `${batchIndex + 1}.${index + 1}`,
+            title: development.title,
+            sources: (development.sources || []).join(", ") || "N/A",
+            summary: development.summary,
+          })),
+        })),
+    };
   }
 
   /**
@@ -722,6 +1458,34 @@ class NewsImpactAnalyzer {
       .join("\n\n");
   }
 
+  /**
+   * Build the article data for the prompt templates
+   *
+   * Every field is always set so a missing value never falls through to a
+   * same-named field of the surrounding template data.
+   *
+   * @param {Array} articles - Array of RSS article objects
+   * @returns {Array<Object>} Template items for partials/rss-articles.md
+   */
+  toPromptArticles(articles) {
+    return (articles || []).map((article, index) => {
+      const otherSources = (article.sources || [])
+        .slice(1)
+        .map((s) => s.source)
+        .filter(Boolean);
+      return {
+        number: index + 1,
+        title: article.title,
+        source: article.source,
+        also_reported_by:
+          otherSources.length > 0 ? otherSources.join(", ") : null,
+        published_at: article.publishedAt,
+        content: article.content || article.summary || "No content available",
+        url: article.url,
+      };
+    });
+  }
+
   /**
    * Format RSS articles for LLM prompt
    *
@@ -729,66 +1493,46 @@ class NewsImpactAnalyzer {
    * @returns {string} Formatted RSS article text for prompt
    */
   formatRSSArticlesForPrompt(articles) {
-    if (!articles || articles.length === 0) {
-      return "No RSS articles available";
-    }
-
-    return articles
-      .map((article, index) => {
-        return `### RSS Article ${index + 1}
-**Title**: ${article.title}
-**Source**: ${article.source}
-**Published**: ${article.publishedAt}
-**Content**: ${article.content || article.summary || "No content available"}
-**URL**: ${article.url}
-
----`;
-      })
-      .join("\n\n");
+    return this.promptManager.renderPartial("rss-articles", {
+      rss_articles: this.toPromptArticles(articles),
+    });
   }
 
   /**
-   * Format Perplexity search results for LLM prompt
+   * Build the global news data for the analysis prompt
    *
    * @param {Object} perplexityResults - Perplexity search results object
-   * @returns {string} Formatted global news events text for prompt
+   * @returns {Object|null} Template data for partials/global-news-events.md, or null without events
    */
-  formatPerplexityResultsForPrompt(perplexityResults) {
+  toPromptGlobalNews(perplexityResults) {
     if (
       !perplexityResults ||
       !perplexityResults.global_news_events ||
       perplexityResults.global_news_events.length === 0
     ) {
-      return "No global news events available";
-    }
-
-    const eventsSection = perplexityResults.global_news_events
-      .map((event, index) => {
-        return `### Global News Event ${index + 1}
-**Title**: ${event.title}
-**Source**: ${event.source}
-**Category**: ${event.category}
-**Crypto Relevance**: ${event.crypto_relevance}
-**Potential Impact**: ${event.potential_impact}
-**Description**: ${event.description}
-**Market Implications**: ${event.market_implications}
-**Affected Assets**: ${
-          event.affected_assets ? event.affected_assets.join(", ") : "N/A"
-        }
-**Timestamp**: ${event.timestamp || "N/A"}
-
----`;
-      })
-      .join("\n\n");
-
-    return `**Global News Search Summary**: ${perplexityResults.search_summary}
-**Total Events Found**: ${perplexityResults.total_events}
-**Risk Assessment**: ${perplexityResults.risk_assessment}
-**Search Timestamp**: ${perplexityResults.search_timestamp}
-
-## Individual Global News Events:
+      return null;
+    }
 
-${eventsSection}`;
+    return {
+      search_summary: perplexityResults.search_summary,
+      total_events: perplexityResults.total_events,
+      risk_assessment: perplexityResults.risk_assessment,
+      search_timestamp: perplexityResults.search_timestamp,
+      events: perplexityResults.global_news_events.map((event, index) => ({
+        number: index + 1,
+        title: event.title,
+        source: event.source,
+        category: event.category,
+        crypto_relevance: event.crypto_relevance,
+        potential_impact: event.potential_impact,
+        description: event.description,
+        market_implications: event.market_implications,
+        affected_assets: event.affected_assets
+          ? event.affected_assets.join(", ")
+          : "N/A",
+        timestamp: event.timestamp || "N/A",
+      })),
+    };
   }
 
   /**
@@ -803,50 +1547,61 @@ ${eventsSection}`;
    *
    * @param {string} rawContent - Raw response content from LLM
    * @returns {Object} Parsed and validated analysis object
-   * @throws {Error} If parsing fails or required fields are missing
+   * @throws {Error} With `validationErrors` if the response does not match ANALYSIS_SCHEMA
    */
   parseAnalysisResponse(rawContent) {
     try {
-      // Extract JSON from markdown code blocks if present
-      const jsonContent = extractJsonFromResponse(rawContent);
-
-      // Parse JSON response
-      const analysis = JSON.parse(jsonContent);
-
-      // Validate that all required fields are present
-      const requiredFields = [
-        "analysis",
-        "summary",
-        "market_influence",
-        "events",
-      ];
-
-      for (const field of requiredFields) {
-        if (!(field in analysis)) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
-
-      // Ensure events is an array
-      if (!Array.isArray(analysis.events)) {
-        analysis.events = [];
-      }
+      // Extract, parse and validate the JSON against ANALYSIS_SCHEMA
+      const analysis = parseJsonWithSchema(rawContent, ANALYSIS_SCHEMA);
 
-      // Validate and sanitize each event object
+      // Sanitize each event object
       analysis.events = analysis.events.map((event, index) => {
+        const impactScore = this.parseImpactScore(
+          event.impact_score,
+          `events[${index}].impact_score`
+        );
         return {
           title: event.title || `Event ${index + 1}`,
           summary: event.summary || "No summary available",
           analysis: event.analysis || "No analysis available",
+          impact_score: impactScore,
+          impact_tier: classifyImpactScore(
+            impactScore,
+            this.config.IMPACT_THRESHOLDS
+          ),
+          direction: event.direction || null,
+          confidence: event.confidence ?? null,
+          time_horizon: event.time_horizon || null,
         };
       });
 
+      // Fall back to the highest event score when no overall score is given
+      let impactScore = this.parseImpactScore(
+        analysis.impact_score,
+        "impact_score"
+      );
+      if (impactScore === null) {
+        const eventScores = analysis.events
+          .map((event) => event.impact_score)
+          .filter((score) => score !== null);
+        impactScore = eventScores.length > 0 ? Math.max(...eventScores) : null;
+      }
+
       // Sanitize main analysis fields to prevent undefined values
       const sanitizedAnalysis = {
         analysis: analysis.analysis || "No analysis available",
         summary: analysis.summary || "No summary available",
         market_influence: analysis.market_influence || "minimal",
+        impact_score: impactScore,
+        impact_tier: classifyImpactScore(
+          impactScore,
+          this.config.IMPACT_THRESHOLDS
+        ),
+        direction: analysis.direction || null,
+        confidence: analysis.confidence ?? null,
+        time_horizon: analysis.time_horizon || null,
         events: analysis.events || [],
+        asset_impacts: this.parseAssetImpacts(analysis.asset_impacts),
       };
 
       return sanitizedAnalysis;
@@ -855,25 +1610,79 @@ ${eventsSection}`;
         `❌ [PARSE] Error parsing analysis response:`,
         error.message
       );
-      console.error(`Raw content: ${rawContent}`);
-      throw new Error(`Failed to parse analysis response: ${error.message}`);
+      const parseError = new Error(
+        `Failed to parse analysis response: ${error.message}`
+      );
+      parseError.validationErrors = error.validationErrors || [error.message];
+      throw parseError;
+    }
+  }
+
+  /**
+   * Normalize the per-asset impact ratings from the LLM response
+   *
+   * Every asset class is present in the result; assets the model did not
+   * rate are null.
+   *
+   * @param {Object|undefined} assetImpacts - Raw asset_impacts object
+   * @returns {Object} Ratings keyed by asset class ({ level, rationale } or null)
+   */
+  parseAssetImpacts(assetImpacts) {
+    return Object.fromEntries(
+      ASSET_CLASSES.map((asset) => {
+        const impact = assetImpacts?.[asset];
+        return [
+          asset,
+          impact
+            ? { level: impact.level, rationale: impact.rationale || null }
+            : null,
+        ];
+      })
+    );
+  }
+
+  /**
+   * Validate a 0-10 impact score from the LLM response
+   *
+   * @param {*} value - Raw score value (number or numeric string)
+   * @param {string} field - Field name used in warnings
+   * @returns {number|null} Score rounded to one decimal, or null if invalid
+   */
+  parseImpactScore(value, field) {
+    if (value === undefined || value === null || value === "") {
+      return null;
     }
+
+    const score = Number(value);
+    if (!Number.isFinite(score) || score < 0 || score > 10) {
+      console.warn(`⚠️ [PARSE] Ignoring invalid ${field}: ${value}`);
+      return null;
+    }
+
+    return Math.round(score * 10) / 10;
   }
 }
 
 /**
  * Analysis Storage Class
  *
- * Handles persistent storage of analysis results in Firestore database.
+ * Handles persistent storage of analysis results through the configured
+ * storage backend (Firestore, local files or in-memory).
  * Provides methods for storing, retrieving, and managing news analysis data.
  */
 class AnalysisStorage {
-  constructor() {
-    this.collection = db.collection("news_analysis"); // Firestore collection reference
+  /**
+   * @param {Object} backend - Storage backend from createStorageBackend
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.collection = "news_analysis"; // Analysis collection name
+    this.failureCollection = "news_analysis_failures"; // Failed cycle collection name
+    this.skipCollection = "news_analysis_skips"; // Skipped cycle collection name
   }
 
   /**
-   * Store analysis results in Firestore (legacy method)
+   * Store analysis results (legacy method)
    *
    * @param {Array} articles - Array of articles that were analyzed
    * @param {Object} analysis - Analysis results object
@@ -888,15 +1697,16 @@ class AnalysisStorage {
         summary: analysis?.summary || "No summary available",
         events: Array.isArray(analysis?.events) ? analysis.events : [],
         marketInfluence: analysis?.market_influence || "minimal",
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: this.backend.timestamp(),
       };
 
-      const docRef = await this.collection.add(analysisData);
-      console.log(`💾 [STORAGE] Analysis stored with ID: ${docRef.id}`);
+      const analysisId = this.backend.newId(this.collection);
+      await this.backend.set(this.collection, analysisId, analysisData);
+      console.log(`💾 [STORAGE] Analysis stored with ID: ${analysisId}`);
 
       return {
         success: true,
-        analysisId: docRef.id,
+        analysisId: analysisId,
         marketInfluence: analysis.market_influence,
         eventsCount: analysis.events ? analysis.events.length : 0,
       };
@@ -912,29 +1722,80 @@ class AnalysisStorage {
   /**
    * Store combined RSS and global news analysis results
    *
+   * The analysis document records the prompt, model and cycle timing that
+   * produced it. The exact inputs are written to the `articles` and
+   * `global_events` subcollections of the analysis document so a cycle can be
+   * audited and reproduced later.
+   *
    * @param {Array} rssArticles - RSS articles that were analyzed
    * @param {Object} perplexityResults - Global news search results
    * @param {Object} analysis - Combined analysis results
+   * @param {Object} cycleInfo - Cycle timing and trigger ({ startedAt, durationMs, trigger })
    * @returns {Object} Storage result with success status and metadata
    */
-  async storeCombinedAnalysis(rssArticles, perplexityResults, analysis) {
+  async storeCombinedAnalysis(
+    rssArticles,
+    perplexityResults,
+    analysis,
+    cycleInfo = {}
+  ) {
     try {
+      const articles = Array.isArray(rssArticles) ? rssArticles : [];
+      const globalEvents = Array.isArray(perplexityResults?.global_news_events)
+        ? perplexityResults.global_news_events
+        : [];
+      const metadata = analysis?.metadata || {};
+
+      // Reserve the document ID so inputs can be written before the analysis
+      const analysisId = this.backend.newId(this.collection);
+      const articlesCollection = `${this.collection}/${analysisId}/articles`;
+      const eventsCollection = `${this.collection}/${analysisId}/global_events`;
+
       // Prepare clean analysis data for storage
       const analysisData = {
         analysis: analysis?.analysis || "No analysis available",
         summary: analysis?.summary || "No summary available",
         events: Array.isArray(analysis?.events) ? analysis.events : [],
         marketInfluence: analysis?.market_influence || "minimal",
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        impactScore:
+          typeof analysis?.impact_score === "number"
+            ? analysis.impact_score
+            : null,
+        impactTier: analysis?.impact_tier || null,
+        direction: analysis?.direction || null,
+        confidence: analysis?.confidence ?? null,
+        timeHorizon: analysis?.time_horizon || null,
+        assetImpacts: analysis?.asset_impacts || null,
+        provenance: this.buildProvenance(metadata, cycleInfo),
+        inputs: this.buildInputSummary(articles, perplexityResults),
+        createdAt: this.backend.timestamp(),
       };
 
-      const docRef = await this.collection.add(analysisData);
-      console.log(`💾 [STORAGE] Analysis stored with ID: ${docRef.id}`);
+      // Write inputs first so the analysis never appears without them
+      const inputWrites = [
+        ...articles.map((article, index) => ({
+          collection: articlesCollection,
+          id: this.backend.newId(articlesCollection),
+          data: { position: index, ...this.toStorableData(article) },
+        })),
+        ...globalEvents.map((event, index) => ({
+          collection: eventsCollection,
+          id: this.backend.newId(eventsCollection),
+          data: { position: index, ...this.toStorableData(event) },
+        })),
+      ];
+      await this.backend.setMany(inputWrites);
+
+      await this.backend.set(this.collection, analysisId, analysisData);
+      console.log(
+        `💾 [STORAGE] Analysis stored with ID: ${analysisId} (${articles.length} articles, ${globalEvents.length} global events)`
+      );
 
       return {
         success: true,
-        analysisId: docRef.id,
+        analysisId: analysisId,
         marketInfluence: analysis.market_influence,
+        impactScore: analysisData.impactScore,
         eventsCount: analysis.events ? analysis.events.length : 0,
       };
     } catch (error) {
@@ -947,611 +1808,2942 @@ class AnalysisStorage {
   }
 
   /**
-   * Retrieve recent analysis results from Firestore
+   * Record an analysis cycle whose LLM output could not be used
    *
-   * @param {number} limit - Maximum number of analyses to retrieve (default: 10)
-   * @returns {Array} Array of analysis objects with metadata
+   * Failures are kept in their own collection so they never appear as
+   * normal analyses or influence statistics.
+   *
+   * @param {Array} rssArticles - RSS articles that were sent for analysis
+   * @param {Object} perplexityResults - Global news search results
+   * @param {Error} error - Analysis error (with metadata, validationErrors and rawContent when available)
+   * @param {Object} cycleInfo - Cycle timing and trigger ({ startedAt, durationMs, trigger })
+   * @returns {Object} Storage result with success status and failure ID
    */
-  async getRecentAnalyses(limit = 10) {
+  async storeAnalysisFailure(
+    rssArticles,
+    perplexityResults,
+    error,
+    cycleInfo = {}
+  ) {
     try {
-      // Query Firestore for recent analyses
-      const snapshot = await this.collection
-        .orderBy("createdAt", "desc")
-        .limit(limit)
-        .get();
-
-      // Convert Firestore documents to plain objects
-      const analyses = [];
-      snapshot.forEach((doc) => {
-        analyses.push({
-          id: doc.id,
-          ...doc.data(),
-        });
+      const articles = Array.isArray(rssArticles) ? rssArticles : [];
+      const failureId = this.backend.newId(this.failureCollection);
+
+      await this.backend.set(this.failureCollection, failureId, {
+        error: error.message,
+        validationErrors: error.validationErrors || [],
+        rawContent: error.rawContent
+          ? error.rawContent.substring(0, 10000)
+          : null,
+        provenance: this.buildProvenance(error.metadata || {}, cycleInfo),
+        inputs: {
+          ...this.buildInputSummary(articles, perplexityResults),
+          articleIds: articles.map((article) => article.articleId || null),
+        },
+        createdAt: this.backend.timestamp(),
       });
+      console.log(
+        `💾 [STORAGE] Analysis failure recorded with ID: ${failureId}`
+      );
 
-      return analyses;
-    } catch (error) {
+      return { success: true, failureId: failureId };
+    } catch (storageError) {
       console.error(
-        `❌ [STORAGE] Error fetching recent analyses:`,
-        error.message
+        `❌ [STORAGE] Error recording analysis failure:`,
+        storageError.message
       );
-      return [];
+      return { success: false, error: storageError.message };
     }
   }
-}
 
-/**
- * Service Component Initialization
- *
- * Initialize all service components that work together to provide
- * comprehensive news analysis capabilities.
- */
-const rssFetcher = new NewsRSSFetcher();
-const perplexitySearcher = new PerplexityNewsSearcher();
-const articleRetention = new ArticleRetentionManager();
-const impactAnalyzer = new NewsImpactAnalyzer();
-const analysisStorage = new AnalysisStorage();
+  /**
+   * Record an analysis cycle skipped because its inputs had not changed
+   *
+   * Skips are kept in their own collection so they survive restarts and can
+   * be audited next to stored analyses and failures.
+   *
+   * @param {Object} skip - Skip details ({ reason, trigger, newArticles, newGlobalEvents, retainedArticles, globalEvents })
+   * @param {Object} cycleInfo - Cycle timing and usage ({ startedAt, durationMs, usage })
+   * @returns {Object} Storage result with success status and skip ID
+   */
+  async storeAnalysisSkip(skip, cycleInfo = {}) {
+    try {
+      const skipId = this.backend.newId(this.skipCollection);
+
+      await this.backend.set(this.skipCollection, skipId, {
+        ...skip,
+        cycleStartedAt: cycleInfo.startedAt || null,
+        cycleDurationMs:
+          typeof cycleInfo.durationMs === "number"
+            ? cycleInfo.durationMs
+            : null,
+        usage: cycleInfo.usage || null,
+        createdAt: this.backend.timestamp(),
+      });
 
-/**
- * Main News Analysis Service Class
- *
- * Orchestrates the entire news analysis workflow including RSS monitoring,
- * global news search, AI analysis, and result storage. Manages scheduled
- * analysis cycles and provides manual analysis capabilities.
- */
-class NewsAnalysisService {
-  constructor() {
-    this.isRunning = false; // Service running state
+      return { success: true, skipId: skipId };
+    } catch (storageError) {
+      console.error(
+        `❌ [STORAGE] Error recording skipped analysis:`,
+        storageError.message
+      );
+      return { success: false, error: storageError.message };
+    }
   }
 
   /**
-   * Start the news analysis service
+   * Build the provenance block stored with an analysis or failure
    *
-   * Initializes all scheduled tasks and begins the analysis workflow.
+   * @param {Object} metadata - Analyzer metadata (prompt, model, provider, ...)
+   * @param {Object} cycleInfo - Cycle timing and trigger
+   * @returns {Object} Provenance data
    */
-  async start() {
-    console.log("🚀 [SERVICE] Starting News Analysis Service...");
-    this.isRunning = true;
-    serviceState.isRunning = true;
-
-    // Initialize scheduled analysis cron job
-    this.startScheduledAnalysis();
-
-    // Initialize article cleanup cron job
-    this.startArticleCleanup();
-
-    console.log("✅ [SERVICE] News Analysis Service started successfully");
+  buildProvenance(metadata, cycleInfo) {
+    return {
+      promptName: metadata.promptName || null,
+      promptVersion: metadata.promptVersion || null,
+      model: metadata.model || null,
+      provider: metadata.provider || null,
+      resolvedModel: metadata.resolvedModel || null,
+      failedModels: metadata.failedModels || [],
+      repairAttempts: metadata.repairAttempts || 0,
+      promptTimestamp: metadata.promptTimestamp || null,
+      strategy: metadata.strategy || null,
+      promptTokens: metadata.promptTokens ?? null,
+      mapReduce: metadata.mapReduce || null,
+      cycleStartedAt: cycleInfo.startedAt || null,
+      cycleDurationMs:
+        typeof cycleInfo.durationMs === "number" ? cycleInfo.durationMs : null,
+      cycleTrigger: cycleInfo.trigger || null,
+      usage: cycleInfo.usage || null,
+    };
   }
 
   /**
-   * Stop the news analysis service
+   * Summarize the inputs of an analysis cycle
    *
-   * Gracefully shuts down the service and stops all scheduled tasks.
+   * @param {Array} articles - RSS articles
+   * @param {Object} perplexityResults - Global news search results
+   * @returns {Object} Input counts and search metadata
    */
-  async stop() {
-    console.log("🛑 [SERVICE] Stopping News Analysis Service...");
-    this.isRunning = false;
-    serviceState.isRunning = false;
-    console.log("✅ [SERVICE] News Analysis Service stopped");
+  buildInputSummary(articles, perplexityResults) {
+    return {
+      rssArticleCount: articles.length,
+      globalEventCount: Array.isArray(perplexityResults?.global_news_events)
+        ? perplexityResults.global_news_events.length
+        : 0,
+      searchSummary: perplexityResults?.search_summary || null,
+      riskAssessment: perplexityResults?.risk_assessment || null,
+      searchTimestamp: perplexityResults?.search_timestamp || null,
+      searchError: perplexityResults?.error || null,
+    };
   }
 
   /**
-   * Start the scheduled analysis cron job
+   * Convert an input object into storable plain data
    *
-   * Sets up automated analysis cycles based on the configured interval.
+   * Firestore rejects undefined values, so the object is round-tripped
+   * through JSON which drops them and any non-serializable fields.
+   *
+   * @param {Object} value - Article or event object
+   * @returns {Object} Plain object safe to store
    */
-  startScheduledAnalysis() {
-    console.log(
-      `⏰ [CRON] Scheduling analysis every hour: ${CONFIG.ANALYSIS_INTERVAL}`
-    );
-
-    // Schedule analysis to run at configured interval
-    cron.schedule(CONFIG.ANALYSIS_INTERVAL, async () => {
-      if (!this.isRunning || serviceState.isAnalyzing) {
-        console.log(
-          "⏳ [CRON] Skipping analysis - service not running or already analyzing"
-        );
-        return;
-      }
+  toStorableData(value) {
+    return JSON.parse(JSON.stringify(value || {}));
+  }
 
-      await this.performScheduledAnalysis();
+  /**
+   * Record the story each event of a stored analysis was threaded into
+   *
+   * @param {string} analysisId - Stored analysis ID
+   * @param {Array} events - Analysis events
+   * @param {Array} assignments - Per-event story assignments from the story tracker
+   */
+  async linkStories(analysisId, events, assignments) {
+    const linkedEvents = events.map((event, index) => ({
+      ...event,
+      story_id: assignments[index].storyId,
+      story_status: assignments[index].status,
+    }));
+    await this.backend.update(this.collection, analysisId, {
+      events: this.toStorableData(linkedEvents),
+      storyIds: assignments.map((assignment) => assignment.storyId),
     });
   }
 
   /**
-   * Start the article cleanup cron job
+   * Store the delta report against the previous analysis
    *
-   * Sets up automated cleanup of old articles from the retention system.
+   * @param {string} analysisId - Stored analysis ID
+   * @param {Object} diff - Delta report from diffAnalyses
    */
-  startArticleCleanup() {
-    console.log(
-      `🧹 [CRON] Scheduling article cleanup: ${CONFIG.CLEANUP_INTERVAL}`
-    );
+  async storeDiff(analysisId, diff) {
+    await this.backend.update(this.collection, analysisId, {
+      diff: this.toStorableData(diff),
+    });
+  }
 
-    // Schedule cleanup to run at configured interval
-    cron.schedule(CONFIG.CLEANUP_INTERVAL, async () => {
-      if (!this.isRunning) {
-        console.log("⏳ [CRON] Skipping cleanup - service not running");
-        return;
-      }
+  /**
+   * Retrieve the most recently stored analysis
+   *
+   * @returns {Object|null} Analysis document, or null when none is stored
+   */
+  async getLatestAnalysis() {
+    const [latest] = await this.getRecentAnalyses(1);
+    return latest || null;
+  }
 
-      console.log("🧹 [CLEANUP] Starting scheduled article cleanup...");
-      articleRetention.cleanupOldArticles();
-    });
+  /**
+   * Retrieve a single analysis
+   *
+   * @param {string} analysisId - Analysis ID
+   * @returns {Object|null} Analysis document, or null if missing
+   */
+  async getAnalysis(analysisId) {
+    return this.backend.get(this.collection, analysisId);
   }
 
   /**
-   * Perform a complete scheduled analysis cycle
+   * Restore the exact inputs an analysis was produced from
    *
-   * Executes the full analysis workflow: fetch RSS articles, search global news,
-   * perform AI analysis, store results, and update statistics.
+   * Articles and global events are read back from the analysis document's
+   * `articles` and `global_events` subcollections in their original order.
+   *
+   * @param {Object} analysis - Stored analysis document (with its ID as `id`)
+   * @returns {Object|null} { articles, perplexityResults }, or null for analyses stored without input snapshots
    */
-  async performScheduledAnalysis() {
-    const startTime = Date.now();
-    serviceState.isAnalyzing = true;
+  async getAnalysisInputs(analysis) {
+    if (!analysis?.inputs) return null;
 
-    try {
-      console.log(
-        "🔄 [ANALYSIS-CYCLE] Starting combined RSS and global news analysis..."
+    const readInputs = async (subcollection) => {
+      const documents = await this.backend.query(
+        `${this.collection}/${analysis.id}/${subcollection}`,
+        { orderBy: { field: "position", direction: "asc" } }
       );
+      return documents.map(({ id, position, ...data }) => data);
+    };
+    const [articles, globalEvents] = await Promise.all([
+      readInputs("articles"),
+      readInputs("global_events"),
+    ]);
 
-      // Step 1: Fetch new RSS articles and add to retention system
-      console.log("📰 [STEP 1] Fetching latest RSS articles...");
-      const newArticles = await rssFetcher.fetchRecentArticles(
-        CONFIG.ARTICLE_LOOKBACK_HOURS
-      );
+    return {
+      articles: articles,
+      perplexityResults: {
+        global_news_events: globalEvents,
+        total_events: globalEvents.length,
+        search_summary: analysis.inputs.searchSummary,
+        risk_assessment: analysis.inputs.riskAssessment,
+        search_timestamp: analysis.inputs.searchTimestamp,
+        error: analysis.inputs.searchError,
+      },
+    };
+  }
 
-      if (newArticles && newArticles.length > 0) {
-        articleRetention.addArticles(newArticles);
-      }
+  /**
+   * Retrieve the impact history of one asset class, newest first
+   *
+   * @param {string} asset - Asset class (e.g. 'bitcoin')
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum analyses to scan
+   * @param {Date|null} options.since - Only include analyses created at or after this time
+   * @returns {Array} Entries ({ analysisId, createdAt, level, rationale, marketInfluence })
+   */
+  async getAssetImpactHistory(asset, options = {}) {
+    const { limit = 50, since = null } = options;
 
-      // Step 2: Retrieve all retained articles (6 hours worth)
-      const retainedArticles = articleRetention.getRetainedArticles();
+    const analyses = await this.backend.query(this.collection, {
+      where: since ? [["createdAt", ">=", since]] : [],
+      orderBy: { field: "createdAt", direction: "desc" },
+      limit: limit,
+    });
 
-      // Step 3: Search for global news events using Perplexity AI
-      console.log("🔍 [STEP 3] Searching global news with Perplexity...");
-      const perplexityResults = await perplexitySearcher.searchGlobalNews();
+    // Analyses stored before per-asset ratings existed have no entry
+    return analyses
+      .filter((analysis) => analysis.assetImpacts?.[asset])
+      .map((analysis) => ({
+        analysisId: analysis.id,
+        createdAt: analysis.createdAt,
+        level: analysis.assetImpacts[asset].level,
+        rationale: analysis.assetImpacts[asset].rationale,
+        marketInfluence: analysis.marketInfluence,
+      }));
+  }
 
-      // Step 4: Validate that we have content to analyze
-      if (
-        (!retainedArticles || retainedArticles.length === 0) &&
-        (!perplexityResults ||
-          !perplexityResults.global_news_events ||
-          perplexityResults.global_news_events.length === 0)
-      ) {
+  /**
+   * Retrieve recent analysis results
+   *
+   * @param {number} limit - Maximum number of analyses to retrieve (default: 10)
+   * @returns {Array} Array of analysis objects with metadata
+   */
+  async getRecentAnalyses(limit = 10) {
+    try {
+      // Query the storage backend for recent analyses
+      const analyses = await this.backend.query(this.collection, {
+        orderBy: { field: "createdAt", direction: "desc" },
+        limit: limit,
+      });
+
+      return analyses;
+    } catch (error) {
+      console.error(
+        `❌ [STORAGE] Error fetching recent analyses:`,
+        error.message
+      );
+      return [];
+    }
+  }
+
+  /**
+   * Query stored analyses, newest first, one page at a time
+   *
+   * The date range is applied by the storage query; market influence and
+   * keyword filters are applied while scanning so no composite indexes are
+   * needed. A page ends when `limit` analyses match or `maxScan` analyses
+   * have been scanned, so a filtered page may hold fewer than `limit`
+   * analyses while `nextCursor` is still set. `nextCursor` is null once the
+   * scan reaches the oldest analysis; the page after a cursor may be empty.
+   *
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum analyses to return
+   * @param {string|null} options.cursor - `nextCursor` of the previous page
+   * @param {Date|null} options.from - Only analyses created at or after this time
+   * @param {Date|null} options.to - Only analyses created at or before this time
+   * @param {Array<string>} options.marketInfluence - Only analyses with one of these levels
+   * @param {string|null} options.keyword - Case-insensitive text in the summary or an event title
+   * @param {number} options.maxScan - Maximum analyses scanned for one page
+   * @returns {Object} { analyses, nextCursor, scanned }
+   * @throws {Error} If the cursor is malformed
+   */
+  async queryAnalyses(options = {}) {
+    const {
+      limit = 10,
+      cursor = null,
+      from = null,
+      to = null,
+      marketInfluence = [],
+      keyword = null,
+      maxScan = 1000,
+    } = options;
+
+    const range = [];
+    if (from) range.push(["createdAt", ">=", from]);
+    if (to) range.push(["createdAt", "<=", to]);
+
+    const needle = keyword ? keyword.toLowerCase() : null;
+    const matches = (analysis) =>
+      (marketInfluence.length === 0 ||
+        marketInfluence.includes(analysis.marketInfluence)) &&
+      (!needle ||
+        (analysis.summary || "").toLowerCase().includes(needle) ||
+        (analysis.events || []).some((event) =>
+          (event.title || "").toLowerCase().includes(needle)
+        ));
+
+    // Position after the last scanned analysis: everything older than
+    // `before` (ms) plus analyses in that same millisecond not yet scanned
+    let position = cursor ? this.decodeCursor(cursor) : null;
+    const batchSize = Math.min(Math.max(limit * 2, 50), 500);
+    const analyses = [];
+    let scanned = 0;
+    let exhausted = false;
+
+    while (analyses.length < limit && scanned < maxScan && !exhausted) {
+      const skip = new Set(position ? position.skip : []);
+      const batch = await this.backend.query(this.collection, {
+        where: position
+          ? [...range, ["createdAt", "<", new Date(position.before)]]
+          : range,
+        orderBy: { field: "createdAt", direction: "desc" },
+        limit: batchSize + skip.size,
+      });
+      exhausted = batch.length < batchSize + skip.size;
+
+      for (const analysis of batch) {
+        if (skip.has(analysis.id)) continue;
+
+        const millis = this.toMillis(analysis.createdAt);
+        position =
+          position && position.before === millis + 1
+            ? { before: position.before, skip: [...position.skip, analysis.id] }
+            : { before: millis + 1, skip: [analysis.id] };
+        scanned++;
+
+        if (matches(analysis)) analyses.push(analysis);
+        if (analyses.length >= limit || scanned >= maxScan) {
+          exhausted = exhausted && analysis === batch[batch.length - 1];
+          break;
+        }
+      }
+    }
+
+    return {
+      analyses: analyses,
+      nextCursor: exhausted || !position ? null : this.encodeCursor(position),
+      scanned: scanned,
+    };
+  }
+
+  /**
+   * Convert a stored creation time to epoch milliseconds
+   *
+   * @param {*} value - Firestore Timestamp, Date or ISO string
+   * @returns {number} Milliseconds since the epoch
+   */
+  toMillis(value) {
+    if (value && typeof value.toMillis === "function") return value.toMillis();
+    return new Date(value).getTime();
+  }
+
+  /**
+   * Encode a query position as an opaque cursor
+   *
+   * @param {Object} position - { before, skip }
+   * @returns {string} URL-safe cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   *
+   * @param {string} cursor - Cursor from a previous page
+   * @returns {Object} { before, skip }
+   * @throws {Error} If the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (error) {
+      position = null;
+    }
+    if (
+      !position ||
+      !Number.isFinite(position.before) ||
+      !Array.isArray(position.skip)
+    ) {
+      throw new Error("Invalid cursor");
+    }
+    return position;
+  }
+}
+
+/**
+ * Main News Analysis Service Class
+ *
+ * Orchestrates the entire news analysis workflow including RSS monitoring,
+ * global news search, AI analysis, and result storage. Manages scheduled
+ * analysis cycles and provides manual analysis capabilities.
+ */
+class NewsAnalysisService {
+  /**
+   * @param {Object} options - Service components built by createApp
+   * @param {Object} options.config - Service configuration
+   * @param {Object} options.state - Service state from createServiceState
+   */
+  constructor(options = {}) {
+    this.config = options.config;
+    this.state = options.state;
+    this.promptManager = options.promptManager;
+    this.rssFetcher = options.rssFetcher;
+    this.perplexitySearcher = options.perplexitySearcher;
+    this.articleRetention = options.articleRetention;
+    this.impactAnalyzer = options.impactAnalyzer;
+    this.analysisStorage = options.analysisStorage;
+    this.usageTracker = options.usageTracker;
+    this.storyTracker = options.storyTracker;
+    this.alertDispatcher = options.alertDispatcher;
+    this.shadowRunner = options.shadowRunner;
+    this.analysisEvents = options.analysisEvents;
+    this.isRunning = false; // Service running state
+    this.impactScoreTotal = 0; // Sum of overall impact scores
+    this.scoredAnalysesCount = 0; // Number of analyses with an impact score
+    this.lastInputSnapshot = null; // Article IDs and event titles of the last analysis
+    this.lastGlobalSearch = null; // Results and time of the last successful global news search
+    this.alertQueue = Promise.resolve(); // Alert deliveries, one analysis at a time
+  }
+
+  /**
+   * Start the news analysis service
+   *
+   * Initializes all scheduled tasks and begins the analysis workflow.
+   */
+  async start() {
+    console.log("🚀 [SERVICE] Starting News Analysis Service...");
+    this.isRunning = true;
+    this.state.isRunning = true;
+
+    // Initialize scheduled analysis cron job
+    this.startScheduledAnalysis();
+
+    // Initialize article cleanup cron job
+    this.startArticleCleanup();
+
+    // Initialize optional new-article polling
+    if (this.config.NEW_ARTICLE_POLLING_ENABLED) {
+      this.startNewArticlePolling();
+    }
+
+    // Pick up edited prompt templates without a restart
+    if (this.config.PROMPT_WATCH_ENABLED) {
+      this.promptManager.watch();
+    }
+
+    console.log("✅ [SERVICE] News Analysis Service started successfully");
+  }
+
+  /**
+   * Stop the news analysis service
+   *
+   * Gracefully shuts down the service and stops all scheduled tasks.
+   */
+  async stop() {
+    console.log("🛑 [SERVICE] Stopping News Analysis Service...");
+    this.isRunning = false;
+    this.state.isRunning = false;
+    this.promptManager.unwatch();
+    console.log("✅ [SERVICE] News Analysis Service stopped");
+  }
+
+  /**
+   * Start the scheduled analysis cron job
+   *
+   * Sets up automated analysis cycles based on the configured interval.
+   */
+  startScheduledAnalysis() {
+    console.log(
+      `⏰ [CRON] Scheduling analysis every hour: ${this.config.ANALYSIS_INTERVAL}`
+    );
+
+    // Schedule analysis to run at configured interval
+    cron.schedule(this.config.ANALYSIS_INTERVAL, async () => {
+      if (!this.isRunning || this.state.isAnalyzing) {
         console.log(
-          "📰 [ANALYSIS-CYCLE] No articles or global news events to analyze"
+          "⏳ [CRON] Skipping analysis - service not running or already analyzing"
         );
         return;
       }
 
-      // Step 5: Perform AI-powered combined analysis
+      await this.performScheduledAnalysis({ trigger: "scheduled" });
+    });
+  }
+
+  /**
+   * Start the new-article polling cron job
+   *
+   * Polls article sources between scheduled cycles and triggers an analysis
+   * early when at least CONFIG.EARLY_TRIGGER_MIN_ARTICLES new articles arrived.
+   */
+  startNewArticlePolling() {
+    console.log(
+      `📡 [CRON] Scheduling new-article polling: ${this.config.NEW_ARTICLE_POLL_INTERVAL}`
+    );
+
+    cron.schedule(this.config.NEW_ARTICLE_POLL_INTERVAL, async () => {
+      if (!this.isRunning || this.state.isAnalyzing) {
+        return;
+      }
+
+      await this.pollForNewArticles();
+    });
+  }
+
+  /**
+   * Poll article sources and trigger an early analysis for large batches
+   *
+   * @returns {boolean} True if an early analysis was triggered
+   */
+  async pollForNewArticles() {
+    try {
+      // The RSS Feed Service can answer cheaply whether anything is new
+      if (this.config.RSS_FEED_SERVICE_URL && !this.rssFetcher.nativeFeeds) {
+        const available = await this.rssFetcher.checkForNewArticles();
+        if (!available) {
+          return false;
+        }
+      }
+
+      const articles = await this.rssFetcher.fetchRecentArticles(
+        this.config.ARTICLE_LOOKBACK_HOURS
+      );
+      if (articles.length > 0) {
+        this.articleRetention.addArticles(articles);
+      }
+
+      const { newArticles } = this.detectInputChanges(
+        this.articleRetention.getRetainedArticles(),
+        null
+      );
+
+      if (newArticles < this.config.EARLY_TRIGGER_MIN_ARTICLES) {
+        console.log(
+          `📡 [POLL] ${newArticles} new articles since last analysis, waiting for scheduled cycle`
+        );
+        return false;
+      }
+
+      if (this.state.isAnalyzing) {
+        return false;
+      }
+
       console.log(
-        "🧠 [STEP 5] Performing combined RSS and global news analysis..."
+        `⚡ [POLL] ${newArticles} new articles since last analysis, triggering early analysis`
       );
-      const analysis = await impactAnalyzer.analyzeCombinedNews(
-        retainedArticles,
-        perplexityResults
+      this.state.stats.earlyTriggeredAnalyses++;
+      await this.performScheduledAnalysis({ trigger: "early" });
+      return true;
+    } catch (error) {
+      console.error("❌ [POLL] Error polling for new articles:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Compare analysis inputs against those of the last completed analysis
+   *
+   * @param {Array} retainedArticles - Currently retained articles
+   * @param {Object|null} perplexityResults - Global news search results, or null to ignore events
+   * @returns {Object} Counts of new articles and new global events, and
+   *   whether a previous analysis exists to compare against
+   */
+  detectInputChanges(retainedArticles, perplexityResults) {
+    const previous = this.lastInputSnapshot;
+    const events = perplexityResults?.global_news_events || [];
+
+    if (!previous) {
+      return {
+        hasBaseline: false,
+        newArticles: retainedArticles.length,
+        newGlobalEvents: events.length,
+      };
+    }
+
+    const newArticles = retainedArticles.filter(
+      (article) => !previous.articleIds.has(article.articleId)
+    ).length;
+
+    // Perplexity rewords headlines between searches, so compare by overlap
+    const newGlobalEvents = events.filter((event) => {
+      const words = titleWords(event.title);
+      return !previous.eventTitleWords.some(
+        (previousWords) =>
+          titleSimilarity(words, previousWords) >=
+          this.config.PERPLEXITY_DUPLICATE_THRESHOLD
       );
+    }).length;
 
-      if (!analysis) {
-        console.log("❌ [ANALYSIS-CYCLE] Combined analysis failed");
+    return { hasBaseline: true, newArticles, newGlobalEvents };
+  }
+
+  /**
+   * Remember the inputs of a completed analysis for change detection
+   *
+   * An analysis run without the global news search keeps the previous
+   * events as its baseline, so the next cycle does not count them all as new.
+   *
+   * @param {Array} retainedArticles - Articles the analysis was built from
+   * @param {Object} perplexityResults - Global news search results
+   */
+  recordInputSnapshot(retainedArticles, perplexityResults) {
+    const eventTitleWords = perplexityResults?.skipped
+      ? this.lastInputSnapshot?.eventTitleWords || []
+      : (perplexityResults?.global_news_events || []).map((event) =>
+          titleWords(event.title)
+        );
+
+    this.lastInputSnapshot = {
+      articleIds: new Set(retainedArticles.map((article) => article.articleId)),
+      eventTitleWords: eventTitleWords,
+    };
+  }
+
+  /**
+   * Reuse the last global news search instead of searching again
+   *
+   * Unforced cycles whose retained articles have barely changed reuse a
+   * search younger than CONFIG.PERPLEXITY_MIN_SEARCH_INTERVAL_MINUTES, so
+   * quiet hours are skipped without paying for every topic search. The
+   * trade-off: until the reused search expires, new global events without
+   * RSS coverage cannot trigger an analysis.
+   *
+   * @param {Array} retainedArticles - Currently retained articles
+   * @returns {Object|null} Results of the last search, or null to search again
+   */
+  reusableGlobalSearch(retainedArticles) {
+    if (!this.lastGlobalSearch) {
+      return null;
+    }
+
+    const ageMs = Date.now() - this.lastGlobalSearch.searchedAt;
+    if (ageMs >= this.config.PERPLEXITY_MIN_SEARCH_INTERVAL_MINUTES * 60000) {
+      return null;
+    }
+
+    const { hasBaseline, newArticles } = this.detectInputChanges(
+      retainedArticles,
+      null
+    );
+    if (!hasBaseline || newArticles >= this.config.ANALYSIS_MIN_NEW_ARTICLES) {
+      return null;
+    }
+
+    return this.lastGlobalSearch.results;
+  }
+
+  /**
+   * Start the article cleanup cron job
+   *
+   * Sets up automated cleanup of old articles from the retention system.
+   */
+  startArticleCleanup() {
+    console.log(
+      `🧹 [CRON] Scheduling article cleanup: ${this.config.CLEANUP_INTERVAL}`
+    );
+
+    // Schedule cleanup to run at configured interval
+    cron.schedule(this.config.CLEANUP_INTERVAL, async () => {
+      if (!this.isRunning) {
+        console.log("⏳ [CRON] Skipping cleanup - service not running");
         return;
       }
 
-      // Step 6: Store analysis results in Firestore
-      console.log("💾 [STEP 6] Storing analysis results...");
-      const storageResult = await analysisStorage.storeCombinedAnalysis(
-        retainedArticles,
-        perplexityResults,
-        analysis
-      );
+      console.log("🧹 [CLEANUP] Starting scheduled article cleanup...");
+      this.articleRetention.cleanupOldArticles();
+    });
+  }
+
+  /**
+   * Perform a complete scheduled analysis cycle
+   *
+   * Executes the full analysis workflow: fetch RSS articles, search global news,
+   * perform AI analysis, store results, and update statistics. Unless forced,
+   * the LLM analysis is skipped when the inputs have not changed meaningfully
+   * since the last analysis.
+   *
+   * @param {Object} options - Cycle options
+   * @param {string} options.trigger - What started the cycle ("scheduled", "early", "manual")
+   * @param {boolean} options.force - Analyze even if inputs are unchanged
+   * @param {boolean} options.skipPerplexity - Analyze RSS articles only, without a global news search
+   * @param {string} options.promptVersion - Analysis prompt version (default: the prompt manager's current version)
+   * @param {Function} options.onProgress - Called with (stage, progress percent) as the cycle advances
+   * @returns {Object} Cycle outcome ({ status, ... }); status is "completed", "skipped", "no_content", "budget_exceeded" or "failed"
+   */
+  async performScheduledAnalysis(options = {}) {
+    const {
+      trigger = "scheduled",
+      force = false,
+      skipPerplexity = false,
+      promptVersion = null,
+      onProgress = () => {},
+    } = options;
+    const startTime = Date.now();
+    let skipped = false;
+    this.state.isAnalyzing = true;
+
+    // Publish lifecycle events for live clients, tagged with this cycle
+    const cycleId = crypto.randomBytes(8).toString("hex");
+    const publish = (type, data = {}) =>
+      this.analysisEvents.publish(type, { cycleId, trigger, ...data });
+
+    try {
+      // Refuse to spend more once a daily or monthly LLM budget is exhausted
+      const budget = await this.usageTracker.getBudgetStatus();
+      if (budget.exceeded) {
+        skipped = true;
+        this.state.stats.budgetBlockedAnalyses++;
+        this.state.stats.lastBudgetBlock = {
+          timestamp: new Date().toISOString(),
+          trigger: trigger,
+          budget: budget,
+        };
+        console.warn(
+          `💸 [ANALYSIS-CYCLE] LLM budget exhausted (daily $${
+            budget.daily.spentUsd
+          }/${budget.daily.limitUsd ?? "none"}, monthly $${
+            budget.monthly.spentUsd
+          }/${
+            budget.monthly.limitUsd ?? "none"
+          }) - skipping ${trigger} analysis`
+        );
+        publish("cycle_skipped", { reason: "budget_exceeded", budget: budget });
+        return {
+          status: "budget_exceeded",
+          error: "LLM budget exceeded",
+          budget: budget,
+        };
+      }
+      this.usageTracker.beginCycle();
+      publish("cycle_started", { force, skipPerplexity, promptVersion });
+
+      console.log(
+        "🔄 [ANALYSIS-CYCLE] Starting combined RSS and global news analysis..."
+      );
+
+      // Step 1: Fetch new RSS articles and add to retention system
+      console.log("📰 [STEP 1] Fetching latest RSS articles...");
+      onProgress("fetching_articles", 10);
+      const newArticles = await this.rssFetcher.fetchRecentArticles(
+        this.config.ARTICLE_LOOKBACK_HOURS
+      );
+
+      if (newArticles && newArticles.length > 0) {
+        this.articleRetention.addArticles(newArticles);
+      }
+
+      // Step 2: Retrieve all retained articles (6 hours worth)
+      const retainedArticles = this.articleRetention.getRetainedArticles();
+      publish("rss_fetched", {
+        fetchedArticles: newArticles ? newArticles.length : 0,
+        retainedArticles: retainedArticles.length,
+      });
+
+      // Step 3: Search for global news events using Perplexity AI
+      let perplexityResults;
+      const reusedSearch =
+        force || skipPerplexity
+          ? null
+          : this.reusableGlobalSearch(retainedArticles);
+      if (skipPerplexity) {
+        console.log("⏭️ [STEP 3] Global news search skipped for this cycle");
+        perplexityResults = {
+          global_news_events: [],
+          total_events: 0,
+          search_summary: "Global news search skipped for this analysis",
+          skipped: true,
+        };
+      } else if (reusedSearch) {
+        console.log(
+          "♻️ [STEP 3] Articles unchanged - reusing the last global news search"
+        );
+        perplexityResults = reusedSearch;
+        this.state.stats.reusedGlobalSearches++;
+        this.state.stats.lastReusedGlobalSearch = {
+          timestamp: new Date().toISOString(),
+          searchedAt: new Date(this.lastGlobalSearch.searchedAt).toISOString(),
+          reusableUntil: new Date(
+            this.lastGlobalSearch.searchedAt +
+              this.config.PERPLEXITY_MIN_SEARCH_INTERVAL_MINUTES * 60000
+          ).toISOString(),
+        };
+      } else {
+        console.log("🔍 [STEP 3] Searching global news with Perplexity...");
+        onProgress("searching_global_news", 25);
+        perplexityResults = await this.perplexitySearcher.searchGlobalNews();
+        if (!perplexityResults.error) {
+          this.lastGlobalSearch = {
+            results: perplexityResults,
+            searchedAt: Date.now(),
+          };
+        }
+      }
+      publish("perplexity_finished", {
+        skipped: skipPerplexity,
+        reused: Boolean(reusedSearch),
+        globalEvents: perplexityResults.global_news_events?.length || 0,
+        failedTopics: perplexityResults.failed_topics?.length || 0,
+        error: perplexityResults.error || null,
+      });
+
+      // Step 4: Validate that we have content to analyze
+      if (
+        (!retainedArticles || retainedArticles.length === 0) &&
+        (!perplexityResults ||
+          !perplexityResults.global_news_events ||
+          perplexityResults.global_news_events.length === 0)
+      ) {
+        console.log(
+          "📰 [ANALYSIS-CYCLE] No articles or global news events to analyze"
+        );
+        publish("cycle_skipped", { reason: "no_content" });
+        return { status: "no_content" };
+      }
+
+      // Skip the LLM call when inputs have not changed meaningfully
+      const changes = this.detectInputChanges(
+        retainedArticles,
+        perplexityResults
+      );
+      if (
+        !force &&
+        changes.hasBaseline &&
+        changes.newArticles < this.config.ANALYSIS_MIN_NEW_ARTICLES &&
+        changes.newGlobalEvents < this.config.ANALYSIS_MIN_NEW_GLOBAL_EVENTS
+      ) {
+        skipped = true;
+        const skip = {
+          trigger: trigger,
+          reason: "inputs_unchanged",
+          newArticles: changes.newArticles,
+          newGlobalEvents: changes.newGlobalEvents,
+          retainedArticles: retainedArticles.length,
+          globalEvents: perplexityResults.global_news_events?.length || 0,
+        };
+        const skipResult = await this.analysisStorage.storeAnalysisSkip(skip, {
+          startedAt: new Date(startTime).toISOString(),
+          durationMs: Date.now() - startTime,
+          usage: this.usageTracker.getCycleUsage(),
+        });
+        this.state.stats.skippedAnalyses++;
+        this.state.stats.lastSkippedAnalysis = {
+          timestamp: new Date().toISOString(),
+          skipId: skipResult.skipId || null,
+          ...skip,
+        };
+        console.log(
+          `⏭️ [ANALYSIS-CYCLE] Skipping analysis - only ${changes.newArticles} new articles and ${changes.newGlobalEvents} new global events since last analysis`
+        );
+        publish("cycle_skipped", {
+          reason: "inputs_unchanged",
+          newArticles: changes.newArticles,
+          newGlobalEvents: changes.newGlobalEvents,
+        });
+        return {
+          status: "skipped",
+          reason: "inputs_unchanged",
+          ...this.state.stats.lastSkippedAnalysis,
+        };
+      }
+
+      // Step 5: Perform AI-powered combined analysis
+      console.log(
+        "🧠 [STEP 5] Performing combined RSS and global news analysis..."
+      );
+      onProgress("analyzing", 50);
+      let analysis;
+      try {
+        analysis = await this.impactAnalyzer.analyzeCombinedNews(
+          retainedArticles,
+          perplexityResults,
+          null,
+          { promptVersion }
+        );
+      } catch (error) {
+        await this.recordAnalysisFailure(
+          retainedArticles,
+          perplexityResults,
+          error,
+          { startTime, trigger }
+        );
+        publish("cycle_failed", {
+          stage: "analyzing",
+          error: error.message,
+          failureId: this.state.stats.lastFailedAnalysis?.failureId || null,
+        });
+        return {
+          status: "failed",
+          error: error.message,
+          failureId: this.state.stats.lastFailedAnalysis?.failureId || null,
+        };
+      }
+
+      if (!analysis) {
+        console.log("❌ [ANALYSIS-CYCLE] Combined analysis failed");
+        publish("cycle_failed", {
+          stage: "analyzing",
+          error: "Combined analysis failed",
+        });
+        return { status: "failed", error: "Combined analysis failed" };
+      }
+      publish("llm_finished", {
+        marketInfluence: analysis.market_influence,
+        impactScore: analysis.impact_score ?? null,
+        eventsCount: analysis.events.length,
+        model: analysis.metadata?.model || null,
+        strategy: analysis.metadata?.strategy || null,
+      });
+
+      // Step 6: Store analysis results in the storage backend
+      console.log("💾 [STEP 6] Storing analysis results...");
+      onProgress("storing", 80);
+      const previousAnalysis = await this.analysisStorage.getLatestAnalysis();
+      const storageResult = await this.analysisStorage.storeCombinedAnalysis(
+        retainedArticles,
+        perplexityResults,
+        analysis,
+        {
+          startedAt: new Date(startTime).toISOString(),
+          durationMs: Date.now() - startTime,
+          trigger: trigger,
+          usage: this.usageTracker.getCycleUsage(),
+        }
+      );
+
+      // Inputs of an analysis that was not saved still count as new
+      if (storageResult.success) {
+        this.recordInputSnapshot(retainedArticles, perplexityResults);
+      }
+      publish("analysis_stored", {
+        success: storageResult.success,
+        analysisId: storageResult.analysisId || null,
+        error: storageResult.error || null,
+      });
+
+      // Thread events into stories that persist across cycles
+      if (storageResult.success) {
+        await this.trackStories(analysis, storageResult.analysisId);
+        await this.recordAnalysisDiff(
+          previousAnalysis,
+          analysis,
+          storageResult.analysisId
+        );
+      }
+
+      // Step 7: Update service statistics and metrics
+      this.updateServiceStats(
+        analysis,
+        retainedArticles.length,
+        perplexityResults.total_events || 0
+      );
+
+      // Step 8: Log results
+      const duration = Date.now() - startTime;
+      console.log(`✅ [ANALYSIS-CYCLE] Completed in ${duration}ms`);
+      console.log(
+        `📊 [RESULT] Market Influence: ${analysis.market_influence} (${
+          analysis.direction || "no direction"
+        }, ${analysis.time_horizon || "no horizon"})`
+      );
+      console.log(
+        `📊 [RESULT] Impact Score: ${analysis.impact_score ?? "n/a"} (${
+          analysis.impact_tier || "unscored"
+        })`
+      );
+      console.log(
+        `📊 [RESULT] Events Identified: ${
+          analysis.events ? analysis.events.length : 0
+        }`
+      );
+      console.log(`📄 [RESULT] Summary: ${analysis.summary}`);
+
+      this.state.lastAnalysis = {
+        timestamp: new Date().toISOString(),
+        analysisId: storageResult.analysisId,
+        marketInfluence: analysis.market_influence,
+        impactScore: analysis.impact_score ?? null,
+        impactTier: analysis.impact_tier || null,
+        direction: analysis.direction || null,
+        confidence: analysis.confidence ?? null,
+        timeHorizon: analysis.time_horizon || null,
+        eventsCount: analysis.events ? analysis.events.length : 0,
+        summary: analysis.summary,
+        duration: duration,
+        trigger: trigger,
+        strategy: analysis.metadata?.strategy || null,
+        assetImpacts: analysis.asset_impacts || null,
+      };
+
+      // Step 9: Notify webhooks when influence crosses the alert threshold.
+      // Deliveries retry with backoff, so they run in the background
+      this.queueAlerts(analysis, {
+        analysisId: storageResult.analysisId,
+        timestamp: this.state.lastAnalysis.timestamp,
+      });
+
+      // Step 10: Run shadow variants on the same inputs for comparison
+      if (storageResult.success && this.shadowRunner.getVariants().length > 0) {
+        onProgress("running_shadow_variants", 97);
+        await this.runShadowVariants(
+          retainedArticles,
+          perplexityResults,
+          analysis,
+          { analysisId: storageResult.analysisId, trigger: trigger, publish }
+        );
+      }
+
+      publish("cycle_completed", {
+        analysisId: storageResult.analysisId || null,
+        durationMs: duration,
+        analysis: {
+          analysis: analysis.analysis,
+          summary: analysis.summary,
+          market_influence: analysis.market_influence,
+          impact_score: analysis.impact_score ?? null,
+          impact_tier: analysis.impact_tier || null,
+          direction: analysis.direction || null,
+          confidence: analysis.confidence ?? null,
+          time_horizon: analysis.time_horizon || null,
+          events: analysis.events,
+          asset_impacts: analysis.asset_impacts || null,
+        },
+      });
+      return { status: "completed", analysis: this.state.lastAnalysis };
+    } catch (error) {
+      console.error(
+        "❌ [ANALYSIS-CYCLE] Error in scheduled analysis:",
+        error.message
+      );
+      publish("cycle_failed", { error: error.message });
+      return { status: "failed", error: error.message };
+    } finally {
+      this.state.isAnalyzing = false;
+      this.usageTracker.endCycle();
+      if (!skipped) {
+        this.state.totalAnalyses++;
+      }
+    }
+  }
+
+  /**
+   * Match the analysis' events to ongoing stories and link them
+   *
+   * Each event is annotated with its `story_id` and `story_status` so alerts
+   * and the API can follow the story. Tracking errors never fail the cycle.
+   *
+   * @param {Object} analysis - Completed analysis (events are annotated in place)
+   * @param {string} analysisId - Stored analysis ID
+   */
+  async trackStories(analysis, analysisId) {
+    const events = Array.isArray(analysis.events) ? analysis.events : [];
+
+    try {
+      const assignments = await this.storyTracker.trackEvents(events, {
+        analysisId: analysisId,
+        timestamp: new Date().toISOString(),
+      });
+      await this.analysisStorage.linkStories(analysisId, events, assignments);
+
+      events.forEach((event, index) => {
+        event.story_id = assignments[index].storyId;
+        event.story_status = assignments[index].status;
+      });
+    } catch (error) {
+      console.error("❌ [STORIES] Error tracking stories:", error.message);
+    }
+  }
+
+  /**
+   * Store what changed since the previous analysis alongside the new one
+   *
+   * Runs after story tracking so events are matched by story where possible.
+   * Diff errors never fail the cycle.
+   *
+   * @param {Object|null} previousAnalysis - Previously stored analysis document
+   * @param {Object} analysis - Completed analysis
+   * @param {string} analysisId - Stored analysis ID
+   */
+  async recordAnalysisDiff(previousAnalysis, analysis, analysisId) {
+    try {
+      const diff = diffAnalyses(
+        previousAnalysis,
+        {
+          marketInfluence: analysis.market_influence,
+          impactScore: analysis.impact_score ?? null,
+          direction: analysis.direction || null,
+          events: analysis.events,
+        },
+        {
+          matchThreshold: this.config.STORY_MATCH_THRESHOLD,
+          escalationDelta: this.config.STORY_ESCALATION_DELTA,
+        }
+      );
+      await this.analysisStorage.storeDiff(analysisId, diff);
+
+      console.log(
+        `🔀 [DIFF] Influence ${diff.marketInfluence.change}: ${diff.newEvents.length} new, ${diff.droppedEvents.length} dropped, ${diff.escalatedEvents.length} escalated events`
+      );
+    } catch (error) {
+      console.error("❌ [DIFF] Error computing analysis diff:", error.message);
+    }
+  }
+
+  /**
+   * Run the configured shadow variants against a stored primary analysis
+   *
+   * Shadow results are stored separately and never touch alerts, stories or
+   * service statistics. Variants are skipped once the LLM budget is spent,
+   * and shadow errors never fail the cycle.
+   *
+   * @param {Array} retainedArticles - Articles the primary analysis used
+   * @param {Object} perplexityResults - Global news search results it used
+   * @param {Object} analysis - Completed primary analysis
+   * @param {Object} context - Cycle context ({ analysisId, trigger, publish })
+   */
+  async runShadowVariants(
+    retainedArticles,
+    perplexityResults,
+    analysis,
+    context
+  ) {
+    try {
+      const budget = await this.usageTracker.getBudgetStatus();
+      if (budget.exceeded) {
+        console.warn(
+          "💸 [SHADOW] LLM budget exhausted, skipping shadow variants"
+        );
+        return;
+      }
+
+      const results = await this.shadowRunner.runVariants(
+        { articles: retainedArticles, perplexityResults: perplexityResults },
+        {
+          analysisId: context.analysisId,
+          trigger: context.trigger,
+          analysis: {
+            marketInfluence: analysis.market_influence,
+            impactScore: analysis.impact_score ?? null,
+            direction: analysis.direction || null,
+            events: analysis.events,
+          },
+        }
+      );
+
+      context.publish("shadow_finished", {
+        analysisId: context.analysisId,
+        variants: results.map((result) => ({
+          variant: result.variant,
+          status: result.status,
+          shadowId: result.shadowId,
+          influenceAgrees: result.comparison
+            ? result.comparison.marketInfluence.agrees
+            : null,
+          eventOverlap: result.comparison
+            ? result.comparison.events.overlap
+            : null,
+        })),
+      });
+    } catch (error) {
+      console.error(
+        "❌ [SHADOW] Error running shadow variants:",
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Dispatch an analysis' alerts without holding up the cycle
+   *
+   * Dispatches run one after another, so each sees the deduplication state
+   * left by the one before it.
+   *
+   * @param {Object} analysis - Completed analysis
+   * @param {Object} context - Alert context ({ analysisId, timestamp })
+   * @returns {Promise<void>} Settles once this analysis' alerts were handled
+   */
+  queueAlerts(analysis, context) {
+    this.alertQueue = this.alertQueue
+      .then(() => this.alertDispatcher.dispatch(analysis, context))
+      .then(
+        () => {},
+        (error) =>
+          console.error("❌ [ALERTS] Error dispatching alerts:", error.message)
+      );
+    return this.alertQueue;
+  }
+
+  /**
+   * Record a failed LLM analysis instead of storing a placeholder result
+   *
+   * @param {Array} retainedArticles - Articles sent for analysis
+   * @param {Object} perplexityResults - Global news search results
+   * @param {Error} error - Analysis error from the analyzer
+   * @param {Object} cycle - Cycle context ({ startTime, trigger })
+   */
+  async recordAnalysisFailure(
+    retainedArticles,
+    perplexityResults,
+    error,
+    cycle
+  ) {
+    const failureResult = await this.analysisStorage.storeAnalysisFailure(
+      retainedArticles,
+      perplexityResults,
+      error,
+      {
+        startedAt: new Date(cycle.startTime).toISOString(),
+        durationMs: Date.now() - cycle.startTime,
+        trigger: cycle.trigger,
+        usage: this.usageTracker.getCycleUsage(),
+      }
+    );
+
+    this.state.stats.failedAnalyses++;
+    this.state.stats.lastFailedAnalysis = {
+      timestamp: new Date().toISOString(),
+      failureId: failureResult.failureId || null,
+      trigger: cycle.trigger,
+      error: error.message,
+      validationErrors: (error.validationErrors || []).slice(0, 10),
+    };
+
+    console.error(
+      `❌ [ANALYSIS-CYCLE] Analysis failed and was recorded as a failure: ${error.message}`
+    );
+  }
+
+  /**
+   * Perform manual analysis (run by the analysis job queue)
+   *
+   * @param {Object} options - Job options ({ skipPerplexity, promptVersion })
+   * @param {Function} onProgress - Called with (stage, progress percent)
+   * @returns {Promise<Object>} Cycle outcome from performScheduledAnalysis
+   * @throws {Error} If analysis is already in progress
+   */
+  async performManualAnalysis(options = {}, onProgress = () => {}) {
+    if (this.state.isAnalyzing) {
+      throw new Error("Analysis already in progress");
+    }
+
+    return await this.performScheduledAnalysis({
+      trigger: "manual",
+      force: true,
+      skipPerplexity: Boolean(options.skipPerplexity),
+      promptVersion: options.promptVersion || null,
+      onProgress: onProgress,
+    });
+  }
+
+  /**
+   * Update service statistics based on analysis results
+   *
+   * @param {Object} analysis - Analysis results object
+   * @param {number} rssArticleCount - Number of RSS articles processed
+   * @param {number} globalEventCount - Number of global events processed
+   */
+  updateServiceStats(analysis, rssArticleCount, globalEventCount = 0) {
+    this.state.stats.totalArticlesProcessed += rssArticleCount;
+
+    // Track critical impact events
+    if (
+      analysis.market_influence === "major" ||
+      analysis.impact_tier === "critical"
+    ) {
+      this.state.stats.criticalAlertsGenerated++;
+    }
+
+    // Track high impact events
+    if (
+      analysis.market_influence === "significant" ||
+      analysis.market_influence === "major" ||
+      analysis.impact_tier === "critical" ||
+      analysis.impact_tier === "high"
+    ) {
+      this.state.stats.highImpactEventsDetected++;
+    }
+
+    // Maintain the running average of overall impact scores
+    if (typeof analysis.impact_score === "number") {
+      this.impactScoreTotal += analysis.impact_score;
+      this.scoredAnalysesCount++;
+      this.state.stats.averageImpactScore =
+        Math.round((this.impactScoreTotal / this.scoredAnalysesCount) * 100) /
+        100;
+    }
+
+    // Keep recent analyses (last 10)
+    this.state.stats.recentAnalyses.unshift({
+      timestamp: new Date().toISOString(),
+      marketInfluence: analysis.market_influence,
+      impactScore: analysis.impact_score ?? null,
+      impactTier: analysis.impact_tier || null,
+      eventsCount: analysis.events ? analysis.events.length : 0,
+      summary: analysis.summary,
+    });
+
+    if (this.state.stats.recentAnalyses.length > 10) {
+      this.state.stats.recentAnalyses = this.state.stats.recentAnalyses.slice(
+        0,
+        10
+      );
+    }
+  }
+}
+
+/**
+ * API Router Factory
+ *
+ * Builds the RESTful API endpoints for service management, analysis
+ * triggers, and data retrieval around one app's service components.
+ * createApp mounts the router behind the security middleware, rate
+ * limiting and API key checks.
+ *
+ * @param {Object} deps - Service components built by createApp
+ * @returns {Object} Express router
+ */
+function createRouter(deps) {
+  const {
+    config,
+    state,
+    promptManager,
+    rssFetcher,
+    perplexitySearcher,
+    articleRetention,
+    analysisStorage,
+    usageTracker,
+    storyTracker,
+    alertDispatcher,
+    shadowRunner,
+    backtestRunner,
+    apiKeyAuth,
+    analysisEvents,
+    analysisJobs,
+  } = deps;
+  const router = express.Router();
+
+  /**
+   * Require an API key scope for a route and audit the action
+   *
+   * @param {string} scope - Required scope ('read', 'trigger' or 'admin')
+   * @param {string|null} action - Audited action name, or null to only check the scope
+   * @returns {Function} Express middleware
+   */
+  const requireScope = (scope, action) =>
+    apiKeyAuth.requireScope(scope, action);
+
+  /**
+   * Root Endpoint - Service Information
+   *
+   * Provides comprehensive information about the service capabilities,
+   * status, and configuration.
+   */
+  router.get("/", (req, res) => {
+    res.json({
+      service: "BlackSwan News Analysis Service",
+      version: "1.0.0",
+      description:
+        "AI-powered comprehensive news analysis combining RSS feeds and global news search for crypto market impact assessment",
+      status: state.isRunning ? "operational" : "stopped",
+      capabilities: [
+        "RSS feed monitoring with 6-hour retention",
+        "Global news search via Perplexity",
+        "Combined RSS and global news analysis",
+        "AI-powered impact assessment",
+        "Risk level classification",
+        "Market context integration",
+        "Event identification and analysis",
+        "Automated article cleanup",
+        "Historical analysis tracking",
+      ],
+      analysis_focus: [
+        "Regulatory developments",
+        "Economic indicators",
+        "Geopolitical events",
+        "Technology developments",
+        "Institutional movements",
+        "Market structure changes",
+        "Both positive and negative crypto market impacts",
+      ],
+      data_sources: [
+        "RSS feeds from major financial news sources",
+        "Global news search via Perplexity",
+      ],
+    });
+  });
+
+  /**
+   * Service Status Endpoint
+   *
+   * Returns detailed service status including running state, statistics,
+   * configuration, and integration status.
+   */
+  router.get("/api/status", (req, res) => {
+    res.json({
+      status: state.isRunning ? "operational" : "stopped",
+      is_analyzing: state.isAnalyzing,
+      uptime: process.uptime(),
+      last_analysis: state.lastAnalysis,
+      total_analyses: state.totalAnalyses,
+      stats: state.stats,
+      configuration: {
+        analysis_interval: config.ANALYSIS_INTERVAL,
+        max_articles_per_analysis: config.MAX_ARTICLES_PER_ANALYSIS,
+        article_lookback_hours: config.ARTICLE_LOOKBACK_HOURS,
+        article_retention_hours: config.ARTICLE_RETENTION_HOURS,
+        cleanup_interval: config.CLEANUP_INTERVAL,
+        analysis_min_new_articles: config.ANALYSIS_MIN_NEW_ARTICLES,
+        analysis_min_new_global_events: config.ANALYSIS_MIN_NEW_GLOBAL_EVENTS,
+        perplexity_min_search_interval_minutes:
+          config.PERPLEXITY_MIN_SEARCH_INTERVAL_MINUTES,
+        new_article_polling: config.NEW_ARTICLE_POLLING_ENABLED
+          ? config.NEW_ARTICLE_POLL_INTERVAL
+          : false,
+        early_trigger_min_articles: config.EARLY_TRIGGER_MIN_ARTICLES,
+        impact_thresholds: config.IMPACT_THRESHOLDS,
+        llm_models: config.LLM_MODELS,
+        perplexity_models: config.PERPLEXITY_MODELS,
+        llm_daily_budget_usd: config.LLM_DAILY_BUDGET_USD,
+        llm_monthly_budget_usd: config.LLM_MONTHLY_BUDGET_USD,
+        shadow_variants: shadowRunner.getVariants(),
+        api_key_auth: apiKeyAuth.isEnabled(),
+      },
+      retention_stats: articleRetention.getRetentionStats(),
+      alert_stats: alertDispatcher.getStats(),
+      event_stream_clients: analysisEvents.getClientCount(),
+      integrations: {
+        rss_service: Boolean(config.RSS_FEED_SERVICE_URL),
+        native_feeds: Boolean(rssFetcher.nativeFeeds),
+        perplexity_search: true,
+        openrouter_llm: true,
+        firestore: analysisStorage.backend.type === "firestore",
+        storage_backend: analysisStorage.backend.type,
+      },
+    });
+  });
+
+  /**
+   * Manual Analysis Trigger Endpoint
+   *
+   * Queues an analysis job and returns its ID immediately; progress and the
+   * outcome are available from /api/jobs/:id. Jobs run one at a time and wait
+   * for any scheduled cycle in progress.
+   *
+   * Body (optional): { skipPerplexity: boolean, promptVersion: string }
+   */
+  router.post(
+    "/api/analyze",
+    requireScope("trigger", "analysis.trigger"),
+    async (req, res) => {
+      try {
+        const { skipPerplexity = false, promptVersion = null } = req.body || {};
+
+        if (typeof skipPerplexity !== "boolean") {
+          return res.status(400).json({
+            success: false,
+            error: "skipPerplexity must be a boolean",
+          });
+        }
+        if (
+          promptVersion !== null &&
+          !promptManager.getAvailableVersions().includes(promptVersion)
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown prompt version: ${promptVersion}`,
+            available_versions: promptManager.getAvailableVersions(),
+          });
+        }
+
+        const budget = await usageTracker.getBudgetStatus();
+        if (budget.exceeded) {
+          return res.status(402).json({
+            success: false,
+            error: "LLM budget exceeded",
+            status: "budget_exceeded",
+            budget: budget,
+          });
+        }
+
+        console.log("🔄 [API] Manual analysis triggered");
+        const job = analysisJobs.enqueue({ skipPerplexity, promptVersion });
+
+        res.status(202).json({
+          success: true,
+          message: "Analysis job queued",
+          job_id: job.id,
+          status: job.status,
+          status_url: `/api/jobs/${job.id}`,
+        });
+      } catch (error) {
+        console.error("❌ [API] Manual analysis failed:", error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  /**
+   * Analysis Event Stream Endpoint
+   *
+   * Server-Sent Events stream of analysis cycle lifecycle events:
+   * cycle_started, rss_fetched, perplexity_finished, llm_finished,
+   * analysis_stored, cycle_completed (with the analysis payload),
+   * cycle_skipped and cycle_failed. Reconnecting clients sending
+   * Last-Event-ID receive the events they missed.
+   */
+  router.get("/api/events", (req, res) => {
+    analysisEvents.addClient(req, res);
+  });
+
+  /**
+   * Analysis Jobs Endpoint
+   *
+   * Lists recent analysis jobs, newest first.
+   */
+  router.get("/api/jobs", (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const jobs = analysisJobs.getJobs(limit);
+
+      res.json({
+        success: true,
+        jobs: jobs,
+        count: jobs.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching jobs:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Analysis Job Status Endpoint
+   *
+   * Returns a job's status (queued, running, completed, failed), current
+   * stage, progress percentage and, once finished, its result or error.
+   */
+  router.get("/api/jobs/:id", (req, res) => {
+    const job = analysisJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job,
+    });
+  });
+
+  /**
+   * Analyses Query Endpoint
+   *
+   * Pages through stored analyses, newest first. Supports ?limit= (max 100),
+   * ?cursor= (nextCursor of the previous page), ?from= and ?to= (ISO dates),
+   * ?marketInfluence= (comma-separated levels) and ?keyword= (searched in
+   * summaries and event titles).
+   */
+  router.get("/api/analyses", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+      const dates = {};
+      for (const field of ["from", "to"]) {
+        dates[field] = req.query[field] ? new Date(req.query[field]) : null;
+        if (dates[field] && isNaN(dates[field].getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: `${field} must be an ISO date`,
+          });
+        }
+      }
+
+      const marketInfluence = req.query.marketInfluence
+        ? String(req.query.marketInfluence)
+            .split(",")
+            .map((level) => level.trim().toLowerCase())
+            .filter(Boolean)
+        : [];
+      const unknownLevels = marketInfluence.filter(
+        (level) => !INFLUENCE_LEVELS.includes(level)
+      );
+      if (unknownLevels.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown marketInfluence: ${unknownLevels.join(
+            ", "
+          )}. Expected any of: ${INFLUENCE_LEVELS.join(", ")}`,
+        });
+      }
+
+      const cursor = req.query.cursor ? String(req.query.cursor) : null;
+      if (cursor) {
+        try {
+          analysisStorage.decodeCursor(cursor);
+        } catch (cursorError) {
+          return res.status(400).json({
+            success: false,
+            error: cursorError.message,
+          });
+        }
+      }
+
+      const keyword = req.query.keyword ? String(req.query.keyword).trim() : "";
+      const page = await analysisStorage.queryAnalyses({
+        limit,
+        cursor,
+        from: dates.from,
+        to: dates.to,
+        marketInfluence,
+        keyword: keyword || null,
+      });
+
+      res.json({
+        success: true,
+        analyses: page.analyses,
+        count: page.analyses.length,
+        nextCursor: page.nextCursor,
+        scanned: page.scanned,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching analyses:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Single Analysis Endpoint
+   *
+   * Returns one stored analysis with its events, provenance and diff.
+   */
+  router.get("/api/analyses/:id", async (req, res) => {
+    try {
+      const analysis = await analysisStorage.getAnalysis(req.params.id);
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        analysis: analysis,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching analysis:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Analysis Diff Endpoint
+   *
+   * Returns what changed between an analysis and the one before it: new and
+   * dropped events, event escalations and market influence changes.
+   */
+  router.get("/api/analyses/:id/diff", async (req, res) => {
+    try {
+      const analysis = await analysisStorage.getAnalysis(req.params.id);
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        analysisId: analysis.id,
+        diff: analysis.diff || null,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching analysis diff:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Analysis Shadow Runs Endpoint
+   *
+   * Returns the shadow variant results produced on the same inputs as an
+   * analysis, each with its comparison against the analysis.
+   */
+  router.get("/api/analyses/:id/shadow", async (req, res) => {
+    try {
+      const analysis = await analysisStorage.getAnalysis(req.params.id);
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          error: "Analysis not found",
+        });
+      }
+
+      const runs = await shadowRunner.getRuns({
+        primaryAnalysisId: analysis.id,
+      });
+
+      res.json({
+        success: true,
+        analysisId: analysis.id,
+        runs: runs,
+        count: runs.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching shadow runs:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Shadow Comparison Endpoint
+   *
+   * Summarizes, per shadow variant, how often it agrees with the primary
+   * analysis on market influence and direction and how much their events
+   * overlap. Supports ?variant= and ?limit= (recent runs summarized).
+   */
+  router.get("/api/shadow/comparison", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const comparison = await shadowRunner.getComparison({
+        variant: req.query.variant || null,
+        limit: limit,
+      });
+
+      res.json({
+        success: true,
+        configuredVariants: shadowRunner.getVariants(),
+        runsScanned: comparison.runsScanned,
+        variants: comparison.variants,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error comparing shadow variants:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Backtest Start Endpoint
+   *
+   * Replays the analyses stored between `from` and `to` (oldest first, at
+   * most `limit`) on their archived inputs with a chosen prompt version and/or
+   * model. Replays run in the background and are stored separately from live
+   * analyses; poll /api/backtests/:id for progress and the report.
+   *
+   * Body: { from: ISO date, to: ISO date, promptVersion?: string, model?: string, limit?: number }
+   */
+  router.post(
+    "/api/backtests",
+    requireScope("trigger", "backtest.start"),
+    async (req, res) => {
+      try {
+        const {
+          from,
+          to,
+          promptVersion = promptManager.currentVersion,
+          model = null,
+          limit = null,
+        } = req.body || {};
+
+        const range = { from: new Date(from), to: new Date(to) };
+        if (
+          !from ||
+          !to ||
+          isNaN(range.from.getTime()) ||
+          isNaN(range.to.getTime()) ||
+          range.from > range.to
+        ) {
+          return res.status(400).json({
+            success: false,
+            error: "from and to must be ISO dates with from before to",
+          });
+        }
+        if (!promptManager.hasTemplate("news-impact-analysis", promptVersion)) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown prompt version: ${promptVersion}`,
+            available_versions: promptManager.getAvailableVersions(),
+          });
+        }
+        if (model !== null && (typeof model !== "string" || !model)) {
+          return res.status(400).json({
+            success: false,
+            error: "model must be a non-empty string",
+          });
+        }
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+          return res.status(400).json({
+            success: false,
+            error: `limit must be a positive integer (at most ${config.BACKTEST_MAX_ANALYSES})`,
+          });
+        }
+
+        if (backtestRunner.isRunning()) {
+          return res.status(409).json({
+            success: false,
+            error: `Backtest ${backtestRunner.activeRunId} is already running`,
+          });
+        }
+        const budget = await usageTracker.getBudgetStatus();
+        if (budget.exceeded) {
+          return res.status(402).json({
+            success: false,
+            error: "LLM budget exceeded",
+            status: "budget_exceeded",
+            budget: budget,
+          });
+        }
+
+        const run = await backtestRunner.startRun({
+          from: range.from,
+          to: range.to,
+          promptVersion,
+          model,
+          limit,
+          startedBy: req.apiKey?.name || null,
+        });
+
+        res.status(202).json({
+          success: true,
+          message: "Backtest started",
+          run: run,
+          status_url: `/api/backtests/${run.id}`,
+        });
+      } catch (error) {
+        console.error("❌ [API] Error starting backtest:", error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  /**
+   * Backtest List Endpoint
+   *
+   * Lists backtest runs, newest first, with their status, progress and
+   * report. Supports ?limit=.
+   */
+  router.get("/api/backtests", async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const runs = await backtestRunner.getRuns(limit);
+
+      res.json({
+        success: true,
+        runs: runs,
+        count: runs.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error listing backtests:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Backtest Report Endpoint
+   *
+   * Returns one backtest run with its progress and, once finished, the report
+   * comparing the replays with the original analyses.
+   */
+  router.get("/api/backtests/:id", async (req, res) => {
+    try {
+      const run = await backtestRunner.getRun(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: "Backtest not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        run: run,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching backtest:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Backtest Results Endpoint
+   *
+   * Returns the per-analysis replays of a backtest, each with the original
+   * analysis and their comparison. Supports ?status= (completed, failed or
+   * skipped).
+   */
+  router.get("/api/backtests/:id/results", async (req, res) => {
+    try {
+      const run = await backtestRunner.getRun(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: "Backtest not found",
+        });
+      }
+
+      const results = await backtestRunner.getResults(run.id, {
+        status: req.query.status || null,
+      });
+
+      res.json({
+        success: true,
+        runId: run.id,
+        results: results,
+        count: results.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching backtest results:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Prompt List Endpoint
+   *
+   * Lists every prompt template with its available versions and the version
+   * analyses currently use.
+   */
+  router.get("/api/prompts", (req, res) => {
+    try {
+      res.json({
+        success: true,
+        activeVersion: promptManager.currentVersion,
+        watching: promptManager.isWatching(),
+        prompts: promptManager.listPrompts().map((prompt) => ({
+          ...prompt,
+          templateFields: PROMPT_TEMPLATE_FIELDS[prompt.name] || null,
+        })),
+      });
+    } catch (error) {
+      console.error("❌ [API] Error listing prompts:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Active Prompt Version Endpoint
+   *
+   * Switches the news-impact-analysis version used by subsequent analyses.
+   * The template must exist and render with exactly the fields the analyzer
+   * supplies. The switch lasts until the service restarts.
+   */
+  router.put(
+    "/api/prompts/active",
+    requireScope("admin", "prompts.activate"),
+    (req, res) => {
+      try {
+        const { version } = req.body || {};
+        const promptName = "news-impact-analysis";
+
+        if (typeof version !== "string" || !version) {
+          return res.status(400).json({
+            success: false,
+            error: "version must be a non-empty string",
+          });
+        }
+        if (!promptManager.hasTemplate(promptName, version)) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown prompt version: ${version}`,
+            available_versions: promptManager.getAvailableVersions(promptName),
+          });
+        }
+
+        const validation = promptManager.validatePlaceholders(
+          promptName,
+          version,
+          PROMPT_TEMPLATE_FIELDS[promptName]
+        );
+        if (!validation.valid) {
+          return res.status(422).json({
+            success: false,
+            error: "Template cannot be rendered with the analyzer's data",
+            validation: validation,
+          });
+        }
+
+        const previousVersion = promptManager.currentVersion;
+        promptManager.setDefaultVersion(version);
+
+        res.json({
+          success: true,
+          previousVersion: previousVersion,
+          activeVersion: promptManager.currentVersion,
+          validation: validation,
+        });
+      } catch (error) {
+        console.error(
+          "❌ [API] Error switching prompt version:",
+          error.message
+        );
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  /**
+   * Prompt Template Endpoint
+   *
+   * Returns the raw template of one prompt version and the placeholders it
+   * uses.
+   */
+  router.get("/api/prompts/:name/:version", (req, res) => {
+    try {
+      const { name, version } = req.params;
+      if (!promptManager.hasTemplate(name, version)) {
+        return res.status(404).json({
+          success: false,
+          error: "Prompt template not found",
+        });
+      }
+
+      const template = promptManager.loadPromptTemplate(name, version);
+
+      res.json({
+        success: true,
+        name: name,
+        version: version,
+        active:
+          name === "news-impact-analysis" &&
+          version === promptManager.currentVersion,
+        placeholders: promptManager.extractPlaceholders(template),
+        template: template,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching prompt template:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Prompt Validation Endpoint
+   *
+   * Checks a template's placeholders against the data the analyzer fills it
+   * with. Rendering fails on `missingFields` (used but never supplied) and on
+   * `unusedFields` (supplied but ignored by the template and its partials).
+   */
+  router.get("/api/prompts/:name/:version/validate", (req, res) => {
+    try {
+      const { name, version } = req.params;
+      if (!promptManager.hasTemplate(name, version)) {
+        return res.status(404).json({
+          success: false,
+          error: "Prompt template not found",
+        });
+      }
+      if (!PROMPT_TEMPLATE_FIELDS[name]) {
+        return res.status(400).json({
+          success: false,
+          error: `No template data is defined for prompt: ${name}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        name: name,
+        version: version,
+        suppliedFields: PROMPT_TEMPLATE_FIELDS[name],
+        ...promptManager.validatePlaceholders(
+          name,
+          version,
+          PROMPT_TEMPLATE_FIELDS[name]
+        ),
+      });
+    } catch (error) {
+      console.error(
+        "❌ [API] Error validating prompt template:",
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * LLM Usage Endpoint
+   *
+   * Returns token usage and estimated cost per day and per month, broken down
+   * by model, with the current budget status. Supports ?days= and ?months=.
+   */
+  router.get("/api/usage", async (req, res) => {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 30, 366);
+      const months = Math.min(parseInt(req.query.months) || 6, 24);
+      const usage = await usageTracker.getUsage({ days, months });
+
+      res.json({
+        success: true,
+        daily: usage.daily,
+        monthly: usage.monthly,
+        budget: await usageTracker.getBudgetStatus(),
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching LLM usage:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Asset Impact History Endpoint
+   *
+   * Returns the impact level and rationale for one asset class (bitcoin,
+   * ethereum, stablecoins, defi, altcoins) across recent analyses, newest
+   * first. Supports ?limit= and ?since= (ISO date).
+   */
+  router.get("/api/assets/:asset/impact", async (req, res) => {
+    try {
+      const asset = req.params.asset.toLowerCase();
+      if (!ASSET_CLASSES.includes(asset)) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown asset. Expected one of: ${ASSET_CLASSES.join(", ")}`,
+        });
+      }
+
+      const since = req.query.since ? new Date(req.query.since) : null;
+      if (since && isNaN(since.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: "since must be an ISO date",
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const history = await analysisStorage.getAssetImpactHistory(asset, {
+        limit,
+        since,
+      });
+
+      res.json({
+        success: true,
+        asset: asset,
+        latest: history[0] || null,
+        history: history,
+        count: history.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching asset impact:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Current Articles Endpoint
+   *
+   * Fetches current articles from RSS feeds with configurable lookback period.
+   */
+  router.get("/api/articles/current", async (req, res) => {
+    try {
+      const hours = parseInt(req.query.hours) || 6;
+      const articles = await rssFetcher.fetchRecentArticles(hours);
+
+      res.json({
+        success: true,
+        articles: articles,
+        count: articles.length,
+        lookback_hours: hours,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching current articles:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Retained Articles Endpoint
+   *
+   * Returns articles currently stored in the retention system with statistics.
+   */
+  router.get("/api/articles/retained", (req, res) => {
+    try {
+      const retainedArticles = articleRetention.getRetainedArticles();
+      const retentionStats = articleRetention.getRetentionStats();
+
+      res.json({
+        success: true,
+        articles: retainedArticles,
+        count: retainedArticles.length,
+        retention_stats: retentionStats,
+      });
+    } catch (error) {
+      console.error(
+        "❌ [API] Error fetching retained articles:",
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Native Feeds Endpoint
+   *
+   * Returns the native feed registry with per-feed fetch and error status.
+   */
+  router.get("/api/feeds", (req, res) => {
+    try {
+      if (!rssFetcher.nativeFeeds) {
+        return res.json({
+          success: true,
+          enabled: false,
+          feeds: [],
+          count: 0,
+        });
+      }
+
+      const feeds = rssFetcher.nativeFeeds.getFeedStatus();
+      res.json({
+        success: true,
+        enabled: true,
+        feeds: feeds,
+        count: feeds.length,
+        failing: feeds.filter((feed) => feed.consecutiveFailures > 0).length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching feed status:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Alert Deliveries Endpoint
+   *
+   * Returns the log of recent webhook alert deliveries with dispatcher statistics.
+   */
+  router.get("/api/alerts/deliveries", (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const deliveries = alertDispatcher.getDeliveryLog(limit);
+
+      res.json({
+        success: true,
+        deliveries: deliveries,
+        count: deliveries.length,
+        alert_stats: alertDispatcher.getStats(),
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching alert deliveries:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Stories Endpoint
+   *
+   * Returns events tracked across analysis cycles, most recently seen first.
+   * Supports ?status= (emerging, developing, escalating, fading, resolved)
+   * and ?limit=.
+   */
+  router.get("/api/stories", async (req, res) => {
+    try {
+      const status = req.query.status || null;
+      if (status && !STORY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Expected one of: ${STORY_STATUSES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 50;
+      const stories = await storyTracker.getStories({ status, limit });
+
+      res.json({
+        success: true,
+        stories: stories,
+        count: stories.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching stories:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Story Detail Endpoint
+   *
+   * Returns a single story with its sighting history.
+   */
+  router.get("/api/stories/:id", async (req, res) => {
+    try {
+      const story = await storyTracker.getStory(req.params.id);
+      if (!story) {
+        return res.status(404).json({
+          success: false,
+          error: "Story not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        story: story,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching story:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Manual Global News Search Endpoint
+   *
+   * Triggers a manual Perplexity search for global news events. Refused with
+   * 402 once a daily or monthly LLM budget is exhausted.
+   */
+  router.post(
+    "/api/search/global",
+    requireScope("trigger", "search.global"),
+    async (req, res) => {
+      try {
+        const budget = await usageTracker.getBudgetStatus();
+        if (budget.exceeded) {
+          return res.status(402).json({
+            success: false,
+            error: "LLM budget exceeded",
+            status: "budget_exceeded",
+            budget: budget,
+          });
+        }
 
-      // Step 7: Update service statistics and metrics
-      this.updateServiceStats(
-        analysis,
-        retainedArticles.length,
-        perplexityResults.total_events || 0
-      );
+        console.log("🔍 [API] Manual Perplexity search triggered");
+        const perplexityResults = await perplexitySearcher.searchGlobalNews();
 
-      // Step 8: Log results
-      const duration = Date.now() - startTime;
-      console.log(`✅ [ANALYSIS-CYCLE] Completed in ${duration}ms`);
-      console.log(`📊 [RESULT] Market Influence: ${analysis.market_influence}`);
-      console.log(
-        `📊 [RESULT] Events Identified: ${
-          analysis.events ? analysis.events.length : 0
-        }`
-      );
-      console.log(`📄 [RESULT] Summary: ${analysis.summary}`);
+        res.json({
+          success: true,
+          message: "Global news search completed",
+          results: perplexityResults,
+          events_found: perplexityResults.total_events || 0,
+        });
+      } catch (error) {
+        console.error(
+          "❌ [API] Manual Perplexity search failed:",
+          error.message
+        );
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
 
-      serviceState.lastAnalysis = {
-        timestamp: new Date().toISOString(),
-        analysisId: storageResult.analysisId,
-        marketInfluence: analysis.market_influence,
-        eventsCount: analysis.events ? analysis.events.length : 0,
-        summary: analysis.summary,
-        duration: duration,
-      };
-    } catch (error) {
-      console.error(
-        "❌ [ANALYSIS-CYCLE] Error in scheduled analysis:",
-        error.message
-      );
-    } finally {
-      serviceState.isAnalyzing = false;
-      serviceState.totalAnalyses++;
+  /**
+   * Manual Article Cleanup Endpoint
+   *
+   * Triggers manual cleanup of old articles from the retention system.
+   */
+  router.post(
+    "/api/articles/cleanup",
+    requireScope("admin", "articles.cleanup"),
+    (req, res) => {
+      try {
+        console.log("🧹 [API] Manual article cleanup triggered");
+        const removedCount = articleRetention.cleanupOldArticles();
+
+        res.json({
+          success: true,
+          message: "Article cleanup completed",
+          articles_removed: removedCount,
+          articles_remaining: state.retainedArticles.size,
+        });
+      } catch (error) {
+        console.error("❌ [API] Manual cleanup failed:", error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
     }
-  }
+  );
 
   /**
-   * Perform manual analysis (triggered via API)
+   * API Key List Endpoint
    *
-   * @returns {Promise} Analysis results
-   * @throws {Error} If analysis is already in progress
+   * Lists configured and stored API keys with their scopes and rate limits.
+   * Key secrets are never returned. Requires the admin scope and is
+   * unavailable (409) until API_KEYS configures a key.
    */
-  async performManualAnalysis() {
-    if (serviceState.isAnalyzing) {
-      throw new Error("Analysis already in progress");
+  router.get(
+    "/api/keys",
+    requireScope("admin", "keys.list"),
+    apiKeyAuth.requireEnabled(),
+    async (req, res) => {
+      try {
+        const keys = await apiKeyAuth.listKeys();
+
+        res.json({
+          success: true,
+          authEnabled: apiKeyAuth.isEnabled(),
+          keys: keys,
+          count: keys.length,
+        });
+      } catch (error) {
+        console.error("❌ [API] Error listing API keys:", error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
     }
+  );
 
-    return await this.performScheduledAnalysis();
-  }
+  /**
+   * API Key Creation Endpoint
+   *
+   * Creates a stored API key. The key itself is only returned in this
+   * response. Requires the admin scope and is unavailable (409) until
+   * API_KEYS configures a key.
+   *
+   * Body: { name: string, scopes: string[], rateLimitPerMinute?: number }
+   */
+  router.post(
+    "/api/keys",
+    requireScope("admin", "keys.create"),
+    apiKeyAuth.requireEnabled(),
+    async (req, res) => {
+      try {
+        const { name, scopes, rateLimitPerMinute = null } = req.body || {};
+
+        let created;
+        try {
+          created = await apiKeyAuth.createKey(
+            { name, scopes, rateLimitPerMinute },
+            req.apiKey || null
+          );
+        } catch (validationError) {
+          return res.status(400).json({
+            success: false,
+            error: validationError.message,
+          });
+        }
+
+        res.status(201).json({
+          success: true,
+          key: created.key,
+          apiKey: created.apiKey,
+        });
+      } catch (error) {
+        console.error("❌ [API] Error creating API key:", error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+  );
 
   /**
-   * Update service statistics based on analysis results
+   * API Key Revocation Endpoint
    *
-   * @param {Object} analysis - Analysis results object
-   * @param {number} rssArticleCount - Number of RSS articles processed
-   * @param {number} globalEventCount - Number of global events processed
+   * Revokes a stored API key. Configured keys can only be removed from
+   * API_KEYS. Requires the admin scope and is unavailable (409) until
+   * API_KEYS configures a key.
    */
-  updateServiceStats(analysis, rssArticleCount, globalEventCount = 0) {
-    serviceState.stats.totalArticlesProcessed += rssArticleCount;
+  router.delete(
+    "/api/keys/:id",
+    requireScope("admin", "keys.revoke"),
+    apiKeyAuth.requireEnabled(),
+    async (req, res) => {
+      try {
+        const revoked = await apiKeyAuth.revokeKey(req.params.id);
+        if (!revoked) {
+          return res.status(404).json({
+            success: false,
+            error: "API key not found",
+          });
+        }
 
-    // Track critical impact events
-    if (analysis.market_influence === "major") {
-      serviceState.stats.criticalAlertsGenerated++;
+        res.json({
+          success: true,
+          message: "API key revoked",
+          id: req.params.id,
+        });
+      } catch (error) {
+        console.error("❌ [API] Error revoking API key:", error.message);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+        });
+      }
     }
+  );
 
-    // Track high impact events
-    if (
-      analysis.market_influence === "significant" ||
-      analysis.market_influence === "major"
-    ) {
-      serviceState.stats.highImpactEventsDetected++;
+  /**
+   * Audit Log Endpoint
+   *
+   * Returns recent audited actions, newest first: which key triggered which
+   * action and with what outcome, including denied requests. Supports
+   * ?keyName=, ?action=, ?outcome= and ?limit= (recent entries scanned).
+   * Requires the admin scope.
+   */
+  router.get("/api/audit", requireScope("admin", null), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const entries = await apiKeyAuth.getAuditLog({
+        limit: limit,
+        keyName: req.query.keyName || null,
+        action: req.query.action || null,
+        outcome: req.query.outcome || null,
+      });
+
+      res.json({
+        success: true,
+        entries: entries,
+        count: entries.length,
+      });
+    } catch (error) {
+      console.error("❌ [API] Error fetching audit log:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
     }
+  });
 
-    // Keep recent analyses (last 10)
-    serviceState.stats.recentAnalyses.unshift({
+  /**
+   * Health Check Endpoint
+   *
+   * Simple health check endpoint for monitoring and load balancer health checks.
+   */
+  router.get("/api/health", (req, res) => {
+    res.json({
+      service: "news-analysis-service",
+      status: "healthy",
       timestamp: new Date().toISOString(),
-      marketInfluence: analysis.market_influence,
-      eventsCount: analysis.events ? analysis.events.length : 0,
-      summary: analysis.summary,
+      uptime: process.uptime(),
     });
+  });
 
-    if (serviceState.stats.recentAnalyses.length > 10) {
-      serviceState.stats.recentAnalyses =
-        serviceState.stats.recentAnalyses.slice(0, 10);
-    }
-  }
+  return router;
 }
 
 /**
- * Service Instance Initialization
+ * Global Error Handling Middleware
  *
- * Create the main service instance that will handle all analysis operations.
+ * Catches and handles any unhandled errors in the application,
+ * providing consistent error responses to clients.
  */
-const newsAnalysisService = new NewsAnalysisService();
+function handleError(error, req, res, next) {
+  console.error("❌ [ERROR] Unhandled error:", error);
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    message: error.message,
+  });
+}
 
 /**
- * API Routes
+ * Application Factory
  *
- * RESTful API endpoints for service management, analysis triggers,
- * and data retrieval. All routes include proper error handling and
- * rate limiting for security.
- */
-
-/**
- * Root Endpoint - Service Information
+ * Builds the service components and an Express application serving the API.
+ * Dependencies default to the configured services; tests inject an HTTP
+ * client replaying recorded responses, an in-memory storage backend and
+ * configuration overrides. Each call builds its own components around a
+ * copy of CONFIG, so apps created in one process share no state. Neither
+ * the server nor the scheduled tasks are started; listen on the returned
+ * app and call service.start() for that.
  *
- * Provides comprehensive information about the service capabilities,
- * status, and configuration.
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} dependencies.config - CONFIG overrides (e.g. { RSS_FEED_SERVICE_URL: "http://rss.test" })
+ * @param {Object} dependencies.httpClient - axios-compatible client ({ get, post }) for the RSS Feed Service, LLM providers, native feeds and alert webhooks
+ * @param {Object} dependencies.storageBackend - Storage backend to use instead of CONFIG.STORAGE_BACKEND
+ * @returns {Object} { app, service, storageBackend, config }
  */
-app.get("/", (req, res) => {
-  res.json({
-    service: "BlackSwan News Analysis Service",
-    version: "1.0.0",
-    description:
-      "AI-powered comprehensive news analysis combining RSS feeds and global news search for crypto market impact assessment",
-    status: serviceState.isRunning ? "operational" : "stopped",
-    capabilities: [
-      "RSS feed monitoring with 6-hour retention",
-      "Global news search via Perplexity",
-      "Combined RSS and global news analysis",
-      "AI-powered impact assessment",
-      "Risk level classification",
-      "Market context integration",
-      "Event identification and analysis",
-      "Automated article cleanup",
-      "Historical analysis tracking",
-    ],
-    analysis_focus: [
-      "Regulatory developments",
-      "Economic indicators",
-      "Geopolitical events",
-      "Technology developments",
-      "Institutional movements",
-      "Market structure changes",
-      "Both positive and negative crypto market impacts",
-    ],
-    data_sources: [
-      "RSS feeds from major financial news sources",
-      "Global news search via Perplexity",
-    ],
+function createApp(dependencies = {}) {
+  const config = { ...CONFIG, ...(dependencies.config || {}) };
+  if (!dependencies.config?.LLM_MODELS) {
+    config.LLM_MODELS = [config.LLM_MODEL, ...config.LLM_FALLBACK_MODELS];
+  }
+  const httpClient = dependencies.httpClient || axios;
+  const state = createServiceState();
+
+  const storageBackend =
+    dependencies.storageBackend ||
+    createStorageBackend({
+      type: config.STORAGE_BACKEND,
+      serviceAccountPath: config.FIREBASE_SERVICE_ACCOUNT_PATH,
+      directory: config.STORAGE_FILE_DIR,
+    });
+  const usageTracker = new UsageTracker({
+    backend: storageBackend,
+    pricing: config.LLM_PRICING,
+    dailyBudgetUsd: config.LLM_DAILY_BUDGET_USD,
+    monthlyBudgetUsd: config.LLM_MONTHLY_BUDGET_USD,
   });
-});
 
-/**
- * Service Status Endpoint
- *
- * Returns detailed service status including running state, statistics,
- * configuration, and integration status.
- */
-app.get("/api/status", (req, res) => {
-  res.json({
-    status: serviceState.isRunning ? "operational" : "stopped",
-    is_analyzing: serviceState.isAnalyzing,
-    uptime: process.uptime(),
-    last_analysis: serviceState.lastAnalysis,
-    total_analyses: serviceState.totalAnalyses,
-    stats: serviceState.stats,
-    configuration: {
-      analysis_interval: CONFIG.ANALYSIS_INTERVAL,
-      max_articles_per_analysis: CONFIG.MAX_ARTICLES_PER_ANALYSIS,
-      article_lookback_hours: CONFIG.ARTICLE_LOOKBACK_HOURS,
-      article_retention_hours: CONFIG.ARTICLE_RETENTION_HOURS,
-      cleanup_interval: CONFIG.CLEANUP_INTERVAL,
-      impact_thresholds: CONFIG.IMPACT_THRESHOLDS,
-    },
-    retention_stats: articleRetention.getRetentionStats(),
-    integrations: {
-      rss_service: true,
-      perplexity_search: true,
-      openrouter_llm: true,
-      firestore: true,
+  // Routes chat completions to OpenRouter or configured OpenAI-compatible
+  // providers, falling back through the configured model lists
+  const llmClient = new LLMClient({
+    providers: {
+      openrouter: {
+        baseUrl: config.OPENROUTER_BASE_URL,
+        apiKey: config.OPENROUTER_API_KEY,
+        headers: { "X-Title": "BlackSwan News Analysis Service" },
+      },
+      ...config.LLM_PROVIDERS,
     },
+    defaultProvider: "openrouter",
+    onUsage: (call) => usageTracker.record(call),
+    httpClient: httpClient,
   });
-});
 
-/**
- * Manual Analysis Trigger Endpoint
- *
- * Allows manual triggering of the analysis cycle via API call.
- * Includes protection against concurrent analysis runs.
- */
-app.post("/api/analyze", async (req, res) => {
-  try {
-    if (serviceState.isAnalyzing) {
-      return res.status(429).json({
-        success: false,
-        error: "Analysis already in progress",
-        current_analysis_started: serviceState.lastAnalysis?.timestamp,
-      });
-    }
+  // Loads and renders the LLM prompt templates
+  const promptManager = new NewsPromptManager();
 
-    console.log("🔄 [API] Manual analysis triggered");
-    await newsAnalysisService.performManualAnalysis();
+  const rssFetcher = new NewsRSSFetcher({
+    config: config,
+    state: state,
+    httpClient: httpClient,
+  });
+  const perplexitySearcher = new PerplexityNewsSearcher({
+    config: config,
+    state: state,
+    llmClient: llmClient,
+  });
+  const articleRetention = new ArticleRetentionManager({
+    config: config,
+    state: state,
+  });
+  const impactAnalyzer = new NewsImpactAnalyzer({
+    config: config,
+    llmClient: llmClient,
+    promptManager: promptManager,
+  });
+  const analysisStorage = new AnalysisStorage(storageBackend);
+  const storyTracker = new StoryTracker({
+    backend: storageBackend,
+    matchThreshold: config.STORY_MATCH_THRESHOLD,
+    escalationDelta: config.STORY_ESCALATION_DELTA,
+    resolveAfterHours: config.STORY_RESOLVE_HOURS,
+  });
+  const alertDispatcher = new AlertDispatcher({
+    webhooks: config.ALERT_WEBHOOKS,
+    minInfluence: config.ALERT_MIN_INFLUENCE,
+    dedupHours: config.ALERT_DEDUP_HOURS,
+    duplicateThreshold: config.PERPLEXITY_DUPLICATE_THRESHOLD,
+    maxRetries: config.ALERT_MAX_RETRIES,
+    retryDelayMs: config.ALERT_RETRY_DELAY,
+    timeout: config.ALERT_TIMEOUT,
+    httpClient: httpClient,
+  });
+  const shadowRunner = new ShadowAnalysisRunner({
+    backend: storageBackend,
+    variants: config.SHADOW_VARIANTS,
+    matchThreshold: config.STORY_MATCH_THRESHOLD,
+    // A variant's model runs without fallbacks so results reflect that model
+    analyze: (articles, perplexityResults, variant) =>
+      impactAnalyzer.analyzeCombinedNews(articles, perplexityResults, null, {
+        promptVersion: variant.promptVersion || undefined,
+        models: variant.model ? [variant.model] : undefined,
+        purpose: "shadow",
+      }),
+  });
+  const backtestRunner = new BacktestRunner({
+    backend: storageBackend,
+    analysisStorage: analysisStorage,
+    matchThreshold: config.STORY_MATCH_THRESHOLD,
+    maxAnalyses: config.BACKTEST_MAX_ANALYSES,
+    isBudgetExceeded: async () =>
+      (await usageTracker.getBudgetStatus()).exceeded,
+    // Like shadow variants, a chosen model runs without fallbacks
+    analyze: (articles, perplexityResults, replay) =>
+      impactAnalyzer.analyzeCombinedNews(articles, perplexityResults, null, {
+        promptVersion: replay.promptVersion,
+        models: replay.model ? [replay.model] : undefined,
+        timestamp: replay.timestamp,
+        purpose: "backtest",
+      }),
+  });
+  const apiKeyAuth = new ApiKeyAuth({
+    backend: storageBackend,
+    keys: config.API_KEYS,
+    defaultRateLimitPerMinute: config.API_KEY_RATE_LIMIT,
+    auditRetentionDays: config.API_AUDIT_RETENTION_DAYS,
+  });
 
-    res.json({
-      success: true,
-      message: "Manual analysis completed",
-      last_analysis: serviceState.lastAnalysis,
-      status: "completed",
-    });
-  } catch (error) {
-    console.error("❌ [API] Manual analysis failed:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+  // Server-Sent Events stream of analysis cycle lifecycle events
+  const analysisEvents = new AnalysisEventStream();
+
+  const service = new NewsAnalysisService({
+    config: config,
+    state: state,
+    promptManager: promptManager,
+    rssFetcher: rssFetcher,
+    perplexitySearcher: perplexitySearcher,
+    articleRetention: articleRetention,
+    impactAnalyzer: impactAnalyzer,
+    analysisStorage: analysisStorage,
+    usageTracker: usageTracker,
+    storyTracker: storyTracker,
+    alertDispatcher: alertDispatcher,
+    shadowRunner: shadowRunner,
+    analysisEvents: analysisEvents,
+  });
 
-/**
- * Recent Analyses Endpoint
- *
- * Retrieves recent analysis results from Firestore with configurable limit.
- */
-app.get("/api/analyses", async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const analyses = await analysisStorage.getRecentAnalyses(limit);
+  // Background queue for manually requested analyses
+  const analysisJobs = new AnalysisJobQueue({
+    runner: (jobOptions, onProgress) =>
+      service.performManualAnalysis(jobOptions, onProgress),
+    isBusy: () => state.isAnalyzing,
+  });
 
-    res.json({
-      success: true,
-      analyses: analyses,
-      count: analyses.length,
-    });
-  } catch (error) {
-    console.error("❌ [API] Error fetching analyses:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+  const router = createRouter({
+    config,
+    state,
+    promptManager,
+    rssFetcher,
+    perplexitySearcher,
+    articleRetention,
+    analysisStorage,
+    usageTracker,
+    storyTracker,
+    alertDispatcher,
+    shadowRunner,
+    backtestRunner,
+    apiKeyAuth,
+    analysisEvents,
+    analysisJobs,
+  });
 
-/**
- * Current Articles Endpoint
- *
- * Fetches current articles from RSS feeds with configurable lookback period.
- */
-app.get("/api/articles/current", async (req, res) => {
-  try {
-    const hours = parseInt(req.query.hours) || 6;
-    const articles = await rssFetcher.fetchRecentArticles(hours);
+  const app = express();
 
-    res.json({
-      success: true,
-      articles: articles,
-      count: articles.length,
-      lookback_hours: hours,
-    });
-  } catch (error) {
-    console.error("❌ [API] Error fetching current articles:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+  // Security middleware stack
+  app.use(helmet()); // Sets various HTTP headers for security
+  app.use(compression()); // Compresses responses to reduce bandwidth
+  app.use(cors()); // Enables Cross-Origin Resource Sharing
+  app.use(express.json({ limit: "10mb" })); // Parses JSON bodies with 10MB limit
 
-/**
- * Retained Articles Endpoint
- *
- * Returns articles currently stored in the retention system with statistics.
- */
-app.get("/api/articles/retained", (req, res) => {
-  try {
-    const retainedArticles = articleRetention.getRetainedArticles();
-    const retentionStats = articleRetention.getRetentionStats();
+  // Rate limiting configuration to prevent abuse
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes window
+    max: 100, // Maximum 100 requests per IP per window
+    message: "Too many requests from this IP, please try again later.",
+  });
+  app.use("/api/", limiter); // Apply rate limiting to all API routes
+
+  // Every API route except the health check needs a key with at least read
+  // scope once API keys are configured; routes that trigger work or change
+  // state require a higher scope and are written to the audit log
+  const authenticate = apiKeyAuth.authenticate();
+  app.use("/api/", (req, res, next) =>
+    req.path === "/health" ? next() : authenticate(req, res, next)
+  );
 
-    res.json({
-      success: true,
-      articles: retainedArticles,
-      count: retainedArticles.length,
-      retention_stats: retentionStats,
-    });
-  } catch (error) {
-    console.error("❌ [API] Error fetching retained articles:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+  app.use(router);
+  app.use(handleError);
+
+  return { app, service, storageBackend, config };
+}
 
 /**
- * Manual Global News Search Endpoint
+ * Default Application
  *
- * Triggers a manual Perplexity search for global news events.
+ * The app built from the environment configuration, created on first use so
+ * that requiring the module builds nothing.
  */
-app.post("/api/search/global", async (req, res) => {
-  try {
-    console.log("🔍 [API] Manual Perplexity search triggered");
-    const perplexityResults = await perplexitySearcher.searchGlobalNews();
-
-    res.json({
-      success: true,
-      message: "Global news search completed",
-      results: perplexityResults,
-      events_found: perplexityResults.total_events || 0,
-    });
-  } catch (error) {
-    console.error("❌ [API] Manual Perplexity search failed:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+let defaultApp = null;
 
 /**
- * Manual Article Cleanup Endpoint
+ * Get the app built from the environment configuration
  *
- * Triggers manual cleanup of old articles from the retention system.
+ * @returns {Object} { app, service, storageBackend, config }
  */
-app.post("/api/articles/cleanup", (req, res) => {
-  try {
-    console.log("🧹 [API] Manual article cleanup triggered");
-    const removedCount = articleRetention.cleanupOldArticles();
-
-    res.json({
-      success: true,
-      message: "Article cleanup completed",
-      articles_removed: removedCount,
-      articles_remaining: serviceState.retainedArticles.size,
-    });
-  } catch (error) {
-    console.error("❌ [API] Manual cleanup failed:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+function getDefaultApp() {
+  if (!defaultApp) {
+    defaultApp = createApp();
   }
-});
+  return defaultApp;
+}
 
 /**
- * Health Check Endpoint
+ * Server Startup
  *
- * Simple health check endpoint for monitoring and load balancer health checks.
+ * When run directly, starts the Express server and initializes the news
+ * analysis service. The service begins monitoring RSS feeds and performing
+ * scheduled analyses. Requiring the module (e.g. from tests) starts nothing.
  */
-app.get("/api/health", (req, res) => {
-  res.json({
-    service: "news-analysis-service",
-    status: "healthy",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-  });
-});
+if (require.main === module) {
+  const { app, service, config } = getDefaultApp();
+  const PORT = config.PORT;
 
-/**
- * Global Error Handling Middleware
- *
- * Catches and handles any unhandled errors in the application,
- * providing consistent error responses to clients.
- */
-app.use((error, req, res, next) => {
-  console.error("❌ [ERROR] Unhandled error:", error);
-  res.status(500).json({
-    success: false,
-    error: "Internal server error",
-    message: error.message,
-  });
-});
+  app.listen(PORT, async () => {
+    console.log(`🌐 [SERVER] News Analysis Service running on port ${PORT}`);
+    console.log(
+      `📍 [SERVER] Environment: ${process.env.NODE_ENV || "development"}`
+    );
 
-/**
- * Server Startup
- *
- * Starts the Express server and initializes the news analysis service.
- * The service begins monitoring RSS feeds and performing scheduled analyses.
- */
-const PORT = CONFIG.PORT;
-app.listen(PORT, async () => {
-  console.log(`🌐 [SERVER] News Analysis Service running on port ${PORT}`);
-  console.log(
-    `📍 [SERVER] Environment: ${process.env.NODE_ENV || "development"}`
-  );
+    // Initialize and start the analysis service
+    await service.start();
 
-  // Initialize and start the analysis service
-  await newsAnalysisService.start();
+    console.log(
+      `🎯 [SERVER] Service ready - Monitoring RSS feeds for crypto market impact`
+    );
+  });
 
-  console.log(
-    `🎯 [SERVER] Service ready - Monitoring RSS feeds for crypto market impact`
-  );
-});
+  /**
+   * Graceful Shutdown Handlers
+   *
+   * Handles graceful shutdown of the service when receiving termination
+   * signals. Ensures proper cleanup of resources and scheduled tasks.
+   */
+  process.on("SIGTERM", async () => {
+    console.log("🛑 [SHUTDOWN] Received SIGTERM, shutting down gracefully...");
+    await service.stop();
+    process.exit(0);
+  });
 
-/**
- * Graceful Shutdown Handlers
- *
- * Handles graceful shutdown of the service when receiving termination signals.
- * Ensures proper cleanup of resources and scheduled tasks.
- */
-process.on("SIGTERM", async () => {
-  console.log("🛑 [SHUTDOWN] Received SIGTERM, shutting down gracefully...");
-  await newsAnalysisService.stop();
-  process.exit(0);
-});
-
-process.on("SIGINT", async () => {
-  console.log("🛑 [SHUTDOWN] Received SIGINT, shutting down gracefully...");
-  await newsAnalysisService.stop();
-  process.exit(0);
-});
+  process.on("SIGINT", async () => {
+    console.log("🛑 [SHUTDOWN] Received SIGINT, shutting down gracefully...");
+    await service.stop();
+    process.exit(0);
+  });
+}
 
 /**
  * Module Exports
  *
- * Exports the service instance and Express app for testing and external use.
+ * Exports the application factory and the helpers covered by the test suite.
+ * `app` and `newsAnalysisService` are the default app's Express app and
+ * service instance, built from the environment on first access.
  */
-module.exports = { newsAnalysisService, app };
+module.exports = {
+  createApp,
+  CONFIG,
+  NewsImpactAnalyzer,
+  extractJsonFromResponse,
+  get app() {
+    return getDefaultApp().app;
+  },
+  get newsAnalysisService() {
+    return getDefaultApp().service;
+  },
+};
@@ -0,0 +1,169 @@
+/**
+ * Analysis Job Queue for News Analysis Service
+ * Runs manually requested analyses in the background, one at a time, and
+ * keeps each job's stage, progress and outcome so clients can poll for it
+ */
+
+const crypto = require("crypto");
+
+class AnalysisJobQueue {
+  /**
+   * @param {object} options - Queue options
+   * @param {Function} options.runner - Runs an analysis: (jobOptions, onProgress) => outcome
+   * @param {Function} options.isBusy - Returns true while another analysis is running
+   * @param {number} options.busyPollMs - Wait between checks while another analysis runs
+   * @param {number} options.maxJobs - Finished jobs kept for status queries
+   */
+  constructor(options = {}) {
+    this.runner = options.runner;
+    this.isBusy = options.isBusy || (() => false);
+    this.busyPollMs = options.busyPollMs || 5000;
+    this.maxJobs = options.maxJobs || 100;
+
+    this.jobs = new Map(); // key: job ID, value: job (insertion ordered)
+    this.queue = []; // IDs of jobs waiting to run
+    this.processing = false;
+  }
+
+  /**
+   * Add an analysis job to the queue
+   * @param {object} jobOptions - Options passed to the runner
+   * @returns {object} Queued job
+   */
+  enqueue(jobOptions = {}) {
+    const job = {
+      id: crypto.randomBytes(8).toString("hex"),
+      status: "queued",
+      stage: "queued",
+      progress: 0,
+      options: jobOptions,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.pruneJobs();
+    console.log(`📋 [JOBS] Queued analysis job ${job.id}`);
+
+    // Process in the background; the caller only needs the job ID
+    this.processQueue();
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Run queued jobs one after another
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        // Wait for scheduled cycles to finish rather than overlapping them
+        while (this.isBusy()) {
+          await new Promise((resolve) => setTimeout(resolve, this.busyPollMs));
+        }
+
+        const job = this.jobs.get(this.queue.shift());
+        if (job) {
+          await this.runJob(job);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   *
+   * The runner reports stages through onProgress and resolves with an
+   * outcome ({ status, ... }); any status other than "completed", "skipped"
+   * or "no_content" fails the job.
+   *
+   * @param {object} job - Job to run (mutated)
+   */
+  async runJob(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    console.log(`▶️ [JOBS] Running analysis job ${job.id}`);
+
+    const onProgress = (stage, progress) => {
+      job.stage = stage;
+      job.progress = progress;
+    };
+
+    try {
+      const outcome = await this.runner(job.options, onProgress);
+      job.result = outcome || null;
+
+      if (
+        outcome &&
+        ["completed", "skipped", "no_content"].includes(outcome.status)
+      ) {
+        job.status = "completed";
+        job.stage = "completed";
+        job.progress = 100;
+      } else {
+        job.status = "failed";
+        job.error = outcome?.error || `Analysis ended with ${outcome?.status}`;
+      }
+    } catch (error) {
+      job.status = "failed";
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    console.log(
+      `${job.status === "completed" ? "✅" : "❌"} [JOBS] Analysis job ${
+        job.id
+      } ${job.status}${job.error ? `: ${job.error}` : ""}`
+    );
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs
+   */
+  pruneJobs() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) break;
+      if (job.status === "completed" || job.status === "failed") {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {object|null} Job copy with its queue position, or null if unknown
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const position = this.queue.indexOf(id);
+    return {
+      ...job,
+      queuePosition: position === -1 ? null : position + 1,
+    };
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {number} limit - Maximum jobs to return
+   * @returns {Array<object>} Jobs
+   */
+  getJobs(limit = 20) {
+    return Array.from(this.jobs.keys())
+      .reverse()
+      .slice(0, limit)
+      .map((id) => this.getJob(id));
+  }
+}
+
+module.exports = AnalysisJobQueue;
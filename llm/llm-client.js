@@ -0,0 +1,240 @@
+/**
+ * LLM Provider Layer for News Analysis Service
+ * Sends chat completions to OpenRouter or any OpenAI-compatible endpoint
+ * (including local llama.cpp and Ollama servers) and walks an ordered
+ * fallback list of models until one succeeds
+ */
+
+const axios = require("axios");
+
+class LLMClient {
+  /**
+   * @param {object} options - Client options
+   * @param {object} options.providers - Providers keyed by name ({ baseUrl, apiKey, headers })
+   * @param {string} options.defaultProvider - Provider used when a model spec names none
+   * @param {string} options.userAgent - User-Agent header sent with requests
+   * @param {Function} options.onUsage - Called with { model, provider, resolvedModel, usage, purpose } after each completion
+   * @param {object} options.httpClient - axios-compatible HTTP client (default: axios)
+   */
+  constructor(options = {}) {
+    this.providers = options.providers || {};
+    this.defaultProvider = options.defaultProvider || "openrouter";
+    this.userAgent =
+      options.userAgent || "BlackSwan News Analysis Service/1.0.0";
+    this.onUsage = options.onUsage || null;
+    this.httpClient = options.httpClient || axios;
+  }
+
+  /**
+   * Split a model spec into provider and model
+   *
+   * Specs are "model" (default provider) or "model@provider", e.g.
+   * "openai/gpt-5-mini" or "llama3.1:8b@ollama".
+   *
+   * @param {string} spec - Model spec
+   * @returns {object} { provider, model }
+   */
+  parseModelSpec(spec) {
+    const separator = spec.lastIndexOf("@");
+    if (separator === -1) {
+      return { provider: this.defaultProvider, model: spec };
+    }
+    return {
+      provider: spec.substring(separator + 1),
+      model: spec.substring(0, separator),
+    };
+  }
+
+  /**
+   * Request a chat completion, falling back through the model list
+   * @param {object} request - Completion request
+   * @param {Array<string>} request.models - Ordered model specs to try
+   * @param {Array<object>} request.messages - Chat messages
+   * @param {number} request.maxTokens - Maximum tokens for the response
+   * @param {number} request.temperature - Sampling temperature (optional)
+   * @param {number} request.timeout - Request timeout in milliseconds
+   * @param {string} request.purpose - Label for usage accounting (e.g. 'analysis', 'search')
+   * @returns {Promise<object>} { content, model, provider, resolvedModel, usage, failedAttempts }
+   * @throws {Error} If every model in the list fails
+   */
+  async complete(request) {
+    const failedAttempts = [];
+
+    for (const spec of request.models) {
+      const { provider, model } = this.parseModelSpec(spec);
+
+      try {
+        const result = await this.requestCompletion(provider, model, request);
+        await this.reportUsage(result, request.purpose);
+
+        if (failedAttempts.length > 0) {
+          console.log(
+            `🔁 [LLM] Fell back to ${model} via ${provider} after ${failedAttempts.length} failed models`
+          );
+        }
+
+        return { ...result, failedAttempts };
+      } catch (error) {
+        console.warn(
+          `⚠️ [LLM] ${model} via ${provider} failed: ${error.message}`
+        );
+        failedAttempts.push({
+          model: model,
+          provider: provider,
+          error: error.message,
+        });
+      }
+    }
+
+    const error = new Error(
+      `All models failed: ${failedAttempts
+        .map((attempt) => `${attempt.model} (${attempt.error})`)
+        .join("; ")}`
+    );
+    error.failedAttempts = failedAttempts;
+    throw error;
+  }
+
+  /**
+   * Request a completion and repair responses that fail to parse
+   *
+   * When request.parse throws, the response and the error (including any
+   * `validationErrors`) are sent back to the model, which is asked for a
+   * corrected response, up to request.maxRepairs times.
+   *
+   * @param {object} request - Completion request (see complete) plus:
+   * @param {Function} request.parse - Parses and validates content, throwing on failure
+   * @param {number} request.maxRepairs - Maximum repair attempts after the first response
+   * @returns {Promise<object>} Completion result with `data` and `repairAttempts`
+   * @throws {Error} With `validationErrors`, `rawContent` and `failedAttempts` when repairs are exhausted
+   */
+  async completeWithRepair(request) {
+    const maxRepairs = request.maxRepairs ?? 2;
+    const messages = [...request.messages];
+    let lastError = null;
+    let completion = null;
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      completion = await this.complete({ ...request, messages });
+
+      try {
+        const data = request.parse(completion.content);
+        if (attempt > 0) {
+          console.log(`🔧 [LLM] Response repaired after ${attempt} attempts`);
+        }
+        return { ...completion, data, repairAttempts: attempt };
+      } catch (error) {
+        lastError = error;
+        if (attempt === maxRepairs) break;
+
+        console.warn(
+          `⚠️ [LLM] Invalid response from ${completion.model} (repair ${
+            attempt + 1
+          }/${maxRepairs}): ${error.message}`
+        );
+
+        const problems = error.validationErrors || [error.message];
+        messages.push(
+          { role: "assistant", content: completion.content },
+          {
+            role: "user",
+            content: `Your previous response did not match the required JSON format:
+${problems.map((problem) => `- ${problem}`).join("\n")}
+
+Return the complete corrected JSON only, with no additional text.`,
+          }
+        );
+      }
+    }
+
+    const error = new Error(
+      `Invalid response after ${maxRepairs} repair attempts: ${lastError.message}`
+    );
+    error.validationErrors = lastError.validationErrors || [lastError.message];
+    error.rawContent = completion.content;
+    error.model = completion.model;
+    error.provider = completion.provider;
+    error.failedAttempts = completion.failedAttempts;
+    throw error;
+  }
+
+  /**
+   * Pass a completion's usage to the onUsage callback
+   *
+   * Accounting errors are logged and never fail the completion.
+   *
+   * @param {object} result - Completion result from requestCompletion
+   * @param {string} purpose - Label for usage accounting
+   */
+  async reportUsage(result, purpose) {
+    if (!this.onUsage || !result.usage) return;
+
+    try {
+      await this.onUsage({
+        model: result.model,
+        provider: result.provider,
+        resolvedModel: result.resolvedModel,
+        usage: result.usage,
+        purpose: purpose || null,
+      });
+    } catch (error) {
+      console.error(`❌ [LLM] Error recording usage:`, error.message);
+    }
+  }
+
+  /**
+   * Send one chat completion request to a provider
+   * @param {string} providerName - Provider name
+   * @param {string} model - Model name at that provider
+   * @param {object} request - Completion request (see complete)
+   * @returns {Promise<object>} { content, model, provider, resolvedModel, usage }
+   */
+  async requestCompletion(providerName, model, request) {
+    const provider = this.providers[providerName];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+
+    const body = {
+      model: model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+    };
+    if (request.temperature !== undefined) {
+      body.temperature = request.temperature;
+    }
+
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": this.userAgent,
+      ...(provider.headers || {}),
+    };
+    if (provider.apiKey) {
+      headers.Authorization = `Bearer ${provider.apiKey}`;
+    }
+
+    const response = await this.httpClient.post(
+      `${provider.baseUrl.replace(/\/+$/, "")}/chat/completions`,
+      body,
+      {
+        headers: headers,
+        timeout: request.timeout,
+      }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content || !content.trim()) {
+      throw new Error("No response from LLM");
+    }
+
+    return {
+      content: content,
+      model: model,
+      provider: providerName,
+      resolvedModel: response.data.model || model,
+      usage: response.data.usage || null,
+    };
+  }
+}
+
+module.exports = LLMClient;
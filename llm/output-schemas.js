@@ -0,0 +1,177 @@
+/**
+ * Output Schemas for LLM Responses
+ * Declares the JSON structure expected from the news impact analysis, the
+ * Perplexity global news search and article batch summaries
+ */
+
+// 0-10 impact score; null when the model cannot score an item
+const IMPACT_SCORE_SCHEMA = {
+  type: ["number", "null"],
+  minimum: 0,
+  maximum: 10,
+};
+
+// Expected price direction of an event or of the overall environment
+const DIRECTION_SCHEMA = {
+  type: ["string", "null"],
+  enum: ["bullish", "bearish", "mixed", null],
+};
+
+// Model confidence in its assessment, 0 (guess) to 1 (certain)
+const CONFIDENCE_SCHEMA = {
+  type: ["number", "null"],
+  minimum: 0,
+  maximum: 1,
+};
+
+// How soon the impact is expected to play out
+const TIME_HORIZON_SCHEMA = {
+  type: ["string", "null"],
+  enum: ["hours", "days", "weeks", null],
+};
+
+const ANALYSIS_EVENT_SCHEMA = {
+  type: "object",
+  required: ["title", "summary", "analysis"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    summary: { type: "string" },
+    analysis: { type: "string" },
+    impact_score: IMPACT_SCORE_SCHEMA,
+    direction: DIRECTION_SCHEMA,
+    confidence: CONFIDENCE_SCHEMA,
+    time_horizon: TIME_HORIZON_SCHEMA,
+  },
+};
+
+// Asset classes rated individually in the analysis
+const ASSET_CLASSES = [
+  "bitcoin",
+  "ethereum",
+  "stablecoins",
+  "defi",
+  "altcoins",
+];
+
+// Market influence levels, lowest first
+const INFLUENCE_LEVELS = ["minimal", "moderate", "significant", "major"];
+
+/**
+ * Rank of a market influence level for ordering comparisons
+ * @param {string} level - Market influence level
+ * @returns {number} Position in INFLUENCE_LEVELS, or -1 for an unknown level
+ */
+function influenceRank(level) {
+  return INFLUENCE_LEVELS.indexOf(level);
+}
+
+const INFLUENCE_LEVEL_SCHEMA = {
+  type: "string",
+  enum: INFLUENCE_LEVELS,
+};
+
+const ASSET_IMPACT_SCHEMA = {
+  type: ["object", "null"],
+  required: ["level"],
+  properties: {
+    level: INFLUENCE_LEVEL_SCHEMA,
+    rationale: { type: ["string", "null"] },
+  },
+};
+
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  required: ["analysis", "summary", "market_influence", "events"],
+  properties: {
+    analysis: { type: "string", minLength: 1 },
+    summary: { type: "string", minLength: 1 },
+    market_influence: INFLUENCE_LEVEL_SCHEMA,
+    impact_score: IMPACT_SCORE_SCHEMA,
+    direction: DIRECTION_SCHEMA,
+    confidence: CONFIDENCE_SCHEMA,
+    time_horizon: TIME_HORIZON_SCHEMA,
+    events: { type: "array", items: ANALYSIS_EVENT_SCHEMA },
+    // Optional so prompt versions without a per-asset section still validate
+    asset_impacts: {
+      type: "object",
+      properties: Object.fromEntries(
+        ASSET_CLASSES.map((asset) => [asset, ASSET_IMPACT_SCHEMA])
+      ),
+    },
+  },
+};
+
+const SEARCH_EVENT_SCHEMA = {
+  type: "object",
+  required: ["title"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: ["string", "null"] },
+    timestamp: { type: ["string", "null"] },
+    source: { type: ["string", "null"] },
+    category: {
+      type: ["string", "null"],
+      enum: [
+        "regulatory",
+        "monetary",
+        "economic",
+        "geopolitical",
+        "technology",
+        "institutional",
+        "corporate",
+        "other",
+        null,
+      ],
+    },
+    crypto_relevance: {
+      type: ["string", "null"],
+      enum: ["high", "medium", "low", null],
+    },
+    potential_impact: {
+      type: ["string", "null"],
+      enum: ["positive", "negative", "neutral", null],
+    },
+    affected_assets: { type: "array", items: { type: "string" } },
+    summary: { type: ["string", "null"] },
+    market_implications: { type: ["string", "null"] },
+  },
+};
+
+const SEARCH_SCHEMA = {
+  type: "object",
+  required: ["global_news_events"],
+  properties: {
+    global_news_events: { type: "array", items: SEARCH_EVENT_SCHEMA },
+    search_summary: { type: ["string", "null"] },
+    risk_assessment: { type: ["string", "null"] },
+  },
+};
+
+const BATCH_SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["developments"],
+  properties: {
+    summary: { type: ["string", "null"] },
+    developments: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title", "summary"],
+        properties: {
+          title: { type: "string", minLength: 1 },
+          summary: { type: "string" },
+          sources: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  SEARCH_SCHEMA,
+  BATCH_SUMMARY_SCHEMA,
+  ASSET_CLASSES,
+  INFLUENCE_LEVELS,
+  influenceRank,
+};
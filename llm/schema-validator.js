@@ -0,0 +1,87 @@
+/**
+ * JSON Schema Validation for LLM Output
+ * Validates parsed model responses against the subset of JSON Schema used by
+ * the output schemas: type, required, properties, items, enum, minimum,
+ * maximum and minLength
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed JSON value
+ * @param {object} schema - JSON schema
+ * @param {string} path - Path of the value used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    );
+    if (!matches) {
+      errors.push(`${path} must be of type ${allowed.join(" or ")}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path} must be one of: ${schema.enum.map(String).join(", ")}`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.trim().length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((field) => {
+      if (!(field in value)) {
+        errors.push(`${path}.${field} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+      if (field in value) {
+        errors.push(
+          ...validateSchema(value[field], fieldSchema, `${path}.${field}`)
+        );
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,30 @@
+/**
+ * Token Estimation for LLM Prompts
+ * Approximates prompt size without a model-specific tokenizer so oversized
+ * prompts can be detected before they are sent
+ */
+
+// Average characters per token for English prose across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a text
+ *
+ * Uses the larger of a character-based and a word-based estimate so dense
+ * text (URLs, numbers, code) is not undercounted.
+ *
+ * @param {string} text - Prompt or prompt fragment
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  const value = String(text || "");
+  if (value.length === 0) {
+    return 0;
+  }
+
+  const byCharacters = Math.ceil(value.length / CHARS_PER_TOKEN);
+  const byWords = Math.ceil(value.split(/\s+/).filter(Boolean).length * 1.3);
+  return Math.max(byCharacters, byWords);
+}
+
+module.exports = { estimateTokens };
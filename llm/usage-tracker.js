@@ -0,0 +1,324 @@
+/**
+ * LLM Usage and Cost Accounting for News Analysis Service
+ * Records the token usage of every completion, estimates its cost, keeps
+ * daily aggregates in storage and enforces daily and monthly budget caps
+ */
+
+// Purposes of side runs whose usage is kept out of the current cycle
+const NON_CYCLE_PURPOSES = ["backtest", "shadow"];
+
+/**
+ * Create an empty usage total
+ * @returns {object} Zeroed usage counters
+ */
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+  };
+}
+
+/**
+ * Add one call or total into a running total
+ * @param {object} target - Total to update (mutated)
+ * @param {object} source - Call or total to add
+ */
+function addTotals(target, source) {
+  target.calls += source.calls ?? 1;
+  target.promptTokens += source.promptTokens;
+  target.completionTokens += source.completionTokens;
+  target.totalTokens += source.totalTokens;
+  target.costUsd = roundCost(target.costUsd + source.costUsd);
+  target.unpricedCalls += source.unpricedCalls ?? (source.priced ? 0 : 1);
+}
+
+/**
+ * Add a call or total into a breakdown list keyed by one or more fields
+ * @param {Array<object>} list - Breakdown entries (mutated)
+ * @param {object} key - Identifying fields (e.g. { model, provider })
+ * @param {object} source - Call or total to add
+ */
+function addToBreakdown(list, key, source) {
+  let entry = list.find((item) =>
+    Object.entries(key).every(([field, value]) => item[field] === value)
+  );
+  if (!entry) {
+    entry = { ...key, ...emptyTotals() };
+    list.push(entry);
+  }
+  addTotals(entry, source);
+}
+
+/**
+ * Round a dollar amount to a millionth of a dollar
+ * @param {number} value - Amount in USD
+ * @returns {number} Rounded amount
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+class UsageTracker {
+  /**
+   * @param {object} options - Tracker options
+   * @param {object} options.backend - Storage backend from createStorageBackend
+   * @param {string} options.collection - Collection daily aggregates are stored in
+   * @param {object} options.pricing - USD per million tokens keyed by model or "model@provider" ({ prompt, completion })
+   * @param {number|null} options.dailyBudgetUsd - Daily spend cap (null for none)
+   * @param {number|null} options.monthlyBudgetUsd - Monthly spend cap (null for none)
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.collection = options.collection || "llm_usage_daily";
+    this.pricing = options.pricing || {};
+    this.dailyBudgetUsd = options.dailyBudgetUsd ?? null;
+    this.monthlyBudgetUsd = options.monthlyBudgetUsd ?? null;
+
+    this.days = new Map(); // key: YYYY-MM-DD, value: daily aggregate
+    this.loadedMonths = new Map(); // key: YYYY-MM, value: load promise
+    this.writeQueue = Promise.resolve();
+    this.currentCycle = null;
+  }
+
+  /**
+   * Load the stored daily aggregates of a month once per process
+   * @param {string} month - Month as YYYY-MM
+   * @returns {Promise<void>}
+   */
+  loadMonth(month) {
+    if (!this.loadedMonths.has(month)) {
+      const load = this.backend
+        .query(this.collection, { where: [["month", "==", month]] })
+        .then((days) => {
+          days.forEach(({ id, ...day }) => {
+            if (!this.days.has(id)) this.days.set(id, day);
+          });
+        })
+        .catch((error) => {
+          this.loadedMonths.delete(month);
+          throw error;
+        });
+      this.loadedMonths.set(month, load);
+    }
+    return this.loadedMonths.get(month);
+  }
+
+  /**
+   * Estimate the cost of a completion
+   *
+   * A cost reported by the provider (OpenRouter `usage.cost`) is used as is;
+   * otherwise the pricing table is applied.
+   *
+   * @param {string} model - Model name
+   * @param {string} provider - Provider name
+   * @param {object} usage - Provider usage ({ prompt_tokens, completion_tokens, cost })
+   * @returns {object} { costUsd, priced }
+   */
+  estimateCost(model, provider, usage) {
+    if (typeof usage.cost === "number") {
+      return { costUsd: usage.cost, priced: true };
+    }
+
+    const price = this.pricing[`${model}@${provider}`] || this.pricing[model];
+    if (!price) {
+      return { costUsd: 0, priced: false };
+    }
+
+    const cost =
+      ((usage.prompt_tokens || 0) * (price.prompt || 0) +
+        (usage.completion_tokens || 0) * (price.completion || 0)) /
+      1e6;
+    return { costUsd: roundCost(cost), priced: true };
+  }
+
+  /**
+   * Record the usage of one completion
+   * @param {object} call - Completion details ({ model, provider, usage, purpose })
+   * @returns {Promise<object>} Recorded call with token counts and cost
+   */
+  async record(call) {
+    const usage = call.usage || {};
+    const timestamp = new Date().toISOString();
+    const day = timestamp.substring(0, 10);
+    const month = timestamp.substring(0, 7);
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    const recorded = {
+      model: call.model,
+      provider: call.provider,
+      purpose: call.purpose || "other",
+      promptTokens: promptTokens,
+      completionTokens: completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      ...this.estimateCost(call.model, call.provider, usage),
+    };
+
+    await this.loadMonth(month);
+
+    if (!this.days.has(day)) {
+      this.days.set(day, {
+        day: day,
+        month: month,
+        ...emptyTotals(),
+        byModel: [],
+        byPurpose: [],
+      });
+    }
+    const aggregate = this.days.get(day);
+    addTotals(aggregate, recorded);
+    addToBreakdown(
+      aggregate.byModel,
+      { model: recorded.model, provider: recorded.provider },
+      recorded
+    );
+    addToBreakdown(
+      aggregate.byPurpose,
+      { purpose: recorded.purpose },
+      recorded
+    );
+    aggregate.updatedAt = timestamp;
+
+    // Backtests and shadow variants may overlap a live cycle but are not
+    // part of its analysis
+    if (this.currentCycle && !NON_CYCLE_PURPOSES.includes(recorded.purpose)) {
+      addTotals(this.currentCycle, recorded);
+      addToBreakdown(
+        this.currentCycle.byModel,
+        { model: recorded.model, provider: recorded.provider },
+        recorded
+      );
+    }
+
+    // Serialize writes so the stored aggregate is always the latest
+    this.writeQueue = this.writeQueue
+      .then(() => this.backend.set(this.collection, day, this.days.get(day)))
+      .catch((error) =>
+        console.error(
+          `❌ [USAGE] Error storing usage for ${day}:`,
+          error.message
+        )
+      );
+
+    return recorded;
+  }
+
+  /**
+   * Start attributing usage to an analysis cycle
+   *
+   * Calls recorded with a backtest or shadow purpose are not attributed.
+   */
+  beginCycle() {
+    this.currentCycle = { ...emptyTotals(), byModel: [] };
+  }
+
+  /**
+   * Stop attributing usage to the current cycle
+   * @returns {object|null} Usage recorded during the cycle
+   */
+  endCycle() {
+    const cycle = this.currentCycle;
+    this.currentCycle = null;
+    return cycle;
+  }
+
+  /**
+   * Usage recorded so far in the current cycle
+   * @returns {object|null} Cycle usage, or null outside a cycle
+   */
+  getCycleUsage() {
+    return this.currentCycle
+      ? JSON.parse(JSON.stringify(this.currentCycle))
+      : null;
+  }
+
+  /**
+   * Sum the cached daily aggregates of a month
+   * @param {string} month - Month as YYYY-MM
+   * @returns {object} Monthly aggregate
+   */
+  sumMonth(month) {
+    const total = { month: month, ...emptyTotals(), byModel: [] };
+    this.days.forEach((day) => {
+      if (day.month !== month) return;
+      addTotals(total, day);
+      day.byModel.forEach(({ model, provider, ...totals }) =>
+        addToBreakdown(total.byModel, { model, provider }, totals)
+      );
+    });
+    return total;
+  }
+
+  /**
+   * Check spend against the daily and monthly budgets
+   * @returns {Promise<object>} { exceeded, daily, monthly } with { limitUsd, spentUsd, exceeded } per period
+   */
+  async getBudgetStatus() {
+    const now = new Date().toISOString();
+    const day = now.substring(0, 10);
+    const month = now.substring(0, 7);
+    await this.loadMonth(month);
+
+    const period = (limitUsd, spentUsd) => ({
+      limitUsd: limitUsd,
+      spentUsd: spentUsd,
+      exceeded: limitUsd !== null && spentUsd >= limitUsd,
+    });
+    const daily = period(this.dailyBudgetUsd, this.days.get(day)?.costUsd || 0);
+    const monthly = period(this.monthlyBudgetUsd, this.sumMonth(month).costUsd);
+
+    return {
+      exceeded: daily.exceeded || monthly.exceeded,
+      daily: daily,
+      monthly: monthly,
+    };
+  }
+
+  /**
+   * Daily and monthly usage aggregates, newest first
+   * @param {object} options - Range options
+   * @param {number} options.days - Number of days to include
+   * @param {number} options.months - Number of months to include
+   * @returns {Promise<object>} { daily, monthly }
+   */
+  async getUsage(options = {}) {
+    const { days = 30, months = 6 } = options;
+    const now = new Date();
+
+    const monthKeys = Array.from({ length: months }, (_, index) =>
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - index, 1))
+        .toISOString()
+        .substring(0, 7)
+    );
+    const firstDay = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .substring(0, 10);
+    const dayMonths = new Set();
+    for (
+      let date = new Date(`${firstDay.substring(0, 7)}-01T00:00:00Z`);
+      date <= now;
+      date.setUTCMonth(date.getUTCMonth() + 1)
+    ) {
+      dayMonths.add(date.toISOString().substring(0, 7));
+    }
+
+    await Promise.all(
+      Array.from(new Set([...monthKeys, ...dayMonths])).map((month) =>
+        this.loadMonth(month)
+      )
+    );
+
+    const daily = Array.from(this.days.values())
+      .filter((day) => day.day >= firstDay)
+      .sort((a, b) => (a.day < b.day ? 1 : -1));
+    const monthly = monthKeys.map((month) => this.sumMonth(month));
+
+    return { daily: daily, monthly: monthly };
+  }
+}
+
+module.exports = UsageTracker;
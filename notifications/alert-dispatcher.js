@@ -0,0 +1,391 @@
+/**
+ * Alert Dispatch for News Analysis Service
+ * Sends webhook notifications (generic signed JSON, Slack, Discord) when an
+ * analysis crosses the configured market influence threshold, with retries,
+ * a delivery log and deduplication of ongoing events
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { titleWords, titleSimilarity } = require("../utils/text-matching");
+const { influenceRank } = require("../llm/output-schemas");
+
+// Embed colors used for Discord payloads
+const DISCORD_COLORS = { significant: 0xf39c12, major: 0xe74c3c };
+
+class AlertDispatcher {
+  /**
+   * @param {object} options - Dispatcher options
+   * @param {Array<object>} options.webhooks - Webhook definitions ({ name, type, url, secret, minInfluence })
+   * @param {string} options.minInfluence - Lowest market_influence that alerts
+   * @param {number} options.dedupHours - Hours an alerted event suppresses repeat alerts
+   * @param {number} options.duplicateThreshold - Title overlap (0-1) for the same event
+   * @param {number} options.maxRetries - Retries per webhook after the first attempt
+   * @param {number} options.retryDelayMs - Base delay for exponential backoff
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.deliveryLogSize - Number of deliveries kept in the log
+   * @param {object} options.httpClient - axios-compatible HTTP client (default: axios)
+   */
+  constructor(options = {}) {
+    this.webhooks = (options.webhooks || []).map((webhook, index) => ({
+      name: webhook.name || `${webhook.type || "generic"}-${index + 1}`,
+      type: webhook.type || "generic",
+      url: webhook.url,
+      secret: webhook.secret || null,
+      minInfluence: webhook.minInfluence || null,
+    }));
+    this.minInfluence = options.minInfluence || "significant";
+    this.dedupHours = options.dedupHours ?? 6;
+    this.duplicateThreshold = options.duplicateThreshold ?? 0.6;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 2000;
+    this.timeout = options.timeout || 10000;
+    this.deliveryLogSize = options.deliveryLogSize || 100;
+    this.httpClient = options.httpClient || axios;
+
+    this.alertedEvents = []; // { words, title, alertedAt }
+    this.lastAlert = null; // { influence, alertedAt }
+    this.deliveryLog = [];
+    this.stats = {
+      alertsSent: 0,
+      alertsSuppressed: 0,
+      alertsFailed: 0,
+      deliveriesSucceeded: 0,
+      deliveriesFailed: 0,
+    };
+  }
+
+  /**
+   * Dispatch alerts for an analysis if it crosses the threshold
+   * @param {object} analysis - Analysis result (market_influence, events, ...)
+   * @param {object} context - Extra context ({ analysisId, timestamp })
+   * @returns {Promise<object>} Dispatch outcome ({ dispatched, reason, deliveries })
+   */
+  async dispatch(analysis, context = {}) {
+    const influence = analysis?.market_influence;
+
+    if (this.webhooks.length === 0) {
+      return { dispatched: false, reason: "no_webhooks" };
+    }
+
+    if (!this.meetsThreshold(influence, this.minInfluence)) {
+      return { dispatched: false, reason: "below_threshold" };
+    }
+
+    this.pruneAlertedEvents();
+
+    // Only page for events not already alerted, unless influence escalated
+    const events = Array.isArray(analysis.events) ? analysis.events : [];
+    const newEvents = events.filter((event) => !this.wasAlerted(event.title));
+    const escalated =
+      !this.lastAlert ||
+      influenceRank(influence) > influenceRank(this.lastAlert.influence);
+
+    if (newEvents.length === 0 && !escalated) {
+      this.stats.alertsSuppressed++;
+      console.log(
+        `🔕 [ALERTS] Suppressed ${influence} alert - all ${events.length} events already alerted in the last ${this.dedupHours}h`
+      );
+      return { dispatched: false, reason: "duplicate" };
+    }
+
+    const alert = {
+      event: "analysis.alert",
+      analysis_id: context.analysisId || null,
+      timestamp: context.timestamp || new Date().toISOString(),
+      market_influence: influence,
+      impact_score: analysis.impact_score ?? null,
+      impact_tier: analysis.impact_tier || null,
+      direction: analysis.direction || null,
+      confidence: analysis.confidence ?? null,
+      time_horizon: analysis.time_horizon || null,
+      summary: analysis.summary,
+      escalated: escalated && !!this.lastAlert,
+      events: events,
+      new_events: newEvents.map((event) => event.title),
+    };
+
+    const targets = this.webhooks.filter((webhook) =>
+      this.meetsThreshold(influence, webhook.minInfluence || this.minInfluence)
+    );
+    if (targets.length === 0) {
+      return { dispatched: false, reason: "below_threshold" };
+    }
+
+    const deliveries = await Promise.all(
+      targets.map((webhook) => this.deliver(webhook, alert))
+    );
+    const delivered = deliveries.filter((d) => d.status === "delivered");
+
+    // An alert no webhook received is not remembered, so the next cycle
+    // alerts again instead of suppressing it as a duplicate
+    if (delivered.length === 0) {
+      this.stats.alertsFailed++;
+      console.error(
+        `❌ [ALERTS] ${influence} alert could not be delivered to any of ${targets.length} webhooks`
+      );
+      return {
+        dispatched: false,
+        reason: "delivery_failed",
+        deliveries: deliveries,
+      };
+    }
+
+    // Remember what was alerted so later cycles can deduplicate
+    const now = Date.now();
+    events.forEach((event) => {
+      if (!this.wasAlerted(event.title)) {
+        this.alertedEvents.push({
+          words: titleWords(event.title),
+          title: event.title,
+          alertedAt: now,
+        });
+      }
+    });
+    this.lastAlert = { influence: influence, alertedAt: now };
+    this.stats.alertsSent++;
+
+    console.log(
+      `🚨 [ALERTS] ${influence} alert sent to ${delivered.length}/${targets.length} webhooks (${newEvents.length} new events)`
+    );
+
+    return { dispatched: true, deliveries: deliveries };
+  }
+
+  /**
+   * Deliver an alert to one webhook with retries
+   * @param {object} webhook - Webhook definition
+   * @param {object} alert - Alert payload
+   * @returns {Promise<object>} Delivery log entry
+   */
+  async deliver(webhook, alert) {
+    const body = JSON.stringify(this.formatPayload(webhook, alert));
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "BlackSwan News Analysis Service/1.0.0",
+    };
+
+    if (webhook.type === "generic" && webhook.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto
+        .createHmac("sha256", webhook.secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+      headers["X-BlackSwan-Timestamp"] = timestamp;
+      headers["X-BlackSwan-Signature"] = `sha256=${signature}`;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      webhook: webhook.name,
+      type: webhook.type,
+      analysisId: alert.analysis_id,
+      marketInfluence: alert.market_influence,
+      status: "pending",
+      attempts: 0,
+      statusCode: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    };
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      entry.attempts = attempt + 1;
+
+      try {
+        const response = await this.httpClient.post(webhook.url, body, {
+          headers: headers,
+          timeout: this.timeout,
+        });
+        entry.status = "delivered";
+        entry.statusCode = response.status;
+        entry.error = null;
+        break;
+      } catch (error) {
+        const status = error.response?.status || null;
+        entry.status = "failed";
+        entry.statusCode = status;
+        entry.error = error.message;
+
+        // Client errors other than rate limiting will not succeed on retry
+        const retryable = !status || status >= 500 || status === 429;
+        if (!retryable || attempt === this.maxRetries) {
+          break;
+        }
+
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.retryDelayMs * 2 ** attempt)
+        );
+      }
+    }
+
+    if (entry.status === "delivered") {
+      this.stats.deliveriesSucceeded++;
+    } else {
+      this.stats.deliveriesFailed++;
+      console.error(
+        `❌ [ALERTS] Delivery to ${webhook.name} failed after ${entry.attempts} attempts:`,
+        entry.error
+      );
+    }
+
+    this.deliveryLog.unshift(entry);
+    if (this.deliveryLog.length > this.deliveryLogSize) {
+      this.deliveryLog = this.deliveryLog.slice(0, this.deliveryLogSize);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Build the request body for a webhook type
+   * @param {object} webhook - Webhook definition
+   * @param {object} alert - Alert payload
+   * @returns {object} Body for the webhook
+   */
+  formatPayload(webhook, alert) {
+    const heading = `${alert.escalated ? "Escalation" : "Alert"}: ${
+      alert.market_influence
+    }${alert.direction ? ` ${alert.direction}` : ""} crypto market influence`;
+    const eventLines = alert.events
+      .slice(0, 8)
+      .map(
+        (event) =>
+          `• ${alert.new_events.includes(event.title) ? "🆕 " : ""}${
+            event.title
+          }`
+      )
+      .join("\n");
+
+    if (webhook.type === "slack") {
+      return {
+        text: `${heading} - ${alert.summary}`,
+        blocks: [
+          {
+            type: "header",
+            text: { type: "plain_text", text: heading },
+          },
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: alert.summary },
+          },
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: eventLines || "No events listed" },
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `Impact score: ${
+                  alert.impact_score ?? "n/a"
+                } | Analysis: ${alert.analysis_id || "n/a"} | ${
+                  alert.timestamp
+                }`,
+              },
+            ],
+          },
+        ],
+      };
+    }
+
+    if (webhook.type === "discord") {
+      return {
+        content: heading,
+        embeds: [
+          {
+            title: heading,
+            description: alert.summary,
+            color: DISCORD_COLORS[alert.market_influence] || 0x95a5a6,
+            fields: [
+              { name: "Events", value: eventLines || "No events listed" },
+              {
+                name: "Impact Score",
+                value: String(alert.impact_score ?? "n/a"),
+                inline: true,
+              },
+              {
+                name: "Analysis ID",
+                value: alert.analysis_id || "n/a",
+                inline: true,
+              },
+            ],
+            timestamp: alert.timestamp,
+          },
+        ],
+      };
+    }
+
+    return alert;
+  }
+
+  /**
+   * Check whether an influence level reaches a minimum level
+   * @param {string} influence - Market influence of the analysis
+   * @param {string} minimum - Minimum market influence
+   * @returns {boolean} True if influence is at or above minimum
+   */
+  meetsThreshold(influence, minimum) {
+    if (influenceRank(influence) < 0) return false;
+    const minimumRank = influenceRank(minimum);
+    return (
+      influenceRank(influence) >=
+      (minimumRank >= 0 ? minimumRank : influenceRank("significant"))
+    );
+  }
+
+  /**
+   * Check whether an event was alerted within the dedup window
+   * @param {string} title - Event title
+   * @returns {boolean} True if a matching event was already alerted
+   */
+  wasAlerted(title) {
+    const words = titleWords(title);
+    return this.alertedEvents.some(
+      (alerted) =>
+        titleSimilarity(words, alerted.words) >= this.duplicateThreshold
+    );
+  }
+
+  /**
+   * Forget alerted events and escalation state older than the dedup window
+   */
+  pruneAlertedEvents() {
+    const cutoff = Date.now() - this.dedupHours * 60 * 60 * 1000;
+    this.alertedEvents = this.alertedEvents.filter(
+      (alerted) => alerted.alertedAt >= cutoff
+    );
+    if (this.lastAlert && this.lastAlert.alertedAt < cutoff) {
+      this.lastAlert = null;
+    }
+  }
+
+  /**
+   * Get recent webhook deliveries
+   * @param {number} limit - Maximum entries to return
+   * @returns {Array<object>} Delivery log entries, newest first
+   */
+  getDeliveryLog(limit = 50) {
+    return this.deliveryLog.slice(0, limit);
+  }
+
+  /**
+   * Get dispatcher statistics
+   * @returns {object} Counters and configuration summary
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      webhooks: this.webhooks.map(({ name, type, minInfluence }) => ({
+        name,
+        type,
+        minInfluence: minInfluence || this.minInfluence,
+      })),
+      minInfluence: this.minInfluence,
+      dedupHours: this.dedupHours,
+      trackedEvents: this.alertedEvents.length,
+    };
+  }
+}
+
+module.exports = AlertDispatcher;
@@ -5,12 +5,19 @@
 
 const fs = require("fs");
 const path = require("path");
+const { inspectTemplate, renderTemplate } = require("./template-engine");
+
+// Template files are named {prompt-name}-{version}.md, e.g. news-impact-analysis-v1.md
+const TEMPLATE_FILE_PATTERN = /^([a-z0-9][a-z0-9-]*)-(v[0-9][a-z0-9.]*)\.md$/i;
 
 class NewsPromptManager {
   constructor() {
     this.promptsDir = path.join(__dirname);
+    this.partialsDir = path.join(__dirname, "partials");
     this.currentVersion = "v1";
     this.promptCache = new Map();
+    this.watchers = [];
+    this.reloadTimers = new Map(); // key: file name, value: debounce timer
   }
 
   /**
@@ -51,29 +58,44 @@ class NewsPromptManager {
     }
   }
 
+  /**
+   * Load a partial shared between templates from the partials directory
+   * @param {string} partialName - Name of the partial (e.g., 'rss-articles')
+   * @returns {string} Raw partial template
+   */
+  loadPartial(partialName) {
+    const cacheKey = `partials/${partialName}`;
+    if (this.promptCache.has(cacheKey)) {
+      return this.promptCache.get(cacheKey);
+    }
+
+    try {
+      const template = fs.readFileSync(
+        path.join(this.partialsDir, `${partialName}.md`),
+        "utf8"
+      );
+      this.promptCache.set(cacheKey, template);
+      console.log(`📝 [PROMPT] Loaded partial ${partialName}.md`);
+
+      return template;
+    } catch (error) {
+      throw new Error(`Prompt partial not found: ${partialName}.md`);
+    }
+  }
+
   /**
    * Fill template with actual data
    * @param {string} template - Raw template string
    * @param {object} data - Data to inject into template
+   * @param {string} templateName - Name used in error messages
    * @returns {string} Filled prompt
+   * @throws {TemplateError} If the template uses missing variables or ignores supplied ones
    */
-  fillTemplate(template, data) {
-    let filledTemplate = template;
-
-    // Replace all template variables
-    Object.entries(data).forEach(([key, value]) => {
-      const placeholder = `{{${key}}}`;
-      const replacement =
-        typeof value === "object"
-          ? JSON.stringify(value, null, 2)
-          : String(value);
-      filledTemplate = filledTemplate.replace(
-        new RegExp(placeholder, "g"),
-        replacement
-      );
+  fillTemplate(template, data, templateName = "template") {
+    return renderTemplate(template, data, {
+      loadPartial: (name) => this.loadPartial(name),
+      templateName: templateName,
     });
-
-    return filledTemplate;
   }
 
   /**
@@ -88,8 +110,27 @@ class NewsPromptManager {
     promptName = "news-impact-analysis",
     version = null
   ) {
-    const template = this.loadPromptTemplate(promptName, version);
-    return this.fillTemplate(template, templateData);
+    const promptVersion = version || this.currentVersion;
+    const template = this.loadPromptTemplate(promptName, promptVersion);
+    return this.fillTemplate(
+      template,
+      templateData,
+      `${promptName}-${promptVersion}.md`
+    );
+  }
+
+  /**
+   * Render a partial on its own (e.g. to size one article's prompt text)
+   * @param {string} partialName - Name of the partial
+   * @param {object} data - Data to inject into the partial
+   * @returns {string} Filled partial
+   */
+  renderPartial(partialName, data) {
+    return this.fillTemplate(
+      this.loadPartial(partialName),
+      data,
+      `partials/${partialName}.md`
+    );
   }
 
   /**
@@ -114,6 +155,175 @@ class NewsPromptManager {
     }
   }
 
+  /**
+   * List every prompt template with its versions
+   * @returns {Array<object>} Prompts ({ name, versions }) sorted by name
+   */
+  listPrompts() {
+    try {
+      const prompts = new Map();
+      fs.readdirSync(this.promptsDir).forEach((file) => {
+        const match = file.match(TEMPLATE_FILE_PATTERN);
+        if (!match) return;
+        if (!prompts.has(match[1])) prompts.set(match[1], []);
+        prompts.get(match[1]).push(match[2]);
+      });
+
+      return Array.from(prompts.entries())
+        .map(([name, versions]) => ({ name: name, versions: versions.sort() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error(`❌ [PROMPT] Error listing prompts:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a prompt template exists
+   * @param {string} promptName - Name of the prompt
+   * @param {string} version - Version
+   * @returns {boolean} True if the template file exists
+   */
+  hasTemplate(promptName, version) {
+    return this.listPrompts().some(
+      (prompt) =>
+        prompt.name === promptName && prompt.versions.includes(version)
+    );
+  }
+
+  /**
+   * Find the data fields a template always needs
+   *
+   * Names used only inside sections may belong to the section's items and
+   * are not included.
+   *
+   * @param {string} template - Raw template string
+   * @returns {Array<string>} Unique field names in order of appearance
+   */
+  extractPlaceholders(template) {
+    return inspectTemplate(template, {
+      loadPartial: (name) => this.loadPartial(name),
+    }).required;
+  }
+
+  /**
+   * Compare a template's placeholders with the fields supplied to it
+   *
+   * Rendering fails on both missing and unused fields, so a template is only
+   * valid when neither list has entries.
+   *
+   * @param {string} promptName - Name of the prompt
+   * @param {string} version - Version
+   * @param {Array<string>} suppliedFields - Template data keys the caller supplies
+   * @returns {object} { valid, placeholders, partials, missingFields, unusedFields, error }
+   */
+  validatePlaceholders(promptName, version, suppliedFields) {
+    let inspection;
+    try {
+      inspection = inspectTemplate(
+        this.loadPromptTemplate(promptName, version),
+        { loadPartial: (name) => this.loadPartial(name) }
+      );
+    } catch (error) {
+      // Malformed templates and missing partials can never render
+      return {
+        valid: false,
+        placeholders: [],
+        partials: [],
+        missingFields: [],
+        unusedFields: [],
+        error: error.message,
+      };
+    }
+
+    const missingFields = inspection.required.filter(
+      (name) => !suppliedFields.includes(name)
+    );
+    const unusedFields = suppliedFields.filter(
+      (name) => !inspection.referenced.includes(name)
+    );
+
+    return {
+      valid: missingFields.length === 0 && unusedFields.length === 0,
+      placeholders: inspection.required,
+      partials: inspection.partials,
+      missingFields: missingFields,
+      unusedFields: unusedFields,
+      error: null,
+    };
+  }
+
+  /**
+   * Watch the prompt and partial directories and drop changed templates
+   * from the cache
+   *
+   * Editors often emit several events per save, so invalidation is debounced
+   * per file.
+   *
+   * @param {number} debounceMs - Quiet period before a change is applied
+   */
+  watch(debounceMs = 200) {
+    if (this.watchers.length > 0) return;
+
+    const directories = [
+      { dir: this.promptsDir, prefix: "", pattern: TEMPLATE_FILE_PATTERN },
+      { dir: this.partialsDir, prefix: "partials/", pattern: /\.md$/ },
+    ];
+
+    directories.forEach(({ dir, prefix, pattern }) => {
+      try {
+        const watcher = fs.watch(dir, (eventType, file) => {
+          if (!file || !pattern.test(file)) return;
+
+          const key = `${prefix}${file}`;
+          clearTimeout(this.reloadTimers.get(key));
+          this.reloadTimers.set(
+            key,
+            setTimeout(() => {
+              this.reloadTimers.delete(key);
+              this.invalidate(key);
+            }, debounceMs)
+          );
+        });
+        // Never keep the process alive just for the watcher
+        watcher.unref();
+        this.watchers.push(watcher);
+        console.log(`👀 [PROMPT] Watching ${dir} for changes`);
+      } catch (error) {
+        console.error(`❌ [PROMPT] Error watching ${dir}:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Whether template files are being watched
+   * @returns {boolean} True while at least one directory is watched
+   */
+  isWatching() {
+    return this.watchers.length > 0;
+  }
+
+  /**
+   * Stop watching the prompt and partial directories
+   */
+  unwatch() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+    this.reloadTimers.forEach((timer) => clearTimeout(timer));
+    this.reloadTimers.clear();
+  }
+
+  /**
+   * Drop one template file from the cache so it is re-read on next use
+   * @param {string} file - Template file relative to the prompts directory (e.g. 'news-impact-analysis-v1.md' or 'partials/rss-articles.md')
+   */
+  invalidate(file) {
+    const cacheKey = file.replace(/\.md$/, "");
+    if (this.promptCache.delete(cacheKey)) {
+      console.log(`🔄 [PROMPT] ${file} changed, cache invalidated`);
+    }
+  }
+
   /**
    * Clear prompt cache (useful for development)
    */
@@ -0,0 +1,353 @@
+/**
+ * Prompt Template Engine for News Analysis Service
+ * Renders Mustache-style prompt templates with variables, sections
+ * (conditionals and loops), inverted sections and partials, and rejects
+ * renders with missing or unused variables instead of sending a broken
+ * prompt to the LLM
+ *
+ * Syntax:
+ *   {{name}}, {{a.b}}, {{.}}   Insert a value (objects are inserted as JSON)
+ *   {{#name}}...{{/name}}      Render once per array item, or once if truthy
+ *   {{^name}}...{{/name}}      Render if falsy or an empty array
+ *   {{> partial-name}}         Insert prompts/partials/partial-name.md
+ *   {{! comment }}             Ignored
+ *
+ * A tag alone on its line other than a variable removes the whole line, so
+ * block tags do not leave blank lines in the prompt.
+ */
+
+const TAG_PATTERN = /{{\s*([#^/>!]?)\s*([\s\S]*?)\s*}}/g;
+const NAME_PATTERN = /^(\.|[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*)$/;
+const MAX_PARTIAL_DEPTH = 10;
+
+class TemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {string|null} details.templateName - Template being rendered
+   * @param {Array<string>} details.missingVariables - Variables the template uses but the data lacks
+   * @param {Array<string>} details.unusedVariables - Data fields the template never uses
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "TemplateError";
+    this.templateName = details.templateName || null;
+    this.missingVariables = details.missingVariables || [];
+    this.unusedVariables = details.unusedVariables || [];
+  }
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Array<object>} Tokens ({ type: 'text', value } or { type, name })
+ * @throws {TemplateError} If a tag name is invalid
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const [tag, sigil, name] = match;
+    let before = source.slice(position, match.index);
+    let end = match.index + tag.length;
+
+    const type =
+      { "#": "section", "^": "inverted", "/": "close", ">": "partial" }[
+        sigil
+      ] || (sigil === "!" ? "comment" : "variable");
+
+    if (type !== "comment" && !NAME_PATTERN.test(name)) {
+      throw new TemplateError(`Invalid template tag: ${tag}`);
+    }
+
+    // Drop the line of a standalone block tag
+    if (type !== "variable") {
+      const lineStart = source.lastIndexOf("\n", match.index - 1) + 1;
+      const indent = source.slice(lineStart, match.index);
+      const lineEnd = source.slice(end).match(/^[ \t]*(\r?\n|$)/);
+      if (/^[ \t]*$/.test(indent) && lineEnd) {
+        before = before.replace(/[ \t]*$/, "");
+        end += lineEnd[0].length;
+      }
+    }
+
+    if (before) tokens.push({ type: "text", value: before });
+    if (type !== "comment") tokens.push({ type: type, name: name });
+    position = end;
+  }
+
+  if (position < source.length) {
+    tokens.push({ type: "text", value: source.slice(position) });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} source - Template source
+ * @returns {Array<object>} Nodes; sections carry their `children`
+ * @throws {TemplateError} If sections are unclosed or mismatched
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+
+  tokenize(source).forEach((token) => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === "section" || token.type === "inverted") {
+      const node = { ...token, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (token.type === "close") {
+      if (stack.length === 1 || parent.name !== token.name) {
+        throw new TemplateError(
+          `Unexpected {{/${token.name}}}${
+            stack.length > 1 ? ` (expected {{/${parent.name}}})` : ""
+          }`
+        );
+      }
+      stack.pop();
+    } else {
+      parent.children.push(token);
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new TemplateError(
+      `Unclosed section {{#${stack[stack.length - 1].name}}}`
+    );
+  }
+  return root.children;
+}
+
+/**
+ * Resolve a variable against the context stack, innermost first
+ * @param {string} name - Variable name ('.' or dotted path)
+ * @param {Array} contexts - Context stack (root data first)
+ * @returns {object} { found, value }
+ */
+function lookup(name, contexts) {
+  if (name === ".") {
+    return { found: true, value: contexts[contexts.length - 1] };
+  }
+
+  const [first, ...rest] = name.split(".");
+  for (let index = contexts.length - 1; index >= 0; index--) {
+    const context = contexts[index];
+    if (
+      context === null ||
+      typeof context !== "object" ||
+      !Object.prototype.hasOwnProperty.call(context, first)
+    ) {
+      continue;
+    }
+
+    let value = context[first];
+    for (const key of rest) {
+      if (
+        value === null ||
+        typeof value !== "object" ||
+        !Object.prototype.hasOwnProperty.call(value, key)
+      ) {
+        return { found: false, value: undefined };
+      }
+      value = value[key];
+    }
+    return { found: true, value: value };
+  }
+  return { found: false, value: undefined };
+}
+
+/**
+ * Convert a value to prompt text
+ * @param {*} value - Value to insert
+ * @returns {string} Text (empty for null and undefined, JSON for objects)
+ */
+function stringify(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Parse a partial, guarding against recursive partials
+ * @param {string} name - Partial name
+ * @param {object} state - Render state ({ loadPartial, partialDepth })
+ * @returns {Array<object>} Partial nodes
+ */
+function parsePartial(name, state) {
+  if (!state.loadPartial) {
+    throw new TemplateError(`Partials are not available: {{> ${name}}}`);
+  }
+  if (state.partialDepth >= MAX_PARTIAL_DEPTH) {
+    throw new TemplateError(`Partials nested too deeply at {{> ${name}}}`);
+  }
+  return parseTemplate(state.loadPartial(name));
+}
+
+/**
+ * Render nodes against the context stack
+ * @param {Array<object>} nodes - Parsed nodes
+ * @param {Array} contexts - Context stack (root data first)
+ * @param {object} state - Render state ({ loadPartial, partialDepth, missing })
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, contexts, state) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+
+      if (node.type === "partial") {
+        state.partialDepth++;
+        const text = renderNodes(
+          parsePartial(node.name, state),
+          contexts,
+          state
+        );
+        state.partialDepth--;
+        return text;
+      }
+
+      const { found, value } = lookup(node.name, contexts);
+      if (!found) {
+        state.missing.add(node.name);
+        return "";
+      }
+
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.type === "variable") return stringify(value);
+      if (node.type === "inverted") {
+        return empty ? renderNodes(node.children, contexts, state) : "";
+      }
+      if (empty) return "";
+      if (Array.isArray(value)) {
+        return value
+          .map((item) => renderNodes(node.children, [...contexts, item], state))
+          .join("");
+      }
+      return renderNodes(node.children, [...contexts, value], state);
+    })
+    .join("");
+}
+
+/**
+ * Collect the variables a template refers to, including its partials
+ * @param {Array<object>} nodes - Parsed nodes
+ * @param {object} state - Collection state ({ loadPartial, partialDepth })
+ * @param {object} found - Accumulator ({ required, referenced, partials })
+ * @param {boolean} topLevel - Whether the nodes are outside every section
+ * @returns {object} The accumulator
+ */
+function collectVariables(nodes, state, found, topLevel = true) {
+  nodes.forEach((node) => {
+    if (node.type === "text") return;
+
+    if (node.type === "partial") {
+      found.partials.add(node.name);
+      state.partialDepth++;
+      collectVariables(parsePartial(node.name, state), state, found, topLevel);
+      state.partialDepth--;
+      return;
+    }
+
+    if (node.name !== ".") {
+      const root = node.name.split(".")[0];
+      found.referenced.add(root);
+      // Inside a section a name may belong to the section's item instead
+      if (topLevel) found.required.add(root);
+    }
+    if (node.children) {
+      collectVariables(node.children, state, found, false);
+    }
+  });
+  return found;
+}
+
+/**
+ * Describe the variables and partials a template uses
+ * @param {string} source - Template source
+ * @param {object} options - Inspection options
+ * @param {Function} options.loadPartial - Returns a partial's source by name
+ * @returns {object} { required, referenced, partials } where `required` are
+ *   data fields the template always needs and `referenced` is every name it
+ *   mentions (including fields of section items)
+ * @throws {TemplateError} If the template or a partial is malformed
+ */
+function inspectTemplate(source, options = {}) {
+  const found = collectVariables(
+    parseTemplate(source),
+    { loadPartial: options.loadPartial || null, partialDepth: 0 },
+    { required: new Set(), referenced: new Set(), partials: new Set() }
+  );
+  return {
+    required: Array.from(found.required),
+    referenced: Array.from(found.referenced),
+    partials: Array.from(found.partials),
+  };
+}
+
+/**
+ * Render a template with strict variable checking
+ *
+ * Every variable the template uses must be present in the data (null is
+ * allowed and renders as empty text), and every data field must be used
+ * somewhere in the template or its partials.
+ *
+ * @param {string} source - Template source
+ * @param {object} data - Template data
+ * @param {object} options - Render options
+ * @param {Function} options.loadPartial - Returns a partial's source by name
+ * @param {string} options.templateName - Name used in error messages
+ * @returns {string} Rendered text
+ * @throws {TemplateError} If the template is malformed or variables are missing or unused
+ */
+function renderTemplate(source, data, options = {}) {
+  const templateName = options.templateName || "template";
+  const state = {
+    loadPartial: options.loadPartial || null,
+    partialDepth: 0,
+    missing: new Set(),
+  };
+
+  const nodes = parseTemplate(source);
+  const text = renderNodes(nodes, [data || {}], state);
+
+  // Fields used only inside skipped sections still count as used
+  const { referenced } = collectVariables(
+    nodes,
+    { loadPartial: state.loadPartial, partialDepth: 0 },
+    { required: new Set(), referenced: new Set(), partials: new Set() }
+  );
+  const missingVariables = Array.from(state.missing);
+  const unusedVariables = Object.keys(data || {}).filter(
+    (key) => !referenced.has(key)
+  );
+
+  if (missingVariables.length > 0 || unusedVariables.length > 0) {
+    const problems = [
+      missingVariables.length > 0
+        ? `missing variables: ${missingVariables.join(", ")}`
+        : null,
+      unusedVariables.length > 0
+        ? `unused variables: ${unusedVariables.join(", ")}`
+        : null,
+    ].filter(Boolean);
+    throw new TemplateError(`${templateName}: ${problems.join("; ")}`, {
+      templateName: templateName,
+      missingVariables: missingVariables,
+      unusedVariables: unusedVariables,
+    });
+  }
+  return text;
+}
+
+module.exports = {
+  TemplateError,
+  parseTemplate,
+  inspectTemplate,
+  renderTemplate,
+};
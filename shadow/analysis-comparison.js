@@ -0,0 +1,168 @@
+/**
+ * Analysis Comparison for Shadow Variants and Backtests
+ * Compares two analyses of the same inputs (a shadow variant or backtest
+ * replay against the original analysis) for agreement on market influence,
+ * direction, impact score and events, and summarizes many such comparisons.
+ */
+
+const { titleWords, titleSimilarity } = require("../utils/text-matching");
+const { influenceRank } = require("../llm/output-schemas");
+
+/**
+ * Round a rate or average to three decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Average of a list of numbers
+ * @param {Array<number>} values - Values to average
+ * @returns {number|null} Average, or null for an empty list
+ */
+function average(values) {
+  return values.length > 0
+    ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+}
+
+/**
+ * Find the unmatched primary event whose title overlaps an event title most
+ * @param {string} title - Title of the candidate event
+ * @param {Array<object>} candidates - Unmatched primary events
+ * @param {number} matchThreshold - Title overlap (0-1) for the same event
+ * @returns {object|null} Matching primary event
+ */
+function findMatchingEvent(title, candidates, matchThreshold) {
+  const words = titleWords(title);
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach((candidate) => {
+    const score = titleSimilarity(words, titleWords(candidate.title));
+    if (score >= matchThreshold && score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Compare two analyses of the same inputs for agreement
+ *
+ * Both analyses use the stored field names ({ marketInfluence, impactScore,
+ * direction, events }). Event overlap is the Jaccard index of the two event
+ * sets, with events matched by title overlap; it is 1 when neither analysis
+ * reports events.
+ *
+ * @param {object} primary - Reference analysis
+ * @param {object} candidate - Analysis compared against it
+ * @param {object} options - Comparison options
+ * @param {number} options.matchThreshold - Title overlap (0-1) for the same event
+ * @returns {object} Agreement report
+ */
+function compareAnalyses(primary, candidate, options = {}) {
+  const { matchThreshold = 0.5 } = options;
+  const primaryEvents = Array.isArray(primary?.events) ? primary.events : [];
+  const candidateEvents = Array.isArray(candidate?.events)
+    ? candidate.events
+    : [];
+
+  const unmatched = primaryEvents.map((event) => ({
+    title: event.title,
+    impact_score: event.impact_score,
+  }));
+  const candidateOnlyEvents = [];
+  let matchedEvents = 0;
+
+  candidateEvents.forEach((event) => {
+    const match = findMatchingEvent(event.title, unmatched, matchThreshold);
+    if (!match) {
+      candidateOnlyEvents.push(event.title);
+      return;
+    }
+    unmatched.splice(unmatched.indexOf(match), 1);
+    matchedEvents++;
+  });
+
+  const union = primaryEvents.length + candidateEvents.length - matchedEvents;
+  const primaryInfluence = primary?.marketInfluence || null;
+  const candidateInfluence = candidate?.marketInfluence || null;
+  const primaryScore =
+    typeof primary?.impactScore === "number" ? primary.impactScore : null;
+  const candidateScore =
+    typeof candidate?.impactScore === "number" ? candidate.impactScore : null;
+
+  return {
+    marketInfluence: {
+      primary: primaryInfluence,
+      candidate: candidateInfluence,
+      agrees: primaryInfluence === candidateInfluence,
+      rankDifference:
+        influenceRank(candidateInfluence) - influenceRank(primaryInfluence),
+    },
+    direction: {
+      primary: primary?.direction || null,
+      candidate: candidate?.direction || null,
+      agrees: (primary?.direction || null) === (candidate?.direction || null),
+    },
+    impactScore: {
+      primary: primaryScore,
+      candidate: candidateScore,
+      delta:
+        primaryScore !== null && candidateScore !== null
+          ? Math.round((candidateScore - primaryScore) * 10) / 10
+          : null,
+    },
+    events: {
+      primary: primaryEvents.length,
+      candidate: candidateEvents.length,
+      matched: matchedEvents,
+      overlap:
+        union === 0 ? 1 : Math.round((matchedEvents / union) * 1000) / 1000,
+      primaryOnly: unmatched.map((event) => event.title),
+      candidateOnly: candidateOnlyEvents,
+    },
+  };
+}
+
+/**
+ * Summarize agreement across many comparisons from compareAnalyses
+ *
+ * Rates are the share of comparisons (0-1) meeting the condition; all
+ * values are null without comparisons.
+ *
+ * @param {Array<object>} comparisons - Agreement reports
+ * @returns {object} Agreement rates and average event overlap and impact score deltas
+ */
+function summarizeComparisons(comparisons) {
+  const rate = (agrees) =>
+    average(comparisons.map((comparison) => (agrees(comparison) ? 1 : 0)));
+  const scoreDeltas = comparisons
+    .map((comparison) => comparison.impactScore.delta)
+    .filter((delta) => delta !== null);
+
+  return {
+    influenceAgreementRate: rate(
+      (comparison) => comparison.marketInfluence.agrees
+    ),
+    higherInfluenceRate: rate(
+      (comparison) => comparison.marketInfluence.rankDifference > 0
+    ),
+    lowerInfluenceRate: rate(
+      (comparison) => comparison.marketInfluence.rankDifference < 0
+    ),
+    directionAgreementRate: rate((comparison) => comparison.direction.agrees),
+    averageEventOverlap: average(
+      comparisons.map((comparison) => comparison.events.overlap)
+    ),
+    averageImpactScoreDelta: average(scoreDeltas),
+    averageAbsoluteImpactScoreDelta: average(
+      scoreDeltas.map((delta) => Math.abs(delta))
+    ),
+  };
+}
+
+module.exports = { compareAnalyses, summarizeComparisons };
@@ -0,0 +1,339 @@
+/**
+ * Shadow Analysis Variants for News Analysis Service
+ * Runs alternative prompt versions and/or models on the same inputs as the
+ * primary analysis, stores their results separately tagged with the variant
+ * and measures how often they agree with the primary analysis. Shadow results
+ * never drive alerts, stories or service statistics.
+ */
+
+const {
+  compareAnalyses,
+  summarizeComparisons,
+} = require("./analysis-comparison");
+
+class ShadowAnalysisRunner {
+  /**
+   * @param {object} options - Runner options
+   * @param {object} options.backend - Storage backend from createStorageBackend
+   * @param {string} options.collection - Collection shadow results are stored in
+   * @param {Array<object>} options.variants - Variants ({ name, promptVersion, model })
+   * @param {Function} options.analyze - Runs one variant: (articles, perplexityResults, variant) => analysis
+   * @param {number} options.matchThreshold - Title overlap (0-1) for the same event
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.collection = options.collection || "news_analysis_shadow";
+    this.analyze = options.analyze;
+    this.matchThreshold = options.matchThreshold ?? 0.5;
+    this.variants = this.normalizeVariants(options.variants || []);
+  }
+
+  /**
+   * Validate configured variants, dropping invalid or duplicate ones
+   *
+   * A variant needs a unique name and at least a prompt version or a model;
+   * whatever it does not set is taken from the primary analysis.
+   *
+   * @param {Array<object>} variants - Configured variants
+   * @returns {Array<object>} Valid variants ({ name, promptVersion, model })
+   */
+  normalizeVariants(variants) {
+    if (!Array.isArray(variants)) {
+      console.warn("⚠️ [SHADOW] SHADOW_VARIANTS must be an array, ignoring it");
+      return [];
+    }
+
+    const names = new Set();
+    return variants
+      .filter((variant) => {
+        const valid =
+          variant &&
+          typeof variant.name === "string" &&
+          variant.name.trim() !== "" &&
+          (typeof variant.promptVersion === "string" ||
+            typeof variant.model === "string");
+        if (!valid || names.has(variant.name)) {
+          console.warn(
+            `⚠️ [SHADOW] Ignoring ${
+              valid ? "duplicate" : "invalid"
+            } shadow variant: ${JSON.stringify(variant)}`
+          );
+          return false;
+        }
+        names.add(variant.name);
+        return true;
+      })
+      .map((variant) => ({
+        name: variant.name,
+        promptVersion: variant.promptVersion || null,
+        model: variant.model || null,
+      }));
+  }
+
+  /**
+   * Configured variants
+   * @returns {Array<object>} Variants ({ name, promptVersion, model })
+   */
+  getVariants() {
+    return this.variants;
+  }
+
+  /**
+   * Run every variant on the inputs of a completed primary analysis
+   *
+   * Variants run one after another. A failing variant is stored as a failed
+   * run and never affects the other variants or the cycle.
+   *
+   * @param {object} inputs - Analysis inputs ({ articles, perplexityResults })
+   * @param {object} primary - Primary analysis ({ analysisId, trigger, analysis }) with the analysis in stored field names
+   * @returns {Promise<Array<object>>} Per-variant results ({ variant, status, shadowId, comparison, error })
+   */
+  async runVariants(inputs, primary) {
+    const results = [];
+
+    for (const variant of this.variants) {
+      results.push(await this.runVariant(variant, inputs, primary));
+    }
+    return results;
+  }
+
+  /**
+   * Run one variant, compare it with the primary analysis and store it
+   * @param {object} variant - Variant ({ name, promptVersion, model })
+   * @param {object} inputs - Analysis inputs ({ articles, perplexityResults })
+   * @param {object} primary - Primary analysis ({ analysisId, trigger, analysis })
+   * @returns {Promise<object>} Result ({ variant, status, shadowId, comparison, error })
+   */
+  async runVariant(variant, inputs, primary) {
+    const startTime = Date.now();
+    console.log(`👥 [SHADOW] Running shadow variant "${variant.name}"...`);
+
+    let analysis = null;
+    let error = null;
+    try {
+      analysis = await this.analyze(
+        inputs.articles,
+        inputs.perplexityResults,
+        variant
+      );
+      if (!analysis) {
+        error = new Error("Variant produced no analysis");
+      }
+    } catch (analysisError) {
+      error = analysisError;
+    }
+
+    const metadata = (analysis || error)?.metadata || {};
+    const shadow = analysis
+      ? {
+          marketInfluence: analysis.market_influence || "minimal",
+          impactScore:
+            typeof analysis.impact_score === "number"
+              ? analysis.impact_score
+              : null,
+          direction: analysis.direction || null,
+          events: Array.isArray(analysis.events) ? analysis.events : [],
+        }
+      : null;
+    const comparison = shadow
+      ? compareAnalyses(primary.analysis, shadow, {
+          matchThreshold: this.matchThreshold,
+        })
+      : null;
+
+    const record = {
+      variant: variant,
+      variantName: variant.name,
+      primaryAnalysisId: primary.analysisId,
+      trigger: primary.trigger || null,
+      status: analysis ? "completed" : "failed",
+      error: error ? error.message : null,
+      analysis: analysis?.analysis || null,
+      summary: analysis?.summary || null,
+      events: shadow ? shadow.events : [],
+      marketInfluence: shadow ? shadow.marketInfluence : null,
+      impactScore: shadow ? shadow.impactScore : null,
+      impactTier: analysis?.impact_tier || null,
+      direction: shadow ? shadow.direction : null,
+      confidence: analysis?.confidence ?? null,
+      timeHorizon: analysis?.time_horizon || null,
+      assetImpacts: analysis?.asset_impacts || null,
+      provenance: {
+        promptName: metadata.promptName || null,
+        promptVersion: metadata.promptVersion || null,
+        model: metadata.model || null,
+        provider: metadata.provider || null,
+        resolvedModel: metadata.resolvedModel || null,
+        failedModels: metadata.failedModels || [],
+        repairAttempts: metadata.repairAttempts || 0,
+        strategy: metadata.strategy || null,
+        durationMs: Date.now() - startTime,
+      },
+      comparison: comparison,
+      createdAt: this.backend.timestamp(),
+    };
+
+    let shadowId = null;
+    try {
+      shadowId = this.backend.newId(this.collection);
+      await this.backend.set(this.collection, shadowId, record);
+    } catch (storageError) {
+      shadowId = null;
+      console.error(
+        `❌ [SHADOW] Error storing shadow variant "${variant.name}":`,
+        storageError.message
+      );
+    }
+
+    if (comparison) {
+      console.log(
+        `👥 [SHADOW] "${variant.name}": influence ${
+          comparison.marketInfluence.candidate
+        } (${
+          comparison.marketInfluence.agrees ? "agrees" : "disagrees"
+        }), event overlap ${comparison.events.overlap}`
+      );
+    } else {
+      console.error(
+        `❌ [SHADOW] Shadow variant "${variant.name}" failed: ${error.message}`
+      );
+    }
+
+    return {
+      variant: variant.name,
+      status: record.status,
+      shadowId: shadowId,
+      comparison: comparison,
+      error: record.error,
+    };
+  }
+
+  /**
+   * Retrieve stored shadow runs, newest first
+   * @param {object} options - Query options
+   * @param {string|null} options.primaryAnalysisId - Only runs on this primary analysis
+   * @param {string|null} options.variant - Only runs of this variant
+   * @param {number} options.limit - Maximum runs to return when no primary analysis is given
+   * @returns {Promise<Array<object>>} Shadow runs
+   */
+  async getRuns(options = {}) {
+    const { primaryAnalysisId = null, variant = null } = options;
+
+    if (!primaryAnalysisId) {
+      return (await this.scanRuns(options)).runs;
+    }
+
+    const runs = await this.backend.query(this.collection, {
+      where: [["primaryAnalysisId", "==", primaryAnalysisId]],
+    });
+    return runs.filter((run) => !variant || run.variantName === variant);
+  }
+
+  /**
+   * Scan the most recent shadow runs until `limit` runs of the variant are found
+   *
+   * The variant is matched while scanning, so Firestore needs no composite
+   * index and a rarely run variant is not crowded out by the others.
+   *
+   * @param {object} options - Scan options
+   * @param {string|null} options.variant - Only runs of this variant
+   * @param {number} options.limit - Maximum runs to return
+   * @param {number} options.maxScan - Maximum runs to scan
+   * @returns {Promise<object>} { runs, scanned }
+   */
+  async scanRuns(options = {}) {
+    const { variant = null, limit = 100, maxScan = 5000 } = options;
+    const batchSize = variant ? Math.min(Math.max(limit * 2, 50), 500) : limit;
+    const runs = [];
+    let position = null; // { before: ms, skip: IDs scanned in that millisecond }
+    let scanned = 0;
+    let exhausted = false;
+
+    while (runs.length < limit && scanned < maxScan && !exhausted) {
+      const skip = new Set(position ? position.skip : []);
+      const batch = await this.backend.query(this.collection, {
+        where: position ? [["createdAt", "<", new Date(position.before)]] : [],
+        orderBy: { field: "createdAt", direction: "desc" },
+        limit: batchSize + skip.size,
+      });
+      exhausted = batch.length < batchSize + skip.size;
+
+      for (const run of batch) {
+        if (skip.has(run.id)) continue;
+
+        const millis = this.toMillis(run.createdAt);
+        position =
+          position && position.before === millis + 1
+            ? { before: position.before, skip: [...position.skip, run.id] }
+            : { before: millis + 1, skip: [run.id] };
+        scanned++;
+
+        if (!variant || run.variantName === variant) runs.push(run);
+        if (runs.length >= limit || scanned >= maxScan) break;
+      }
+    }
+
+    return { runs: runs, scanned: scanned };
+  }
+
+  /**
+   * Convert a stored creation time to epoch milliseconds
+   * @param {*} value - Firestore Timestamp, Date or ISO string
+   * @returns {number} Milliseconds since the epoch
+   */
+  toMillis(value) {
+    if (value && typeof value.toMillis === "function") return value.toMillis();
+    return new Date(value).getTime();
+  }
+
+  /**
+   * Summarize how often each variant agrees with the primary analysis
+   *
+   * Rates and averages cover completed runs only; failed runs are counted
+   * separately.
+   *
+   * @param {object} options - Query options
+   * @param {string|null} options.variant - Only summarize this variant
+   * @param {number} options.limit - Maximum recent runs to summarize
+   * @returns {Promise<object>} { runsScanned, variants } with one summary per variant
+   */
+  async getComparison(options = {}) {
+    const { runs, scanned } = await this.scanRuns({
+      variant: options.variant || null,
+      limit: options.limit || 100,
+    });
+
+    const byVariant = new Map();
+    runs.forEach((run) => {
+      if (!byVariant.has(run.variantName)) {
+        byVariant.set(run.variantName, []);
+      }
+      byVariant.get(run.variantName).push(run);
+    });
+
+    const variants = Array.from(byVariant.entries()).map(
+      ([name, variantRuns]) => {
+        const comparisons = variantRuns
+          .filter((run) => run.status === "completed" && run.comparison)
+          .map((run) => run.comparison);
+
+        return {
+          variant: name,
+          config:
+            this.variants.find((variant) => variant.name === name) ||
+            variantRuns[0].variant ||
+            null,
+          runs: variantRuns.length,
+          completedRuns: comparisons.length,
+          failedRuns: variantRuns.length - comparisons.length,
+          ...summarizeComparisons(comparisons),
+          lastRunAt: variantRuns[0].createdAt || null,
+        };
+      }
+    );
+
+    return { runsScanned: scanned, variants: variants };
+  }
+}
+
+module.exports = ShadowAnalysisRunner;
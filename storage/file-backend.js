@@ -0,0 +1,91 @@
+/**
+ * File Storage Backend for News Analysis Service
+ * Persists each collection as a JSON file in a local directory so analyses
+ * survive restarts without Google credentials.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const MemoryStorageBackend = require("./memory-backend");
+
+class FileStorageBackend extends MemoryStorageBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.directory - Directory holding the collection files
+   */
+  constructor(options = {}) {
+    super();
+    this.type = "file";
+    this.directory = path.resolve(options.directory || "data");
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.writes = new Map(); // key: collection, value: { chain, queued }
+    console.log(`💾 [STORAGE] Using file storage in ${this.directory}`);
+  }
+
+  /**
+   * Get a collection, loading it from disk on first access
+   * @param {string} collection - Collection path
+   * @returns {Map<string, object>} Documents keyed by ID
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      const file = this.filePath(collection);
+      const documents = fs.existsSync(file)
+        ? new Map(Object.entries(JSON.parse(fs.readFileSync(file, "utf8"))))
+        : new Map();
+      this.collections.set(collection, documents);
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Write a collection to disk
+   *
+   * Writes to one collection run one at a time. A write requested while
+   * another is waiting to start joins it, since the waiting write snapshots
+   * the collection when it starts; bursts of changes cost one rewrite.
+   *
+   * @param {string} collection - Collection path
+   * @returns {Promise<void>} Resolves once the change is on disk
+   */
+  persist(collection) {
+    let writes = this.writes.get(collection);
+    if (!writes) {
+      writes = { chain: Promise.resolve(), queued: null };
+      this.writes.set(collection, writes);
+    }
+
+    if (!writes.queued) {
+      writes.queued = writes.chain.then(() => {
+        writes.queued = null;
+        return this.writeCollection(collection);
+      });
+      writes.chain = writes.queued.catch(() => {});
+    }
+    return writes.queued;
+  }
+
+  /**
+   * Write a collection to disk atomically
+   * @param {string} collection - Collection path
+   */
+  async writeCollection(collection) {
+    const file = this.filePath(collection);
+    const temporary = `${file}.tmp`;
+    const documents = Object.fromEntries(this.getCollection(collection));
+
+    await fs.promises.writeFile(temporary, JSON.stringify(documents));
+    await fs.promises.rename(temporary, file);
+  }
+
+  /**
+   * Map a collection path to its file
+   * @param {string} collection - Collection path
+   * @returns {string} Absolute file path
+   */
+  filePath(collection) {
+    return path.join(this.directory, `${collection.replace(/\//g, "__")}.json`);
+  }
+}
+
+module.exports = FileStorageBackend;
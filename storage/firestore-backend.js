@@ -0,0 +1,150 @@
+/**
+ * Firestore Storage Backend for News Analysis Service
+ * Stores documents in Google Cloud Firestore using the Firebase Admin SDK and
+ * a service account key file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class FirestoreStorageBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.serviceAccountPath - Path to serviceAccountKey.json
+   */
+  constructor(options = {}) {
+    this.type = "firestore";
+    const serviceAccountPath = path.resolve(
+      options.serviceAccountPath || "serviceAccountKey.json"
+    );
+
+    if (!fs.existsSync(serviceAccountPath)) {
+      throw new Error(
+        `Firebase service account key not found at ${serviceAccountPath}. Set STORAGE_BACKEND=file or STORAGE_BACKEND=memory to run without Firestore.`
+      );
+    }
+
+    // Firebase Admin SDK is only loaded when Firestore is selected
+    this.admin = require("firebase-admin");
+    this.admin.initializeApp({
+      credential: this.admin.credential.cert(require(serviceAccountPath)),
+    });
+    this.db = this.admin.firestore();
+  }
+
+  /**
+   * Generate a new document ID
+   * @param {string} collection - Collection path
+   * @returns {string} Document ID
+   */
+  newId(collection) {
+    return this.db.collection(collection).doc().id;
+  }
+
+  /**
+   * Sentinel replaced by Firestore with the server write time
+   * @returns {object} FieldValue.serverTimestamp()
+   */
+  timestamp() {
+    return this.admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  /**
+   * Create or overwrite a document
+   * @param {string} collection - Collection path
+   * @param {string} id - Document ID
+   * @param {object} data - Document data
+   */
+  async set(collection, id, data) {
+    await this.db.collection(collection).doc(id).set(data);
+  }
+
+  /**
+   * Merge fields into an existing document
+   * @param {string} collection - Collection path
+   * @param {string} id - Document ID
+   * @param {object} data - Fields to merge
+   */
+  async update(collection, id, data) {
+    await this.db.collection(collection).doc(id).update(data);
+  }
+
+  /**
+   * Write several documents using batches
+   * @param {Array<object>} writes - Array of { collection, id, data }
+   */
+  async setMany(writes) {
+    // Firestore allows at most 500 operations per batch
+    const batchSize = 400;
+
+    for (let i = 0; i < writes.length; i += batchSize) {
+      const batch = this.db.batch();
+      writes.slice(i, i + batchSize).forEach(({ collection, id, data }) => {
+        batch.set(this.db.collection(collection).doc(id), data);
+      });
+      await batch.commit();
+    }
+  }
+
+  /**
+   * Delete several documents of one collection using batches
+   * @param {string} collection - Collection path
+   * @param {Array<string>} ids - Document IDs (missing ones are ignored)
+   */
+  async deleteMany(collection, ids) {
+    // Firestore allows at most 500 operations per batch
+    const batchSize = 400;
+
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = this.db.batch();
+      ids.slice(i, i + batchSize).forEach((id) => {
+        batch.delete(this.db.collection(collection).doc(id));
+      });
+      await batch.commit();
+    }
+  }
+
+  /**
+   * Read a single document
+   * @param {string} collection - Collection path
+   * @param {string} id - Document ID
+   * @returns {Promise<object|null>} Document with its ID, or null if missing
+   */
+  async get(collection, id) {
+    const doc = await this.db.collection(collection).doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Query documents in a collection
+   * @param {string} collection - Collection path
+   * @param {object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, operator, value]
+   * @param {object} options.orderBy - { field, direction: 'asc'|'desc' }
+   * @param {number} options.limit - Maximum documents to return
+   * @returns {Promise<Array<object>>} Matching documents with their IDs
+   */
+  async query(collection, options = {}) {
+    const { where = [], orderBy = null, limit = null } = options;
+    let query = this.db.collection(collection);
+
+    where.forEach(([field, operator, value]) => {
+      query = query.where(field, operator, value);
+    });
+    if (orderBy) {
+      query = query.orderBy(orderBy.field, orderBy.direction || "asc");
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    const documents = [];
+    snapshot.forEach((doc) => {
+      documents.push({ id: doc.id, ...doc.data() });
+    });
+    return documents;
+  }
+}
+
+module.exports = FirestoreStorageBackend;
@@ -0,0 +1,42 @@
+/**
+ * Storage Backend Selection for News Analysis Service
+ *
+ * Every backend implements the same document interface:
+ * newId, timestamp, set, update, setMany, deleteMany, get and query.
+ */
+
+const MemoryStorageBackend = require("./memory-backend");
+const FileStorageBackend = require("./file-backend");
+const FirestoreStorageBackend = require("./firestore-backend");
+
+/**
+ * Create the storage backend selected by configuration
+ * @param {object} options - Storage options
+ * @param {string} options.type - 'firestore', 'file' or 'memory'
+ * @param {string} options.serviceAccountPath - Firestore service account key path
+ * @param {string} options.directory - Directory for the file backend
+ * @returns {object} Storage backend instance
+ */
+function createStorageBackend(options = {}) {
+  switch (options.type || "firestore") {
+    case "firestore":
+      return new FirestoreStorageBackend({
+        serviceAccountPath: options.serviceAccountPath,
+      });
+    case "file":
+      return new FileStorageBackend({ directory: options.directory });
+    case "memory":
+      return new MemoryStorageBackend();
+    default:
+      throw new Error(
+        `Unknown storage backend "${options.type}" (expected firestore, file or memory)`
+      );
+  }
+}
+
+module.exports = {
+  createStorageBackend,
+  MemoryStorageBackend,
+  FileStorageBackend,
+  FirestoreStorageBackend,
+};
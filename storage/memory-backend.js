@@ -0,0 +1,224 @@
+/**
+ * In-Memory Storage Backend for News Analysis Service
+ * Keeps documents in process memory; used for development, CI and tests.
+ * Implements the same document interface as the Firestore backend.
+ */
+
+const crypto = require("crypto");
+
+class MemoryStorageBackend {
+  constructor() {
+    this.type = "memory";
+    this.collections = new Map(); // key: collection path, value: Map<id, data>
+  }
+
+  /**
+   * Get a collection's document map, creating it if needed
+   * @param {string} collection - Collection path (e.g. 'news_analysis/abc/articles')
+   * @returns {Map<string, object>} Documents keyed by ID
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Generate a new document ID
+   * @param {string} collection - Collection path
+   * @returns {string} Document ID
+   */
+  newId(collection) {
+    return crypto.randomBytes(10).toString("hex");
+  }
+
+  /**
+   * Value stored in place of a server-generated creation time
+   * @returns {string} Current ISO timestamp
+   */
+  timestamp() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Create or overwrite a document
+   * @param {string} collection - Collection path
+   * @param {string} id - Document ID
+   * @param {object} data - Document data
+   */
+  async set(collection, id, data) {
+    this.getCollection(collection).set(id, this.clone(data));
+    await this.persist(collection);
+  }
+
+  /**
+   * Merge fields into an existing document
+   * @param {string} collection - Collection path
+   * @param {string} id - Document ID
+   * @param {object} data - Fields to merge
+   */
+  async update(collection, id, data) {
+    const documents = this.getCollection(collection);
+    if (!documents.has(id)) {
+      throw new Error(`Document not found: ${collection}/${id}`);
+    }
+    documents.set(id, { ...documents.get(id), ...this.clone(data) });
+    await this.persist(collection);
+  }
+
+  /**
+   * Write several documents at once
+   * @param {Array<object>} writes - Array of { collection, id, data }
+   */
+  async setMany(writes) {
+    const touched = new Set();
+    writes.forEach(({ collection, id, data }) => {
+      this.getCollection(collection).set(id, this.clone(data));
+      touched.add(collection);
+    });
+    for (const collection of touched) {
+      await this.persist(collection);
+    }
+  }
+
+  /**
+   * Delete several documents of one collection
+   * @param {string} collection - Collection path
+   * @param {Array<string>} ids - Document IDs (missing ones are ignored)
+   */
+  async deleteMany(collection, ids) {
+    const documents = this.getCollection(collection);
+    ids.forEach((id) => documents.delete(id));
+    await this.persist(collection);
+  }
+
+  /**
+   * Read a single document
+   * @param {string} collection - Collection path
+   * @param {string} id - Document ID
+   * @returns {Promise<object|null>} Document with its ID, or null if missing
+   */
+  async get(collection, id) {
+    const data = this.getCollection(collection).get(id);
+    return data ? { id: id, ...this.clone(data) } : null;
+  }
+
+  /**
+   * Query documents in a collection
+   * @param {string} collection - Collection path
+   * @param {object} options - Query options
+   * @param {Array<Array>} options.where - Filters as [field, operator, value]
+   * @param {object} options.orderBy - { field, direction: 'asc'|'desc' }
+   * @param {number} options.limit - Maximum documents to return
+   * @returns {Promise<Array<object>>} Matching documents with their IDs
+   */
+  async query(collection, options = {}) {
+    const { where = [], orderBy = null, limit = null } = options;
+
+    let results = Array.from(this.getCollection(collection).entries())
+      .map(([id, data]) => ({ id: id, ...this.clone(data) }))
+      .filter((doc) =>
+        where.every(([field, operator, value]) =>
+          this.matches(this.getField(doc, field), operator, value)
+        )
+      );
+
+    if (orderBy) {
+      const direction = orderBy.direction === "desc" ? -1 : 1;
+      results.sort(
+        (a, b) =>
+          this.compare(
+            this.getField(a, orderBy.field),
+            this.getField(b, orderBy.field)
+          ) * direction
+      );
+    }
+
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+
+    return results;
+  }
+
+  /**
+   * Read a possibly nested field using dot notation
+   * @param {object} doc - Document
+   * @param {string} field - Field path (e.g. 'provenance.model')
+   * @returns {*} Field value
+   */
+  getField(doc, field) {
+    return field
+      .split(".")
+      .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+  }
+
+  /**
+   * Evaluate a Firestore-style filter operator
+   * @param {*} actual - Document value
+   * @param {string} operator - Filter operator
+   * @param {*} expected - Filter value
+   * @returns {boolean} True if the filter matches
+   */
+  matches(actual, operator, expected) {
+    switch (operator) {
+      case "==":
+        return this.compare(actual, expected) === 0;
+      case "!=":
+        return this.compare(actual, expected) !== 0;
+      case "<":
+        return actual != null && this.compare(actual, expected) < 0;
+      case "<=":
+        return actual != null && this.compare(actual, expected) <= 0;
+      case ">":
+        return actual != null && this.compare(actual, expected) > 0;
+      case ">=":
+        return actual != null && this.compare(actual, expected) >= 0;
+      case "in":
+        return expected.some((value) => this.compare(actual, value) === 0);
+      case "array-contains":
+        return (
+          Array.isArray(actual) &&
+          actual.some((value) => this.compare(value, expected) === 0)
+        );
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Compare two values, treating Dates and ISO strings alike
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive
+   */
+  compare(a, b) {
+    const normalize = (value) =>
+      value instanceof Date ? value.toISOString() : value;
+    a = normalize(a);
+    b = normalize(b);
+
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * Deep-copy plain document data
+   * @param {object} data - Document data
+   * @returns {object} Copy without undefined values
+   */
+  clone(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  /**
+   * Hook called after a collection changes (no-op in memory)
+   * @param {string} collection - Collection path
+   */
+  async persist(collection) {}
+}
+
+module.exports = MemoryStorageBackend;
@@ -0,0 +1,164 @@
+/**
+ * Analysis Delta Reports for News Analysis Service
+ * Compares consecutive analyses so consumers can react only to what changed:
+ * new and dropped events, event escalations, and market influence and
+ * direction changes.
+ */
+
+const { titleWords, titleSimilarity } = require("../utils/text-matching");
+const { influenceRank } = require("../llm/output-schemas");
+
+/**
+ * Reduce an event to the fields reported in a diff
+ * @param {object} event - Analysis event
+ * @returns {object} Event summary ({ title, story_id, impact_score })
+ */
+function summarizeEvent(event) {
+  return {
+    title: event.title,
+    story_id: event.story_id || null,
+    impact_score:
+      typeof event.impact_score === "number" ? event.impact_score : null,
+  };
+}
+
+/**
+ * Find the previous event describing the same development as an event
+ *
+ * Events threaded into the same story match directly; otherwise titles are
+ * compared by word overlap.
+ *
+ * @param {object} event - Event from the current analysis
+ * @param {Array<object>} candidates - Unmatched previous events
+ * @param {number} matchThreshold - Title overlap (0-1) for the same event
+ * @returns {object|null} Matching previous event
+ */
+function findPreviousEvent(event, candidates, matchThreshold) {
+  if (event.story_id) {
+    const sameStory = candidates.find(
+      (candidate) => candidate.story_id === event.story_id
+    );
+    if (sameStory) return sameStory;
+  }
+
+  const words = titleWords(event.title);
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach((candidate) => {
+    const score = titleSimilarity(words, titleWords(candidate.title));
+    if (score >= matchThreshold && score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Compute the structured difference between two consecutive analyses
+ *
+ * Both analyses use the stored field names ({ marketInfluence, impactScore,
+ * direction, events }). Without a previous analysis every event is reported
+ * as new.
+ *
+ * @param {object|null} previous - Previous analysis (with its ID as `id`)
+ * @param {object} current - Current analysis
+ * @param {object} options - Diff options
+ * @param {number} options.matchThreshold - Title overlap (0-1) for the same event
+ * @param {number} options.escalationDelta - Impact score change reported as an escalation or de-escalation
+ * @returns {object} Delta report
+ */
+function diffAnalyses(previous, current, options = {}) {
+  const { matchThreshold = 0.5, escalationDelta = 1 } = options;
+  const previousEvents = Array.isArray(previous?.events) ? previous.events : [];
+  const currentEvents = Array.isArray(current?.events) ? current.events : [];
+
+  const unmatched = [...previousEvents];
+  const newEvents = [];
+  const escalatedEvents = [];
+  const deescalatedEvents = [];
+  let continuingEvents = 0;
+
+  currentEvents.forEach((event) => {
+    const match = findPreviousEvent(event, unmatched, matchThreshold);
+    if (!match) {
+      newEvents.push(summarizeEvent(event));
+      return;
+    }
+
+    unmatched.splice(unmatched.indexOf(match), 1);
+    continuingEvents++;
+
+    const before = summarizeEvent(match).impact_score;
+    const after = summarizeEvent(event).impact_score;
+    if (before === null || after === null) return;
+
+    const change = {
+      ...summarizeEvent(event),
+      previous_title: match.title,
+      previous_impact_score: before,
+      delta: Math.round((after - before) * 10) / 10,
+    };
+    if (after - before >= escalationDelta) {
+      escalatedEvents.push(change);
+    } else if (before - after >= escalationDelta) {
+      deescalatedEvents.push(change);
+    }
+  });
+
+  const previousInfluence = previous?.marketInfluence || null;
+  const currentInfluence = current?.marketInfluence || null;
+  const rankChange =
+    influenceRank(currentInfluence) - influenceRank(previousInfluence);
+  const previousScore =
+    typeof previous?.impactScore === "number" ? previous.impactScore : null;
+  const currentScore =
+    typeof current?.impactScore === "number" ? current.impactScore : null;
+
+  const marketInfluence = {
+    previous: previousInfluence,
+    current: currentInfluence,
+    change: !previous
+      ? "initial"
+      : rankChange > 0
+      ? "escalated"
+      : rankChange < 0
+      ? "deescalated"
+      : "unchanged",
+  };
+  const droppedEvents = unmatched.map(summarizeEvent);
+  const direction = {
+    previous: previous?.direction || null,
+    current: current?.direction || null,
+  };
+  direction.changed =
+    Boolean(previous) && direction.previous !== direction.current;
+
+  return {
+    previousAnalysisId: previous?.id || null,
+    marketInfluence: marketInfluence,
+    impactScore: {
+      previous: previousScore,
+      current: currentScore,
+      delta:
+        previousScore !== null && currentScore !== null
+          ? Math.round((currentScore - previousScore) * 10) / 10
+          : null,
+    },
+    direction: direction,
+    newEvents: newEvents,
+    droppedEvents: droppedEvents,
+    escalatedEvents: escalatedEvents,
+    deescalatedEvents: deescalatedEvents,
+    continuingEvents: continuingEvents,
+    hasChanges:
+      newEvents.length > 0 ||
+      droppedEvents.length > 0 ||
+      escalatedEvents.length > 0 ||
+      deescalatedEvents.length > 0 ||
+      marketInfluence.change !== "unchanged" ||
+      direction.changed,
+  };
+}
+
+module.exports = { diffAnalyses };
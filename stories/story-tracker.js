@@ -0,0 +1,320 @@
+/**
+ * Story Tracking for News Analysis Service
+ * Threads analysis events across cycles into stories with stable IDs, so a
+ * recurring event (e.g. an ongoing SEC lawsuit) is followed over time instead
+ * of reappearing as a new event every hour
+ */
+
+const { titleWords, titleSimilarity } = require("../utils/text-matching");
+
+// Lifecycle states; resolved stories are no longer matched against new events
+const STORY_STATUSES = [
+  "emerging",
+  "developing",
+  "escalating",
+  "fading",
+  "resolved",
+];
+const OPEN_STATUSES = STORY_STATUSES.filter((status) => status !== "resolved");
+
+class StoryTracker {
+  /**
+   * @param {object} options - Tracker options
+   * @param {object} options.backend - Storage backend from createStorageBackend
+   * @param {string} options.collection - Collection stories are stored in
+   * @param {number} options.matchThreshold - Title overlap (0-1) for an event to continue a story
+   * @param {number} options.escalationDelta - Impact score increase that marks a story as escalating
+   * @param {number} options.resolveAfterHours - Hours without a sighting before a story is resolved
+   * @param {number} options.historySize - Sightings kept per story
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.collection = options.collection || "news_stories";
+    this.matchThreshold = options.matchThreshold ?? 0.5;
+    this.escalationDelta = options.escalationDelta ?? 1;
+    this.resolveAfterHours = options.resolveAfterHours ?? 24;
+    this.historySize = options.historySize || 50;
+    this.titleHistorySize = 5;
+
+    this.openStories = null; // Map<storyId, story>, loaded on first use
+  }
+
+  /**
+   * Load open stories from storage once per process
+   * @returns {Promise<Map<string, object>>} Open stories keyed by ID
+   */
+  async loadOpenStories() {
+    if (!this.openStories) {
+      const stories = await this.backend.query(this.collection, {
+        where: [["status", "in", OPEN_STATUSES]],
+      });
+      this.openStories = new Map(
+        stories.map(({ id, ...story }) => [id, story])
+      );
+    }
+    return this.openStories;
+  }
+
+  /**
+   * Match an analysis' events to open stories and update their lifecycle
+   *
+   * Each event continues the open story whose known titles it overlaps most
+   * (above matchThreshold) or starts a new one. Open stories not seen in this
+   * analysis fade, and are resolved after resolveAfterHours without a sighting.
+   * Changes are made on copies and reach the open-story cache only once they
+   * are stored, so a failed write never leaves unstored stories behind.
+   *
+   * @param {Array} events - Analysis events ({ title, summary, impact_score, ... })
+   * @param {object} context - Analysis context ({ analysisId, timestamp })
+   * @returns {Promise<Array<object>>} Per-event assignments ({ storyId, status, isNew }), in event order
+   */
+  async trackEvents(events, context = {}) {
+    const openStories = new Map(await this.loadOpenStories());
+    const timestamp = context.timestamp || new Date().toISOString();
+    const claimed = new Set();
+    const changed = new Set();
+
+    const assignments = (Array.isArray(events) ? events : []).map((event) => {
+      const words = titleWords(event.title);
+      const storyId = this.findMatchingStory(words, openStories, claimed);
+
+      if (storyId) {
+        const story = { ...openStories.get(storyId) };
+        this.continueStory(story, event, context.analysisId, timestamp);
+        openStories.set(storyId, story);
+        claimed.add(storyId);
+        changed.add(storyId);
+        return { storyId: storyId, status: story.status, isNew: false };
+      }
+
+      const newId = this.backend.newId(this.collection);
+      openStories.set(
+        newId,
+        this.createStory(event, context.analysisId, timestamp)
+      );
+      claimed.add(newId);
+      changed.add(newId);
+      return { storyId: newId, status: "emerging", isNew: true };
+    });
+
+    // Stories missing from this analysis fade, then resolve
+    const resolved = [];
+    openStories.forEach((story, storyId) => {
+      if (claimed.has(storyId)) return;
+
+      const hoursSinceSeen =
+        (new Date(timestamp) - new Date(story.lastSeen)) / (1000 * 60 * 60);
+      const status =
+        hoursSinceSeen >= this.resolveAfterHours ? "resolved" : "fading";
+      if (story.status !== status) {
+        openStories.set(storyId, {
+          ...story,
+          status: status,
+          updatedAt: timestamp,
+        });
+        changed.add(storyId);
+      }
+      if (status === "resolved") {
+        resolved.push(storyId);
+      }
+    });
+
+    await this.backend.setMany(
+      Array.from(changed).map((storyId) => ({
+        collection: this.collection,
+        id: storyId,
+        data: openStories.get(storyId),
+      }))
+    );
+    resolved.forEach((storyId) => openStories.delete(storyId));
+    this.openStories = openStories;
+
+    const newStories = assignments.filter((a) => a.isNew).length;
+    console.log(
+      `🧵 [STORIES] ${assignments.length} events threaded: ${newStories} new, ${
+        assignments.length - newStories
+      } continuing, ${resolved.length} resolved`
+    );
+
+    return assignments;
+  }
+
+  /**
+   * Find the best unclaimed open story for an event title
+   * @param {Set<string>} words - Significant words of the event title
+   * @param {Map<string, object>} openStories - Open stories keyed by ID
+   * @param {Set<string>} claimed - Stories already matched in this analysis
+   * @returns {string|null} Story ID, or null when no story is similar enough
+   */
+  findMatchingStory(words, openStories, claimed) {
+    let bestId = null;
+    let bestScore = 0;
+
+    openStories.forEach((story, storyId) => {
+      if (claimed.has(storyId)) return;
+
+      const score = Math.max(
+        ...story.titles.map((title) =>
+          titleSimilarity(words, titleWords(title))
+        )
+      );
+      if (score >= this.matchThreshold && score > bestScore) {
+        bestId = storyId;
+        bestScore = score;
+      }
+    });
+
+    return bestId;
+  }
+
+  /**
+   * Build a new story from its first event
+   * @param {object} event - Analysis event
+   * @param {string} analysisId - Analysis the event came from
+   * @param {string} timestamp - ISO time of the analysis
+   * @returns {object} Story document
+   */
+  createStory(event, analysisId, timestamp) {
+    const impactScore =
+      typeof event.impact_score === "number" ? event.impact_score : null;
+
+    return {
+      title: event.title,
+      summary: event.summary || null,
+      titles: [event.title],
+      status: "emerging",
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      appearances: 1,
+      impactScore: impactScore,
+      peakImpactScore: impactScore,
+      history: [this.buildSighting(event, analysisId, timestamp, "emerging")],
+      updatedAt: timestamp,
+    };
+  }
+
+  /**
+   * Record a new sighting of an existing story
+   *
+   * A rise of at least escalationDelta in impact score marks the story as
+   * escalating; any other sighting marks it as developing.
+   *
+   * @param {object} story - Story document (mutated; pass a copy of a cached story)
+   * @param {object} event - Matching analysis event
+   * @param {string} analysisId - Analysis the event came from
+   * @param {string} timestamp - ISO time of the analysis
+   */
+  continueStory(story, event, analysisId, timestamp) {
+    const impactScore =
+      typeof event.impact_score === "number" ? event.impact_score : null;
+    const escalating =
+      impactScore !== null &&
+      story.impactScore !== null &&
+      impactScore - story.impactScore >= this.escalationDelta;
+
+    story.status = escalating ? "escalating" : "developing";
+    story.title = event.title;
+    story.summary = event.summary || story.summary;
+    if (!story.titles.includes(event.title)) {
+      story.titles = [...story.titles, event.title].slice(
+        -this.titleHistorySize
+      );
+    }
+    story.lastSeen = timestamp;
+    story.appearances += 1;
+    if (impactScore !== null) {
+      story.impactScore = impactScore;
+      story.peakImpactScore = Math.max(story.peakImpactScore ?? 0, impactScore);
+    }
+    story.history = [
+      ...story.history,
+      this.buildSighting(event, analysisId, timestamp, story.status),
+    ].slice(-this.historySize);
+    story.updatedAt = timestamp;
+  }
+
+  /**
+   * Build a history entry for a story sighting
+   * @param {object} event - Analysis event
+   * @param {string} analysisId - Analysis the event came from
+   * @param {string} timestamp - ISO time of the analysis
+   * @param {string} status - Story status after the sighting
+   * @returns {object} History entry
+   */
+  buildSighting(event, analysisId, timestamp, status) {
+    return {
+      analysisId: analysisId || null,
+      timestamp: timestamp,
+      title: event.title,
+      impactScore:
+        typeof event.impact_score === "number" ? event.impact_score : null,
+      status: status,
+    };
+  }
+
+  /**
+   * List stories, most recently seen first
+   *
+   * Stories are scanned newest first and filtered by status while scanning,
+   * so Firestore needs no composite index for the status filter.
+   *
+   * @param {object} options - Query options
+   * @param {string} options.status - Only return stories in this status
+   * @param {number} options.limit - Maximum stories to return
+   * @param {number} options.maxScan - Maximum stories to scan for a status
+   * @returns {Promise<Array<object>>} Story documents with their IDs
+   */
+  async getStories(options = {}) {
+    const { status = null, limit = 50, maxScan = 1000 } = options;
+    const orderBy = { field: "lastSeen", direction: "desc" };
+
+    if (!status) {
+      return this.backend.query(this.collection, { orderBy, limit });
+    }
+
+    // Resume each batch at the last scanned lastSeen, skipping the stories
+    // already scanned with that same value
+    const batchSize = Math.min(Math.max(limit * 2, 50), 500);
+    const stories = [];
+    let before = null;
+    let skip = new Set();
+    let scanned = 0;
+    let exhausted = false;
+
+    while (stories.length < limit && scanned < maxScan && !exhausted) {
+      const batch = await this.backend.query(this.collection, {
+        where: before ? [["lastSeen", "<=", before]] : [],
+        orderBy: orderBy,
+        limit: batchSize + skip.size,
+      });
+      exhausted = batch.length < batchSize + skip.size;
+
+      for (const story of batch) {
+        if (skip.has(story.id)) continue;
+
+        if (story.lastSeen !== before) {
+          before = story.lastSeen;
+          skip = new Set();
+        }
+        skip.add(story.id);
+        scanned++;
+
+        if (story.status === status) stories.push(story);
+        if (stories.length >= limit || scanned >= maxScan) break;
+      }
+    }
+
+    return stories;
+  }
+
+  /**
+   * Read a single story
+   * @param {string} storyId - Story ID
+   * @returns {Promise<object|null>} Story document, or null if missing
+   */
+  async getStory(storyId) {
+    return this.backend.get(this.collection, storyId);
+  }
+}
+
+module.exports = { StoryTracker, STORY_STATUSES };
@@ -0,0 +1,671 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildTestApp, listen } = require("./helpers/test-app");
+
+const ADMIN_KEY = "test-admin-key-0123456789";
+const READER_KEY = "test-reader-key-0123456789";
+
+// Analysis stored before the test run, for the first cycle's diff
+const PREVIOUS_ANALYSIS_ID = "previous-analysis";
+const PREVIOUS_ANALYSIS = {
+  summary: "Rate expectations dominate an otherwise quiet market",
+  marketInfluence: "moderate",
+  impactScore: 4,
+  direction: "bearish",
+  events: [
+    {
+      title: "Fed signals pause in rate cuts amid sticky inflation",
+      impact_score: 6,
+    },
+    {
+      title: "Stablecoin issuer publishes monthly reserve attestation",
+      impact_score: 2,
+    },
+  ],
+  createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+};
+
+let server;
+let baseUrl;
+
+/**
+ * Send a request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path with query string
+ * @param {object} options - Request options
+ * @param {string|null} options.key - API key sent as a Bearer token (default: admin key)
+ * @param {object} options.body - JSON body
+ * @returns {Promise<object>} { status, headers, body }
+ */
+async function request(method, path, options = {}) {
+  const key = options.key === undefined ? ADMIN_KEY : options.key;
+  const headers = { "Content-Type": "application/json" };
+  if (key) headers.Authorization = `Bearer ${key}`;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: method,
+    headers: headers,
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+}
+
+// How long a queued job or backtest may take before waitFor gives up
+const WAIT_TIMEOUT_MS = 10000;
+
+/**
+ * Poll a status URL until the resource leaves its in-progress states
+ * @param {string} path - Status URL
+ * @param {Function} select - Picks the resource out of the response body
+ * @returns {Promise<object>} Finished resource
+ */
+async function waitFor(path, select) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const resource = select((await request("GET", path)).body);
+    if (!["queued", "running"].includes(resource.status)) return resource;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`${path} did not finish within ${WAIT_TIMEOUT_MS} ms`);
+}
+
+before(async () => {
+  const { app, storageBackend } = buildTestApp({
+    fixtures: "api-routes",
+    config: {
+      API_KEYS: [
+        { name: "test-admin", key: ADMIN_KEY, scopes: ["admin"] },
+        { name: "test-reader", key: READER_KEY, scopes: ["read"] },
+      ],
+      API_KEY_RATE_LIMIT: 1000,
+      // Same prompt and model as the primary analysis, so it agrees fully
+      SHADOW_VARIANTS: [{ name: "same-prompt", promptVersion: "v1" }],
+    },
+  });
+  await storageBackend.set(
+    "news_analysis",
+    PREVIOUS_ANALYSIS_ID,
+    PREVIOUS_ANALYSIS
+  );
+  ({ server, baseUrl } = await listen(app));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+describe("service endpoints", () => {
+  it("GET / describes the service without a key", async () => {
+    const { status, body } = await request("GET", "/", { key: null });
+    assert.equal(status, 200);
+    assert.equal(body.service, "BlackSwan News Analysis Service");
+    assert.equal(body.status, "stopped");
+  });
+
+  it("GET /api/health needs no key", async () => {
+    const { status, body } = await request("GET", "/api/health", {
+      key: null,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.status, "healthy");
+  });
+
+  it("GET /api/status requires a key", async () => {
+    assert.equal(
+      (await request("GET", "/api/status", { key: null })).status,
+      401
+    );
+    assert.equal(
+      (await request("GET", "/api/status", { key: "not-a-real-key" })).status,
+      401
+    );
+
+    const { status, body, headers } = await request("GET", "/api/status", {
+      key: READER_KEY,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.configuration.api_key_auth, true);
+    assert.equal(body.integrations.rss_service, true);
+    assert.equal(headers.get("x-api-key-ratelimit-limit"), "1000");
+  });
+
+  it("accepts a key in the query string only for GET /api/events", async () => {
+    const status = await fetch(`${baseUrl}/api/status?api_key=${READER_KEY}`);
+    assert.equal(status.status, 401);
+    await status.body.cancel();
+
+    const controller = new AbortController();
+    const events = await fetch(`${baseUrl}/api/events?api_key=${READER_KEY}`, {
+      signal: controller.signal,
+    });
+    assert.equal(events.status, 200);
+    controller.abort();
+  });
+});
+
+describe("analysis endpoints", () => {
+  let jobId;
+  let analysisId;
+
+  it("POST /api/analyze requires the trigger scope", async () => {
+    const { status } = await request("POST", "/api/analyze", {
+      key: READER_KEY,
+    });
+    assert.equal(status, 403);
+  });
+
+  it("POST /api/analyze validates its body", async () => {
+    const invalidFlag = await request("POST", "/api/analyze", {
+      body: { skipPerplexity: "yes", notes: "left out of the audit log" },
+    });
+    assert.equal(invalidFlag.status, 400);
+
+    const unknownVersion = await request("POST", "/api/analyze", {
+      body: { promptVersion: "v99" },
+    });
+    assert.equal(unknownVersion.status, 400);
+    assert.deepEqual(unknownVersion.body.available_versions, ["v1"]);
+  });
+
+  it("POST /api/analyze queues a job that completes", async () => {
+    const { status, body } = await request("POST", "/api/analyze", {
+      body: {},
+    });
+    assert.equal(status, 202);
+    assert.equal(body.status_url, `/api/jobs/${body.job_id}`);
+    jobId = body.job_id;
+
+    const job = await waitFor(body.status_url, (response) => response.job);
+    assert.equal(job.status, "completed");
+    assert.equal(job.result.status, "completed");
+    analysisId = job.result.analysis.analysisId;
+  });
+
+  it("GET /api/jobs lists jobs", async () => {
+    const { status, body } = await request("GET", "/api/jobs");
+    assert.equal(status, 200);
+    assert.equal(body.jobs[0].id, jobId);
+  });
+
+  it("GET /api/jobs/:id returns 404 for unknown jobs", async () => {
+    assert.equal((await request("GET", "/api/jobs/unknown")).status, 404);
+  });
+
+  it("GET /api/events replays missed lifecycle events", async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/events`, {
+      headers: {
+        Authorization: `Bearer ${ADMIN_KEY}`,
+        "Last-Event-ID": "0",
+      },
+      signal: controller.signal,
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let stream = "";
+    while (!stream.includes("event: cycle_completed")) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      stream += decoder.decode(value, { stream: true });
+    }
+    controller.abort();
+
+    assert.match(stream, /event: cycle_started/);
+    assert.match(stream, /event: llm_finished/);
+    assert.match(stream, /event: cycle_completed/);
+  });
+
+  it("GET /api/analyses pages and filters analyses", async () => {
+    const { status, body } = await request("GET", "/api/analyses?limit=5");
+    assert.equal(status, 200);
+    assert.equal(body.count, 2);
+    assert.equal(body.analyses[0].id, analysisId);
+    assert.equal(body.analyses[1].id, PREVIOUS_ANALYSIS_ID);
+    assert.equal(body.nextCursor, null);
+
+    const matching = await request(
+      "GET",
+      "/api/analyses?marketInfluence=significant,major&keyword=exchange"
+    );
+    assert.equal(matching.body.count, 1);
+
+    const other = await request("GET", "/api/analyses?marketInfluence=minimal");
+    assert.equal(other.body.count, 0);
+  });
+
+  it("GET /api/analyses rejects invalid filters", async () => {
+    const invalid = [
+      "/api/analyses?from=yesterday",
+      "/api/analyses?marketInfluence=extreme",
+      "/api/analyses?cursor=not-a-cursor",
+    ];
+    for (const path of invalid) {
+      assert.equal((await request("GET", path)).status, 400, path);
+    }
+  });
+
+  it("GET /api/analyses/:id returns one analysis", async () => {
+    const { status, body } = await request(
+      "GET",
+      `/api/analyses/${analysisId}`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.analysis.marketInfluence, "significant");
+    assert.equal(body.analysis.events.length, 3);
+
+    assert.equal((await request("GET", "/api/analyses/unknown")).status, 404);
+  });
+
+  it("GET /api/analyses/:id/diff returns the diff", async () => {
+    const { status, body } = await request(
+      "GET",
+      `/api/analyses/${analysisId}/diff`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.analysisId, analysisId);
+    assert.equal(body.diff.previousAnalysisId, PREVIOUS_ANALYSIS_ID);
+    assert.deepEqual(body.diff.marketInfluence, {
+      previous: "moderate",
+      current: "significant",
+      change: "escalated",
+    });
+    assert.deepEqual(
+      body.diff.newEvents.map((event) => event.title),
+      [
+        "Major exchange halts withdrawals after $180M hot wallet exploit",
+        "SEC approves options on spot Ether ETFs",
+      ]
+    );
+    assert.deepEqual(
+      body.diff.droppedEvents.map((event) => event.title),
+      ["Stablecoin issuer publishes monthly reserve attestation"]
+    );
+    assert.equal(body.diff.continuingEvents, 1);
+
+    assert.equal(
+      (await request("GET", "/api/analyses/unknown/diff")).status,
+      404
+    );
+  });
+
+  it("GET /api/analyses/:id/shadow lists shadow runs", async () => {
+    const { status, body } = await request(
+      "GET",
+      `/api/analyses/${analysisId}/shadow`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    const [run] = body.runs;
+    assert.equal(run.variantName, "same-prompt");
+    assert.equal(run.status, "completed");
+    assert.equal(run.primaryAnalysisId, analysisId);
+    assert.equal(run.marketInfluence, "significant");
+    assert.equal(run.comparison.marketInfluence.agrees, true);
+    assert.equal(run.comparison.direction.agrees, true);
+    assert.equal(run.comparison.events.matched, 3);
+    assert.equal(run.comparison.events.overlap, 1);
+
+    assert.equal(
+      (await request("GET", "/api/analyses/unknown/shadow")).status,
+      404
+    );
+  });
+
+  it("GET /api/shadow/comparison summarizes variants", async () => {
+    const { status, body } = await request("GET", "/api/shadow/comparison");
+    assert.equal(status, 200);
+    assert.deepEqual(body.configuredVariants, [
+      { name: "same-prompt", promptVersion: "v1", model: null },
+    ]);
+    assert.equal(body.runsScanned, 1);
+
+    const [variant] = body.variants;
+    assert.equal(variant.variant, "same-prompt");
+    assert.equal(variant.completedRuns, 1);
+    assert.equal(variant.failedRuns, 0);
+    assert.equal(variant.influenceAgreementRate, 1);
+    assert.equal(variant.directionAgreementRate, 1);
+    assert.equal(variant.averageEventOverlap, 1);
+    assert.equal(variant.averageImpactScoreDelta, 0);
+  });
+
+  it("GET /api/usage reports the recorded token usage", async () => {
+    const { status, body } = await request("GET", "/api/usage");
+    assert.equal(status, 200);
+    // Two searches, the analysis and the shadow variant's analysis
+    assert.equal(body.daily[0].calls, 4);
+    assert.equal(
+      body.daily[0].byPurpose.find((entry) => entry.purpose === "shadow").calls,
+      1
+    );
+    assert.equal(body.budget.exceeded, false);
+  });
+
+  it("GET /api/assets/:asset/impact returns the asset history", async () => {
+    const { status, body } = await request("GET", "/api/assets/bitcoin/impact");
+    assert.equal(status, 200);
+    assert.equal(body.latest.level, "significant");
+
+    assert.equal(
+      (await request("GET", "/api/assets/dogecoin/impact")).status,
+      404
+    );
+    assert.equal(
+      (await request("GET", "/api/assets/bitcoin/impact?since=soon")).status,
+      400
+    );
+  });
+});
+
+describe("backtest endpoints", () => {
+  let runId;
+
+  it("POST /api/backtests validates the range", async () => {
+    const { status } = await request("POST", "/api/backtests", {
+      body: { from: "2026-10-19", to: "2026-10-01" },
+    });
+    assert.equal(status, 400);
+  });
+
+  it("POST /api/backtests replays stored analyses", async () => {
+    const { status, body } = await request("POST", "/api/backtests", {
+      body: {
+        from: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        to: new Date().toISOString(),
+      },
+    });
+    assert.equal(status, 202);
+    runId = body.run.id;
+
+    const run = await waitFor(body.status_url, (response) => response.run);
+    assert.equal(run.status, "completed");
+    assert.equal(run.report.completed, 1);
+    assert.equal(run.report.agreement.influenceAgreementRate, 1);
+
+    // Replay usage is recorded under its own purpose
+    const usage = await request("GET", "/api/usage");
+    const backtestUsage = usage.body.daily[0].byPurpose.find(
+      (entry) => entry.purpose === "backtest"
+    );
+    assert.equal(backtestUsage.calls, 1);
+  });
+
+  it("GET /api/backtests lists runs", async () => {
+    const { status, body } = await request("GET", "/api/backtests");
+    assert.equal(status, 200);
+    assert.equal(body.runs[0].id, runId);
+  });
+
+  it("GET /api/backtests/:id returns 404 for unknown runs", async () => {
+    assert.equal((await request("GET", "/api/backtests/unknown")).status, 404);
+  });
+
+  it("GET /api/backtests/:id/results returns the replays", async () => {
+    const { status, body } = await request(
+      "GET",
+      `/api/backtests/${runId}/results?status=completed`
+    );
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    assert.equal(body.results[0].marketInfluence, "significant");
+
+    assert.equal(
+      (await request("GET", "/api/backtests/unknown/results")).status,
+      404
+    );
+  });
+});
+
+describe("prompt endpoints", () => {
+  it("GET /api/prompts lists templates", async () => {
+    const { status, body } = await request("GET", "/api/prompts");
+    assert.equal(status, 200);
+    assert.equal(body.activeVersion, "v1");
+    assert.equal(body.watching, false);
+    assert.ok(
+      body.prompts.some((prompt) => prompt.name === "news-impact-analysis")
+    );
+  });
+
+  it("GET /api/prompts/:name/:version returns a template", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/prompts/news-impact-analysis/v1"
+    );
+    assert.equal(status, 200);
+    assert.equal(body.active, true);
+    assert.ok(body.placeholders.includes("timestamp"));
+
+    assert.equal(
+      (await request("GET", "/api/prompts/news-impact-analysis/v99")).status,
+      404
+    );
+  });
+
+  it("GET /api/prompts/:name/:version/validate checks placeholders", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/prompts/news-impact-analysis/v1/validate"
+    );
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+  });
+
+  it("PUT /api/prompts/active switches versions", async () => {
+    const { status, body } = await request("PUT", "/api/prompts/active", {
+      body: { version: "v1" },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.activeVersion, "v1");
+
+    const unknown = await request("PUT", "/api/prompts/active", {
+      body: { version: "v99" },
+    });
+    assert.equal(unknown.status, 400);
+  });
+});
+
+describe("article, feed, alert and story endpoints", () => {
+  it("GET /api/articles/current fetches from the RSS service", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/articles/current?hours=12"
+    );
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+    assert.equal(body.lookback_hours, 12);
+  });
+
+  it("GET /api/articles/retained returns retained articles", async () => {
+    const { status, body } = await request("GET", "/api/articles/retained");
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+  });
+
+  it("POST /api/articles/cleanup keeps recent articles", async () => {
+    const { status, body } = await request("POST", "/api/articles/cleanup");
+    assert.equal(status, 200);
+    assert.equal(body.articles_removed, 0);
+    assert.equal(body.articles_remaining, 3);
+  });
+
+  it("POST /api/search/global runs the topic searches", async () => {
+    const { status, body } = await request("POST", "/api/search/global");
+    assert.equal(status, 200);
+    assert.equal(body.events_found, 3);
+  });
+
+  it("POST /api/search/global is refused once the budget is spent", async () => {
+    const { app, fixtures } = buildTestApp({
+      fixtures: "api-routes",
+      config: { LLM_DAILY_BUDGET_USD: 0 },
+    });
+    const limited = await listen(app);
+    try {
+      const response = await fetch(`${limited.baseUrl}/api/search/global`, {
+        method: "POST",
+      });
+      const body = await response.json();
+      assert.equal(response.status, 402);
+      assert.equal(body.status, "budget_exceeded");
+      assert.equal(body.budget.daily.limitUsd, 0);
+      assert.equal(fixtures.requests.length, 0);
+    } finally {
+      limited.server.closeAllConnections();
+      limited.server.close();
+    }
+  });
+
+  it("GET /api/feeds reports native feeds as disabled", async () => {
+    const { status, body } = await request("GET", "/api/feeds");
+    assert.equal(status, 200);
+    assert.equal(body.enabled, false);
+  });
+
+  it("GET /api/alerts/deliveries returns the delivery log", async () => {
+    const { status, body } = await request("GET", "/api/alerts/deliveries");
+    assert.equal(status, 200);
+    assert.equal(body.count, 0);
+  });
+
+  it("GET /api/stories and /api/stories/:id return stories", async () => {
+    const { status, body } = await request("GET", "/api/stories");
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+
+    const story = await request("GET", `/api/stories/${body.stories[0].id}`);
+    assert.equal(story.status, 200);
+    assert.equal(story.body.story.id, body.stories[0].id);
+
+    assert.equal((await request("GET", "/api/stories/unknown")).status, 404);
+    assert.equal(
+      (await request("GET", "/api/stories?status=viral")).status,
+      400
+    );
+  });
+});
+
+describe("API key endpoints", () => {
+  let created;
+
+  it("POST /api/keys creates a key usable right away", async () => {
+    const { status, body } = await request("POST", "/api/keys", {
+      body: { name: "dashboard", scopes: ["read"] },
+    });
+    assert.equal(status, 201);
+    assert.match(body.key, /^nas_/);
+    created = body;
+
+    assert.equal(
+      (await request("GET", "/api/status", { key: created.key })).status,
+      200
+    );
+    assert.equal(
+      (await request("POST", "/api/analyze", { key: created.key })).status,
+      403
+    );
+  });
+
+  it("POST /api/keys validates the key definition", async () => {
+    const { status } = await request("POST", "/api/keys", {
+      body: { name: "broken", scopes: ["superuser"] },
+    });
+    assert.equal(status, 400);
+  });
+
+  it("GET /api/keys lists keys without their secrets", async () => {
+    const { status, body } = await request("GET", "/api/keys");
+    assert.equal(status, 200);
+    assert.equal(body.authEnabled, true);
+    assert.deepEqual(body.keys.map((key) => key.name).sort(), [
+      "dashboard",
+      "test-admin",
+      "test-reader",
+    ]);
+    assert.ok(!JSON.stringify(body).includes(created.key));
+
+    assert.equal(
+      (await request("GET", "/api/keys", { key: READER_KEY })).status,
+      403
+    );
+  });
+
+  it("DELETE /api/keys/:id revokes a stored key", async () => {
+    const { status } = await request(
+      "DELETE",
+      `/api/keys/${created.apiKey.id}`
+    );
+    assert.equal(status, 200);
+    assert.equal(
+      (await request("GET", "/api/status", { key: created.key })).status,
+      401
+    );
+
+    assert.equal((await request("DELETE", "/api/keys/unknown")).status, 404);
+  });
+
+  it("/api/keys is unavailable while authentication is disabled", async () => {
+    const { app } = buildTestApp({ fixtures: "api-routes" });
+    const open = await listen(app);
+    try {
+      const responses = await Promise.all([
+        fetch(`${open.baseUrl}/api/keys`),
+        fetch(`${open.baseUrl}/api/keys`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name: "minted", scopes: ["admin"] }),
+        }),
+        fetch(`${open.baseUrl}/api/keys/${created.apiKey.id}`, {
+          method: "DELETE",
+        }),
+      ]);
+      assert.deepEqual(
+        responses.map((response) => response.status),
+        [409, 409, 409]
+      );
+    } finally {
+      open.server.closeAllConnections();
+      open.server.close();
+    }
+  });
+
+  it("GET /api/audit lists audited actions", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/audit?action=analysis.trigger"
+    );
+    assert.equal(status, 200);
+    assert.ok(body.count >= 1);
+    assert.ok(
+      body.entries.every((entry) => entry.action === "analysis.trigger")
+    );
+    assert.ok(body.entries.some((entry) => entry.outcome === "denied"));
+
+    // Only the action's known body fields are recorded
+    const invalidFlag = body.entries.find(
+      (entry) => entry.body?.skipPerplexity === "yes"
+    );
+    assert.deepEqual(invalidFlag.body, { skipPerplexity: "yes" });
+  });
+
+  it("GET /api/audit samples requests without a key", async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await request("GET", "/api/status", { key: null });
+    }
+
+    const { body } = await request("GET", "/api/audit?action=api.request");
+    const missingKey = body.entries.filter(
+      (entry) => entry.reason === "missing_key"
+    );
+    assert.equal(missingKey.length, 1);
+  });
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { extractJsonFromResponse } = require("../index");
+
+test("returns plain JSON unchanged apart from surrounding whitespace", () => {
+  assert.equal(
+    extractJsonFromResponse('  \n{"global_news_events": []}\n  '),
+    '{"global_news_events": []}'
+  );
+});
+
+test("unwraps a ```json code block", () => {
+  const content = '```json\n{\n  "total_events": 2\n}\n```';
+  assert.equal(extractJsonFromResponse(content), '{\n  "total_events": 2\n}');
+});
+
+test("unwraps a code block without a language tag", () => {
+  assert.equal(extractJsonFromResponse('```\n{"a": 1}\n```'), '{"a": 1}');
+});
+
+test("unwraps a code block surrounded by prose", () => {
+  const content =
+    'Here are the results:\n```json\n{"a": 1}\n```\nLet me know if you need more.';
+  assert.equal(extractJsonFromResponse(content), '{"a": 1}');
+});
+
+test("cuts the outermost object out of surrounding prose", () => {
+  const content =
+    'Sure! {"events": [{"title": "Fed holds rates"}]} Hope this helps.';
+  assert.equal(
+    extractJsonFromResponse(content),
+    '{"events": [{"title": "Fed holds rates"}]}'
+  );
+});
+
+test("strips stray backticks around an object", () => {
+  assert.equal(extractJsonFromResponse('`{"a": 1}`'), '{"a": 1}');
+});
+
+test("returns content without an object as is", () => {
+  assert.equal(
+    extractJsonFromResponse("No significant events today."),
+    "No significant events today."
+  );
+  assert.equal(extractJsonFromResponse("} backwards {"), "} backwards {");
+});
+
+test("extracted content parses as JSON", () => {
+  const payload = { global_news_events: [{ title: "ECB holds rates" }] };
+  const content = `\`\`\`json\n${JSON.stringify(payload, null, 2)}\n\`\`\``;
+  assert.deepEqual(JSON.parse(extractJsonFromResponse(content)), payload);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { FileStorageBackend } = require("../storage");
+
+test("keeps every concurrent write to one collection", async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "file-backend-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const backend = new FileStorageBackend({ directory });
+
+  const writes = await Promise.allSettled(
+    Array.from({ length: 20 }, (_, index) =>
+      backend.set("api_audit_log", `entry-${index}`, { index })
+    )
+  );
+
+  assert.deepEqual(
+    writes.filter((write) => write.status === "rejected"),
+    []
+  );
+  const reloaded = new FileStorageBackend({ directory });
+  assert.equal((await reloaded.query("api_audit_log", {})).length, 20);
+});
@@ -0,0 +1,244 @@
+/**
+ * Record/Replay HTTP Fixtures for the Test Suite
+ * An axios-compatible client ({ get, post }) injected into the app so the
+ * RSS Feed Service and OpenRouter calls are answered from JSON fixtures
+ *
+ * Modes (HTTP_FIXTURES environment variable):
+ *   replay (default)  Serve recorded responses; unrecorded requests fail
+ *   record            Send requests through axios and record the responses
+ *
+ * Requests are matched on method, URL (with query parameters) and, for LLM
+ * calls, the requested model. Recordings for the same request are served in
+ * the order they were recorded, starting over once they run out, so a
+ * repeated analysis cycle sees the same sequence of responses again.
+ * While recording, tests sharing a fixture file extend one sequence: only
+ * requests beyond the ones already recorded are added, and the file is
+ * written when the process exits. Base URLs are stored as placeholders such as {OPENROUTER_BASE_URL}, so
+ * fixtures replay against whatever URLs the tests configure. Request
+ * headers are never recorded.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+// Interactions recorded in this process, keyed by fixture name
+const recordings = new Map();
+
+class HttpFixtures {
+  /**
+   * @param {object} options - Fixture options
+   * @param {string} options.name - Fixture file name without .json (e.g. 'analysis-cycle')
+   * @param {string} options.mode - 'replay' or 'record' (default: HTTP_FIXTURES or 'replay')
+   * @param {object} options.baseUrls - Base URLs replaced by placeholders, keyed by placeholder name
+   * @param {object} options.client - HTTP client used while recording (default: axios)
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.file = path.join(FIXTURES_DIR, `${options.name}.json`);
+    this.mode = options.mode || process.env.HTTP_FIXTURES || "replay";
+    this.baseUrls = options.baseUrls || {};
+    this.client = options.client || axios;
+
+    if (!["replay", "record"].includes(this.mode)) {
+      throw new Error(
+        `Unknown HTTP_FIXTURES mode "${this.mode}" (expected replay or record)`
+      );
+    }
+
+    if (this.mode === "record") {
+      if (!recordings.has(this.name)) {
+        recordings.set(this.name, []);
+        process.once("exit", () => this.save());
+      }
+      this.interactions = recordings.get(this.name);
+    } else {
+      this.interactions = this.load();
+    }
+    this.served = new Map(); // key: request key, value: requests made
+    this.requests = []; // { method, url, model } of every request made
+  }
+
+  /**
+   * Load recorded interactions from the fixture file
+   * @returns {Array<object>} Interactions ({ method, url, model, status, data })
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8")).interactions;
+    } catch (error) {
+      throw new Error(
+        `Cannot read HTTP fixtures ${this.file}: ${error.message} (run the tests with HTTP_FIXTURES=record to record them)`
+      );
+    }
+  }
+
+  /**
+   * Write recorded interactions to the fixture file (no-op when replaying)
+   *
+   * Runs automatically when a recording process exits.
+   */
+  save() {
+    if (this.mode !== "record") return;
+
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify({ interactions: this.interactions }, null, 2) + "\n"
+    );
+    console.log(
+      `💾 [FIXTURES] Recorded ${this.interactions.length} responses to ${this.file}`
+    );
+  }
+
+  /**
+   * Describe a request the way fixtures store it
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {object} config - axios request config (params are part of the URL)
+   * @param {object} body - Request body (its model, if any, is part of the match)
+   * @returns {object} { method, url, model }
+   */
+  describe(method, url, config = {}, body = null) {
+    let fixtureUrl = url;
+    Object.entries(this.baseUrls).forEach(([placeholder, baseUrl]) => {
+      if (baseUrl && fixtureUrl.startsWith(baseUrl)) {
+        fixtureUrl = `{${placeholder}}${fixtureUrl.slice(baseUrl.length)}`;
+      }
+    });
+
+    const params = Object.entries(config.params || {})
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join("&");
+    if (params) {
+      fixtureUrl += `${fixtureUrl.includes("?") ? "&" : "?"}${params}`;
+    }
+
+    return {
+      method: method,
+      url: fixtureUrl,
+      model: body?.model || null,
+    };
+  }
+
+  /**
+   * Key used to match a request against recorded interactions
+   * @param {object} request - { method, url, model }
+   * @returns {string} Request key
+   */
+  keyOf(request) {
+    return [request.method, request.url, request.model || ""].join(" ");
+  }
+
+  /**
+   * Send a GET request
+   * @param {string} url - Request URL
+   * @param {object} config - axios request config
+   * @returns {Promise<object>} axios-style response ({ status, data })
+   */
+  get(url, config = {}) {
+    return this.request(this.describe("GET", url, config), () =>
+      this.client.get(url, config)
+    );
+  }
+
+  /**
+   * Send a POST request
+   * @param {string} url - Request URL
+   * @param {object} body - Request body
+   * @param {object} config - axios request config
+   * @returns {Promise<object>} axios-style response ({ status, data })
+   */
+  post(url, body, config = {}) {
+    return this.request(this.describe("POST", url, config, body), () =>
+      this.client.post(url, body, config)
+    );
+  }
+
+  /**
+   * Replay or record one request
+   * @param {object} request - { method, url, model }
+   * @param {Function} send - Sends the request for real
+   * @returns {Promise<object>} axios-style response
+   * @throws {Error} With `response` set for recorded error statuses, like axios
+   */
+  async request(request, send) {
+    const key = this.keyOf(request);
+    const index = this.served.get(key) || 0;
+    this.served.set(key, index + 1);
+    this.requests.push(request);
+
+    const matches = this.interactions.filter(
+      (interaction) => this.keyOf(interaction) === key
+    );
+    return this.mode === "record"
+      ? this.record(request, send, index < matches.length)
+      : this.replay(request, matches, index);
+  }
+
+  /**
+   * Serve a recorded response for a request
+   * @param {object} request - { method, url, model }
+   * @param {Array<object>} matches - Interactions recorded for the request
+   * @param {number} index - Number of earlier identical requests
+   * @returns {object} axios-style response
+   */
+  replay(request, matches, index) {
+    if (matches.length === 0) {
+      throw new Error(
+        `No recorded response for ${this.keyOf(request)} in ${
+          this.name
+        }.json (run the tests with HTTP_FIXTURES=record to record it)`
+      );
+    }
+
+    const interaction = matches[index % matches.length];
+    const response = {
+      status: interaction.status,
+      data: JSON.parse(JSON.stringify(interaction.data)),
+    };
+
+    if (response.status >= 400) {
+      const error = new Error(
+        `Request failed with status code ${response.status}`
+      );
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Send a request for real and record its response
+   * @param {object} request - { method, url, model }
+   * @param {Function} send - Sends the request
+   * @param {boolean} recorded - Whether an earlier test already recorded this request
+   * @returns {Promise<object>} The real response
+   */
+  async record(request, send, recorded) {
+    try {
+      const response = await send();
+      if (recorded) return response;
+      this.interactions.push({
+        ...request,
+        status: response.status,
+        data: response.data,
+      });
+      return response;
+    } catch (error) {
+      // Network errors have nothing to replay and are not recorded
+      if (error.response && !recorded) {
+        this.interactions.push({
+          ...request,
+          status: error.response.status,
+          data: error.response.data,
+        });
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = HttpFixtures;
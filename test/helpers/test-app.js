@@ -0,0 +1,101 @@
+/**
+ * Test Application Builder
+ * Creates the app with an in-memory storage backend and HTTP fixtures, so
+ * tests run offline and never touch Firestore. Service progress logs are
+ * muted unless TEST_LOGS=true and restored once the test file finishes;
+ * errors are always printed.
+ */
+
+const { after } = require("node:test");
+const { createApp, CONFIG } = require("../../index");
+const { MemoryStorageBackend } = require("../../storage");
+const HttpFixtures = require("./http-fixtures");
+
+// Base URL of the RSS Feed Service when none is configured for recording
+const TEST_RSS_FEED_SERVICE_URL = "http://rss-feed-service.test";
+
+// Console methods replaced while service logs are muted
+const consoleMethods = { log: console.log, warn: console.warn };
+after(() => Object.assign(console, consoleMethods));
+
+// Keeps recordings small and independent of the developer's .env
+const TEST_CONFIG = {
+  RSS_FEED_SERVICE_URL:
+    process.env.RSS_FEED_SERVICE_URL || TEST_RSS_FEED_SERVICE_URL,
+  NATIVE_FEEDS_ENABLED: false,
+  PERPLEXITY_SEARCH_QUERIES: [
+    "cryptocurrency and stockmarket regulatory news breaking developments today",
+    "central bank interest rates monetary policy bitcoin ethereum impact",
+  ],
+  PERPLEXITY_MODELS: ["perplexity/sonar"],
+  PERPLEXITY_CONCURRENCY: 1,
+  LLM_MODEL: "openai/gpt-5-mini",
+  LLM_FALLBACK_MODELS: [],
+  LLM_PROVIDERS: {},
+  LLM_DAILY_BUDGET_USD: null,
+  LLM_MONTHLY_BUDGET_USD: null,
+  ALERT_WEBHOOKS: [],
+  SHADOW_VARIANTS: [],
+  API_KEYS: [],
+  PROMPT_WATCH_ENABLED: false,
+};
+
+/**
+ * Build the app for a test file
+ * @param {object} options - Build options
+ * @param {string} options.fixtures - HTTP fixture file name (e.g. 'analysis-cycle')
+ * @param {string} options.fixtureMode - Fixture mode overriding HTTP_FIXTURES (e.g. 'replay' for hand-written fixtures)
+ * @param {object} options.config - CONFIG overrides on top of the test defaults
+ * @returns {object} { app, service, storageBackend, fixtures, config }
+ */
+function buildTestApp(options = {}) {
+  // The Node 20 test runner cannot forward some of the service's output
+  if (process.env.TEST_LOGS !== "true") {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const config = { ...TEST_CONFIG, ...(options.config || {}) };
+  const fixtures = new HttpFixtures({
+    name: options.fixtures,
+    mode: options.fixtureMode,
+    baseUrls: {
+      RSS_FEED_SERVICE_URL: config.RSS_FEED_SERVICE_URL,
+      OPENROUTER_BASE_URL: CONFIG.OPENROUTER_BASE_URL,
+    },
+  });
+
+  const {
+    app,
+    service,
+    storageBackend,
+    config: appConfig,
+  } = createApp({
+    config: config,
+    httpClient: fixtures,
+    storageBackend: new MemoryStorageBackend(),
+  });
+
+  return { app, service, storageBackend, fixtures, config: appConfig };
+}
+
+/**
+ * Start the app on a random local port
+ * @param {object} app - Express app
+ * @returns {Promise<object>} { server, baseUrl }
+ */
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        server: server,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+      });
+    });
+  });
+}
+
+module.exports = {
+  buildTestApp,
+  listen,
+};
@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NewsImpactAnalyzer } = require("../index");
+
+const analyzer = new NewsImpactAnalyzer();
+
+/**
+ * Build a valid analysis response with optional overrides
+ * @param {object} overrides - Fields replacing the defaults
+ * @returns {object} Analysis response object
+ */
+function analysisResponse(overrides = {}) {
+  return {
+    analysis: "Exchange exploit revives counterparty fears.",
+    summary: "Bearish pressure expected over the coming days.",
+    market_influence: "significant",
+    impact_score: 7.5,
+    direction: "bearish",
+    confidence: 0.7,
+    time_horizon: "days",
+    events: [
+      {
+        title: "Exchange halts withdrawals",
+        summary: "Hot wallet drained.",
+        analysis: "Counterparty risk is back in focus.",
+        impact_score: 8,
+        direction: "bearish",
+        confidence: 0.75,
+        time_horizon: "days",
+      },
+    ],
+    ...overrides,
+  };
+}
+
+test("parses a valid response and classifies impact scores", () => {
+  const analysis = analyzer.parseAnalysisResponse(
+    JSON.stringify(analysisResponse())
+  );
+
+  assert.equal(analysis.market_influence, "significant");
+  assert.equal(analysis.impact_score, 7.5);
+  assert.equal(analysis.impact_tier, "high");
+  assert.equal(analysis.direction, "bearish");
+  assert.equal(analysis.confidence, 0.7);
+  assert.equal(analysis.time_horizon, "days");
+  assert.equal(analysis.events.length, 1);
+  assert.equal(analysis.events[0].impact_score, 8);
+  assert.equal(analysis.events[0].impact_tier, "critical");
+});
+
+test("accepts responses wrapped in a markdown code block", () => {
+  const content = `\`\`\`json\n${JSON.stringify(analysisResponse())}\n\`\`\``;
+  assert.equal(
+    analyzer.parseAnalysisResponse(content).market_influence,
+    "significant"
+  );
+});
+
+test("rates every asset class, leaving unrated ones null", () => {
+  const analysis = analyzer.parseAnalysisResponse(
+    JSON.stringify(
+      analysisResponse({
+        asset_impacts: {
+          bitcoin: { level: "major", rationale: "Miner selling." },
+          ethereum: { level: "moderate" },
+        },
+      })
+    )
+  );
+
+  assert.deepEqual(analysis.asset_impacts, {
+    bitcoin: { level: "major", rationale: "Miner selling." },
+    ethereum: { level: "moderate", rationale: null },
+    stablecoins: null,
+    defi: null,
+    altcoins: null,
+  });
+});
+
+test("falls back to the highest event score without an overall score", () => {
+  const response = analysisResponse({
+    events: [
+      { title: "A", summary: "", analysis: "", impact_score: 3 },
+      { title: "B", summary: "", analysis: "", impact_score: 6.46 },
+      { title: "C", summary: "", analysis: "" },
+    ],
+  });
+  delete response.impact_score;
+
+  const analysis = analyzer.parseAnalysisResponse(JSON.stringify(response));
+  assert.equal(analysis.impact_score, 6.5);
+  assert.equal(analysis.impact_tier, "high");
+  assert.equal(analysis.events[2].impact_score, null);
+  assert.equal(analysis.events[2].impact_tier, null);
+});
+
+test("fills missing optional event fields", () => {
+  const analysis = analyzer.parseAnalysisResponse(
+    JSON.stringify(
+      analysisResponse({
+        events: [{ title: "Stablecoin depeg", summary: "", analysis: "" }],
+      })
+    )
+  );
+
+  assert.deepEqual(analysis.events[0], {
+    title: "Stablecoin depeg",
+    summary: "No summary available",
+    analysis: "No analysis available",
+    impact_score: null,
+    impact_tier: null,
+    direction: null,
+    confidence: null,
+    time_horizon: null,
+  });
+});
+
+test("rejects responses that are not JSON", () => {
+  assert.throws(
+    () => analyzer.parseAnalysisResponse("Influence looks significant today."),
+    (error) => {
+      assert.match(error.message, /^Failed to parse analysis response/);
+      assert.match(error.validationErrors[0], /not valid JSON/);
+      return true;
+    }
+  );
+});
+
+test("rejects responses that do not match the schema", () => {
+  const response = analysisResponse({ market_influence: "catastrophic" });
+  delete response.events;
+
+  assert.throws(
+    () => analyzer.parseAnalysisResponse(JSON.stringify(response)),
+    (error) => {
+      assert.ok(error.validationErrors.length >= 2);
+      assert.ok(
+        error.validationErrors.some((message) => message.includes("events"))
+      );
+      assert.ok(
+        error.validationErrors.some((message) =>
+          message.includes("market_influence")
+        )
+      );
+      return true;
+    }
+  );
+});
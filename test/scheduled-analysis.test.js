@@ -0,0 +1,258 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CONFIG } = require("../index");
+const { buildTestApp } = require("./helpers/test-app");
+
+const ANALYSIS_REQUEST = {
+  method: "POST",
+  url: "{OPENROUTER_BASE_URL}/chat/completions",
+  model: "openai/gpt-5-mini",
+};
+
+/**
+ * Count the fixture requests made to one endpoint and model
+ * @param {object} fixtures - HttpFixtures instance
+ * @param {string|null} model - Requested model (null for non-LLM requests)
+ * @returns {number} Matching requests
+ */
+function countRequests(fixtures, model) {
+  return fixtures.requests.filter((request) => request.model === model).length;
+}
+
+test("runs a full cycle and stores the analysis with its inputs", async () => {
+  const { service, storageBackend, fixtures } = buildTestApp({
+    fixtures: "analysis-cycle",
+  });
+
+  const result = await service.performScheduledAnalysis();
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.analysis.marketInfluence, "significant");
+  assert.equal(result.analysis.impactScore, 7.5);
+  assert.equal(result.analysis.direction, "bearish");
+  assert.equal(result.analysis.eventsCount, 3);
+  assert.equal(result.analysis.trigger, "scheduled");
+
+  // One RSS fetch, one search per topic, one analysis
+  assert.deepEqual(fixtures.requests[0], {
+    method: "GET",
+    url: "{RSS_FEED_SERVICE_URL}/api/articles/recent?hours=6&limit=50",
+    model: null,
+  });
+  assert.equal(countRequests(fixtures, "perplexity/sonar"), 2);
+  assert.deepEqual(fixtures.requests[3], ANALYSIS_REQUEST);
+  assert.equal(fixtures.requests.length, 4);
+
+  const [stored] = await storageBackend.query("news_analysis", {});
+  assert.equal(stored.id, result.analysis.analysisId);
+  assert.equal(stored.marketInfluence, "significant");
+  assert.equal(stored.assetImpacts.bitcoin.level, "significant");
+  assert.equal(stored.provenance.model, "openai/gpt-5-mini");
+  assert.equal(stored.provenance.resolvedModel, "openai/gpt-5-mini-2025-08-07");
+  assert.equal(stored.provenance.repairAttempts, 0);
+  assert.equal(stored.provenance.usage.calls, 3);
+  assert.equal(stored.inputs.rssArticleCount, 3);
+  assert.equal(stored.inputs.globalEventCount, 3);
+
+  // Every event starts a story
+  assert.ok(stored.events.every((event) => event.story_status === "emerging"));
+  const stories = await storageBackend.query("news_stories", {});
+  assert.equal(stories.length, 3);
+
+  const articles = await storageBackend.query(
+    `news_analysis/${stored.id}/articles`,
+    {}
+  );
+  assert.equal(articles.length, 3);
+});
+
+test("skips scheduled cycles whose inputs have not changed", async () => {
+  const { service, storageBackend, fixtures } = buildTestApp({
+    fixtures: "analysis-cycle",
+  });
+
+  assert.equal((await service.performScheduledAnalysis()).status, "completed");
+  const skipped = await service.performScheduledAnalysis();
+
+  assert.equal(skipped.status, "skipped");
+  assert.equal(skipped.reason, "inputs_unchanged");
+  assert.equal(skipped.newArticles, 0);
+  assert.equal(skipped.newGlobalEvents, 0);
+  assert.equal(countRequests(fixtures, "openai/gpt-5-mini"), 1);
+
+  // The skipped cycle reused the first global news search
+  assert.equal(countRequests(fixtures, "perplexity/sonar"), 2);
+  assert.equal(service.state.stats.reusedGlobalSearches, 1);
+  assert.ok(
+    service.state.stats.lastReusedGlobalSearch.reusableUntil >
+      new Date().toISOString()
+  );
+
+  // Skips are stored next to analyses and failures
+  const [skip] = await storageBackend.query("news_analysis_skips", {});
+  assert.equal(skip.id, skipped.skipId);
+  assert.equal(skip.reason, "inputs_unchanged");
+  assert.equal(skip.trigger, "scheduled");
+  assert.equal(skip.retainedArticles, 3);
+
+  // Forced cycles search and analyze regardless
+  const forced = await service.performScheduledAnalysis({ force: true });
+  assert.equal(forced.status, "completed");
+  assert.equal(countRequests(fixtures, "perplexity/sonar"), 4);
+  assert.equal(countRequests(fixtures, "openai/gpt-5-mini"), 2);
+  assert.equal((await storageBackend.query("news_analysis", {})).length, 2);
+});
+
+test("analyzes inputs again when their analysis was not stored", async () => {
+  const { service, storageBackend } = buildTestApp({
+    fixtures: "analysis-cycle",
+  });
+
+  const storeCombinedAnalysis = service.analysisStorage.storeCombinedAnalysis;
+  service.analysisStorage.storeCombinedAnalysis = async () => ({
+    success: false,
+    error: "write failed",
+  });
+  await service.performScheduledAnalysis();
+  service.analysisStorage.storeCombinedAnalysis = storeCombinedAnalysis;
+
+  const retried = await service.performScheduledAnalysis();
+  assert.equal(retried.status, "completed");
+  assert.equal((await storageBackend.query("news_analysis", {})).length, 1);
+});
+
+test("searches again once the last global news search is too old", async () => {
+  const { service, fixtures } = buildTestApp({
+    fixtures: "analysis-cycle",
+    config: { PERPLEXITY_MIN_SEARCH_INTERVAL_MINUTES: 0 },
+  });
+
+  await service.performScheduledAnalysis();
+  const skipped = await service.performScheduledAnalysis();
+
+  assert.equal(skipped.status, "skipped");
+  assert.equal(countRequests(fixtures, "perplexity/sonar"), 4);
+});
+
+test("completes the cycle without waiting for alert deliveries", async () => {
+  const { service } = buildTestApp({ fixtures: "analysis-cycle" });
+  const dispatched = [];
+  service.alertDispatcher.dispatch = (analysis, context) => {
+    dispatched.push(context.analysisId);
+    return new Promise(() => {}); // A webhook that never answers
+  };
+
+  const result = await service.performScheduledAnalysis();
+
+  assert.equal(result.status, "completed");
+  assert.equal(service.state.isAnalyzing, false);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(dispatched, [result.analysis.analysisId]);
+});
+
+test("leaves out the global news search when asked to", async () => {
+  const { service, storageBackend, fixtures } = buildTestApp({
+    fixtures: "analysis-cycle",
+  });
+
+  const result = await service.performScheduledAnalysis({
+    trigger: "manual",
+    skipPerplexity: true,
+  });
+
+  assert.equal(result.status, "completed");
+  assert.equal(result.analysis.trigger, "manual");
+  assert.equal(countRequests(fixtures, "perplexity/sonar"), 0);
+
+  const [stored] = await storageBackend.query("news_analysis", {});
+  assert.equal(stored.inputs.globalEventCount, 0);
+});
+
+test("keeps the global events baseline across a run without the search", async () => {
+  const { service, fixtures } = buildTestApp({ fixtures: "analysis-cycle" });
+
+  await service.performScheduledAnalysis();
+  await service.performManualAnalysis({ skipPerplexity: true });
+  const skipped = await service.performScheduledAnalysis();
+
+  assert.equal(skipped.status, "skipped");
+  assert.equal(skipped.newGlobalEvents, 0);
+  assert.equal(countRequests(fixtures, "openai/gpt-5-mini"), 2);
+});
+
+// Live models cannot be made to misbehave on demand, so the next two
+// fixtures are hand-written and replayed even while recording
+test("re-prompts the model when its response is not valid JSON", async () => {
+  const { service, storageBackend, fixtures } = buildTestApp({
+    fixtures: "analysis-repair",
+    fixtureMode: "replay",
+  });
+
+  const result = await service.performScheduledAnalysis();
+
+  assert.equal(result.status, "completed");
+  assert.equal(countRequests(fixtures, "openai/gpt-5-mini"), 2);
+
+  const [stored] = await storageBackend.query("news_analysis", {});
+  assert.equal(stored.provenance.repairAttempts, 1);
+  assert.equal(stored.marketInfluence, "significant");
+});
+
+test("records a failure when the analysis model is unavailable", async () => {
+  const { service, storageBackend } = buildTestApp({
+    fixtures: "analysis-provider-error",
+    fixtureMode: "replay",
+  });
+
+  const result = await service.performScheduledAnalysis();
+
+  assert.equal(result.status, "failed");
+  assert.match(result.error, /status code 503/);
+  assert.equal((await storageBackend.query("news_analysis", {})).length, 0);
+
+  const failure = await storageBackend.get(
+    "news_analysis_failures",
+    result.failureId
+  );
+  assert.equal(failure.provenance.failedModels[0].model, "openai/gpt-5-mini");
+  assert.equal(failure.inputs.rssArticleCount, 3);
+});
+
+test("refuses to run once the LLM budget is exhausted", async () => {
+  const { service, fixtures } = buildTestApp({
+    fixtures: "analysis-cycle",
+    config: { LLM_DAILY_BUDGET_USD: 0 },
+  });
+
+  const result = await service.performScheduledAnalysis();
+
+  assert.equal(result.status, "budget_exceeded");
+  assert.equal(result.budget.daily.limitUsd, 0);
+  assert.equal(fixtures.requests.length, 0);
+});
+
+test("keeps each app's configuration and state to itself", async () => {
+  const limited = buildTestApp({
+    fixtures: "analysis-cycle",
+    config: { LLM_DAILY_BUDGET_USD: 0 },
+  });
+  const unlimited = buildTestApp({ fixtures: "analysis-cycle" });
+
+  assert.equal(limited.config.LLM_DAILY_BUDGET_USD, 0);
+  assert.equal(unlimited.config.LLM_DAILY_BUDGET_USD, null);
+  assert.equal(CONFIG.PERPLEXITY_CONCURRENCY, 2);
+
+  assert.equal(
+    (await limited.service.performScheduledAnalysis()).status,
+    "budget_exceeded"
+  );
+  assert.equal(
+    (await unlimited.service.performScheduledAnalysis()).status,
+    "completed"
+  );
+  assert.equal(
+    (await limited.storageBackend.query("news_analysis", {})).length,
+    0
+  );
+});
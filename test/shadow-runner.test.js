@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MemoryStorageBackend } = require("../storage");
+const ShadowAnalysisRunner = require("../shadow/shadow-runner");
+
+test("summarizes a rarely run variant past the other variants' runs", async () => {
+  const backend = new MemoryStorageBackend();
+  const runner = new ShadowAnalysisRunner({ backend });
+
+  // Three old runs of "rare", then more recent "frequent" runs than one
+  // comparison covers, some sharing a creation time
+  const runs = [
+    ...Array.from({ length: 3 }, (_, index) => ({
+      variantName: "rare",
+      createdAt: new Date(Date.UTC(2026, 9, 1, index)).toISOString(),
+    })),
+    ...Array.from({ length: 150 }, (_, index) => ({
+      variantName: "frequent",
+      createdAt: new Date(
+        Date.UTC(2026, 9, 2, 0, Math.floor(index / 3))
+      ).toISOString(),
+    })),
+  ];
+  await backend.setMany(
+    runs.map((run, index) => ({
+      collection: runner.collection,
+      id: `run-${index}`,
+      data: { ...run, status: "failed", comparison: null },
+    }))
+  );
+
+  const rare = await runner.getComparison({ variant: "rare", limit: 100 });
+  assert.equal(rare.runsScanned, 153);
+  assert.equal(rare.variants[0].runs, 3);
+
+  const recent = await runner.getComparison({ limit: 100 });
+  assert.equal(recent.runsScanned, 100);
+  assert.deepEqual(
+    recent.variants.map((variant) => [variant.variant, variant.runs]),
+    [["frequent", 100]]
+  );
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { MemoryStorageBackend } = require("../storage");
+const { StoryTracker } = require("../stories/story-tracker");
+
+const EVENT = {
+  title: "SEC sues major crypto exchange over unregistered securities",
+  impact_score: 6,
+};
+
+test("keeps unstored stories out of the open-story cache", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const backend = new MemoryStorageBackend();
+  const tracker = new StoryTracker({ backend });
+
+  const setMany = backend.setMany;
+  backend.setMany = async () => {
+    throw new Error("write failed");
+  };
+  await assert.rejects(
+    tracker.trackEvents([EVENT], { analysisId: "first" }),
+    /write failed/
+  );
+
+  // The next analysis starts the story again instead of linking to an ID
+  // that was never stored
+  backend.setMany = setMany;
+  const [assignment] = await tracker.trackEvents([EVENT], {
+    analysisId: "second",
+  });
+  assert.equal(assignment.isNew, true);
+  const story = await tracker.getStory(assignment.storyId);
+  assert.equal(story.appearances, 1);
+});
+
+test("filters stories by status across scan batches", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const backend = new MemoryStorageBackend();
+  const tracker = new StoryTracker({ backend });
+
+  await tracker.trackEvents([EVENT], {
+    timestamp: "2026-10-18T10:00:00.000Z",
+  });
+  // More stories seen at one time than a scan batch holds
+  const newer = Array.from({ length: 60 }, (_, index) => ({
+    title: `Unrelated headline ${index}`,
+  }));
+  await tracker.trackEvents(newer, { timestamp: "2026-10-18T11:00:00.000Z" });
+
+  const fading = await tracker.getStories({ status: "fading" });
+  assert.deepEqual(
+    fading.map((story) => story.title),
+    [EVENT.title]
+  );
+  const emerging = await tracker.getStories({ status: "emerging" });
+  assert.equal(emerging.length, 50);
+  assert.equal(new Set(emerging.map((story) => story.id)).size, 50);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  TemplateError,
+  inspectTemplate,
+  renderTemplate,
+} = require("../prompts/template-engine");
+
+test("inserts article text verbatim, including $ patterns and braces", () => {
+  const title = "Exchange lists $& and $1 pairs, fees quoted as {{x}} $$";
+
+  assert.equal(
+    renderTemplate("Title: {{title}}\nAgain: {{title}}", { title }),
+    `Title: ${title}\nAgain: ${title}`
+  );
+});
+
+test("renders sections once per item and inverted sections when empty", () => {
+  const source = [
+    "Articles:",
+    "{{#articles}}",
+    "- {{title}} ({{source.name}})",
+    "{{/articles}}",
+    "{{^articles}}",
+    "No articles.",
+    "{{/articles}}",
+    "{{! not sent to the model }}",
+    "Done",
+  ].join("\n");
+
+  assert.equal(
+    renderTemplate(source, {
+      articles: [
+        { title: "First", source: { name: "CoinDesk" } },
+        { title: "Second", source: { name: "Reuters" } },
+      ],
+    }),
+    "Articles:\n- First (CoinDesk)\n- Second (Reuters)\nDone"
+  );
+  assert.equal(
+    renderTemplate(source, { articles: [] }),
+    "Articles:\nNo articles.\nDone"
+  );
+});
+
+test("renders partials with the surrounding data", () => {
+  const partials = { "article-line": "* {{title}}\n" };
+  const loadPartial = (name) => partials[name];
+
+  assert.equal(
+    renderTemplate(
+      "{{#articles}}\n{{> article-line}}\n{{/articles}}",
+      { articles: [{ title: "First" }, { title: "Second" }] },
+      { loadPartial }
+    ),
+    "* First\n* Second\n"
+  );
+  assert.deepEqual(
+    inspectTemplate("{{timestamp}}\n{{> article-line}}", { loadPartial }),
+    {
+      required: ["timestamp", "title"],
+      referenced: ["timestamp", "title"],
+      partials: ["article-line"],
+    }
+  );
+});
+
+test("lists missing and unused variables in the TemplateError", () => {
+  assert.throws(
+    () =>
+      renderTemplate(
+        "{{timestamp}} {{articles}} {{events}}",
+        { timestamp: "now", extra: 1, unusedToo: 2 },
+        { templateName: "news-impact-analysis-v1" }
+      ),
+    (error) => {
+      assert.ok(error instanceof TemplateError);
+      assert.equal(error.templateName, "news-impact-analysis-v1");
+      assert.deepEqual(error.missingVariables, ["articles", "events"]);
+      assert.deepEqual(error.unusedVariables, ["extra", "unusedToo"]);
+      assert.match(
+        error.message,
+        /missing variables: articles, events; unused variables: extra, unusedToo/
+      );
+      return true;
+    }
+  );
+});
+
+test("rejects recursive partials instead of recursing forever", () => {
+  const partials = {
+    outer: "Outer {{> inner}}",
+    inner: "Inner {{> outer}}",
+  };
+  const loadPartial = (name) => partials[name];
+
+  assert.throws(
+    () => renderTemplate("{{> outer}}", {}, { loadPartial }),
+    (error) =>
+      error instanceof TemplateError &&
+      /Partials nested too deeply/.test(error.message)
+  );
+  assert.throws(
+    () => inspectTemplate("{{> outer}}", { loadPartial }),
+    TemplateError
+  );
+});
+
+test("rejects malformed templates", () => {
+  assert.throws(() => renderTemplate("{{#a}}open", { a: true }), {
+    name: "TemplateError",
+    message: "Unclosed section {{#a}}",
+  });
+  assert.throws(() => renderTemplate("{{#a}}{{/b}}", { a: true }), {
+    name: "TemplateError",
+    message: "Unexpected {{/b}} (expected {{/a}})",
+  });
+});
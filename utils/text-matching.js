@@ -0,0 +1,66 @@
+/**
+ * Title Matching Helpers for News Analysis Service
+ * Compares article and event headlines by their significant words so reworded
+ * reports of the same story can be recognized
+ */
+
+// Common words ignored when comparing event titles
+const TITLE_STOPWORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "from",
+  "into",
+  "over",
+  "after",
+  "amid",
+  "its",
+  "are",
+  "has",
+  "have",
+  "new",
+  "says",
+  "said",
+  "will",
+  "that",
+  "this",
+]);
+
+/**
+ * Extract the significant lowercase words of a title
+ *
+ * @param {string} title - Event or article title
+ * @returns {Set<string>} Set of significant words
+ */
+function titleWords(title) {
+  return new Set(
+    String(title || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, " ")
+      .split(/\s+/)
+      .filter((word) => word.length > 2 && !TITLE_STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Compute the overlap between two sets of title words
+ *
+ * @param {Set<string>} wordsA - Words of the first title
+ * @param {Set<string>} wordsB - Words of the second title
+ * @returns {number} Jaccard similarity between 0 and 1
+ */
+function titleSimilarity(wordsA, wordsB) {
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++;
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+module.exports = { titleWords, titleSimilarity };